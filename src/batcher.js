@@ -0,0 +1,106 @@
+const { TimeoutError } = require("./errors");
+
+/**
+ * DataLoader-style micro-batcher
+ *
+ * Collects keys passed to load() over a short window and hands them to
+ * batchFn in one call. Flushes after maxWaitMs or as soon as maxSize
+ * distinct keys are queued. Duplicate keys in a window share one slot.
+ */
+class MicroBatcher {
+	/**
+	 * @param {function(string[]): Promise<Map<string, *>>} batchFn - Resolves a result per key
+	 * @param {Object} [options]
+	 * @param {number} [options.maxWaitMs=10] - Max time a key waits before the batch is sent
+	 * @param {number} [options.maxSize=500] - Max distinct keys per batch
+	 */
+	constructor(batchFn, options = {}) {
+		this._batchFn = batchFn;
+		this.maxWaitMs = options.maxWaitMs ?? 10;
+		this.maxSize = options.maxSize ?? 500;
+		this._pending = new Map();
+		this._timer = null;
+	}
+
+	/**
+	 * Number of distinct keys waiting for the next flush
+	 * @returns {number}
+	 */
+	get size() {
+		return this._pending.size;
+	}
+
+	/**
+	 * Queue a key and resolve with its result once the batch completes
+	 * @param {string} key
+	 * @param {AbortSignal} [signal] - Rejects this caller only; the batch still runs
+	 * @returns {Promise<*>}
+	 */
+	load(key, signal) {
+		if (signal?.aborted) {
+			return Promise.reject(new TimeoutError("Request aborted", null));
+		}
+
+		let waiters = this._pending.get(key);
+		if (!waiters) {
+			waiters = new Set();
+			this._pending.set(key, waiters);
+		}
+
+		const promise = new Promise((resolve, reject) => {
+			const waiter = { resolve, reject };
+			if (signal) {
+				waiter.onAbort = () => {
+					waiters.delete(waiter);
+					// Drop the key entirely if nobody else is waiting and it hasn't been sent
+					if (waiters.size === 0 && this._pending.get(key) === waiters) {
+						this._pending.delete(key);
+					}
+					reject(new TimeoutError("Request aborted", null));
+				};
+				waiter.signal = signal;
+				signal.addEventListener("abort", waiter.onAbort, { once: true });
+			}
+			waiters.add(waiter);
+		});
+
+		if (this._pending.size >= this.maxSize) {
+			this.flush();
+		} else if (!this._timer) {
+			this._timer = setTimeout(() => this.flush(), this.maxWaitMs);
+		}
+
+		return promise;
+	}
+
+	/**
+	 * Send all queued keys now
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		clearTimeout(this._timer);
+		this._timer = null;
+
+		const batch = this._pending;
+		this._pending = new Map();
+		if (batch.size === 0) return;
+
+		const settle = (waiters, method, value) => {
+			for (const waiter of waiters) {
+				waiter.signal?.removeEventListener("abort", waiter.onAbort);
+				waiter[method](value);
+			}
+		};
+
+		let results;
+		try {
+			results = await this._batchFn([...batch.keys()]);
+		} catch (error) {
+			for (const waiters of batch.values()) settle(waiters, "reject", error);
+			return;
+		}
+		for (const [key, waiters] of batch) settle(waiters, "resolve", results.get(key));
+	}
+}
+
+module.exports = { MicroBatcher };
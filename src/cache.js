@@ -0,0 +1,138 @@
+/**
+ * In-memory TTL/LRU cache for single lookup results
+ *
+ * Entries are keyed by normalized phone + API endpoint + API version +
+ * response format. The Simple and Standard APIs answer in different shapes,
+ * so their results are never shared.
+ * Map insertion order doubles as the LRU order: reads move an entry to the
+ * end, and the oldest entry is evicted once maxEntries is exceeded.
+ */
+class LookupCache {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.ttlMs=300000] - Time-to-live per entry in ms
+	 * @param {number} [options.maxEntries=10000] - Max entries before LRU eviction
+	 */
+	constructor(options = {}) {
+		this.ttlMs = options.ttlMs ?? 300000;
+		this.maxEntries = options.maxEntries ?? 10000;
+		this._entries = new Map();
+		this._hits = 0;
+		this._misses = 0;
+		this._evictions = 0;
+	}
+
+	/**
+	 * Normalize a phone number for use in cache keys (digits only, without
+	 * the leading country code 1)
+	 * @private
+	 */
+	_normalizePhone(phone) {
+		const digits = String(phone).replace(/\D/g, "");
+		return digits.length === 11 && digits[0] === "1" ? digits.slice(1) : digits;
+	}
+
+	/**
+	 * Build cache key
+	 * @private
+	 */
+	_key(phone, version, responseFormat, endpoint) {
+		return `${this._normalizePhone(phone)}|${endpoint}|${version}|${responseFormat}`;
+	}
+
+	/**
+	 * Get a cached result
+	 * @param {string} phone
+	 * @param {string} version
+	 * @param {string} responseFormat
+	 * @param {'simple'|'standard'} [endpoint='simple'] - API the result came from
+	 * @returns {*} Cached result, or undefined on miss
+	 */
+	get(phone, version, responseFormat, endpoint = "simple") {
+		const key = this._key(phone, version, responseFormat, endpoint);
+		const entry = this._entries.get(key);
+
+		if (!entry || entry.expiresAt <= Date.now()) {
+			if (entry) this._entries.delete(key);
+			this._misses++;
+			return undefined;
+		}
+
+		// Move to end (most recently used)
+		this._entries.delete(key);
+		this._entries.set(key, entry);
+		this._hits++;
+		return entry.value;
+	}
+
+	/**
+	 * Store a result
+	 * @param {string} phone
+	 * @param {string} version
+	 * @param {string} responseFormat
+	 * @param {*} value
+	 * @param {'simple'|'standard'} [endpoint='simple'] - API the result came from
+	 */
+	set(phone, version, responseFormat, value, endpoint = "simple") {
+		if (this.maxEntries <= 0 || this.ttlMs <= 0) return;
+
+		const key = this._key(phone, version, responseFormat, endpoint);
+		this._entries.delete(key);
+		this._entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+		// Evict least recently used entries
+		while (this._entries.size > this.maxEntries) {
+			this._entries.delete(this._entries.keys().next().value);
+			this._evictions++;
+		}
+	}
+
+	/**
+	 * Remove all cached results for a phone number (all endpoints/versions/formats)
+	 * @param {string} phone
+	 * @returns {number} Number of entries removed
+	 */
+	invalidate(phone) {
+		const prefix = `${this._normalizePhone(phone)}|`;
+		let removed = 0;
+		for (const key of [...this._entries.keys()]) {
+			if (key.startsWith(prefix)) {
+				this._entries.delete(key);
+				removed++;
+			}
+		}
+		return removed;
+	}
+
+	/**
+	 * Remove all entries (stats are kept)
+	 */
+	clear() {
+		this._entries.clear();
+	}
+
+	/**
+	 * Number of entries currently held (may include expired, not yet pruned)
+	 * @returns {number}
+	 */
+	get size() {
+		return this._entries.size;
+	}
+
+	/**
+	 * Cache statistics
+	 * @returns {{hits: number, misses: number, evictions: number, size: number, hitRate: number}}
+	 */
+	stats() {
+		const total = this._hits + this._misses;
+		return {
+			hits: this._hits,
+			misses: this._misses,
+			evictions: this._evictions,
+			size: this._entries.size,
+			hitRate: total === 0 ? 0 : this._hits / total,
+		};
+	}
+}
+
+module.exports = { LookupCache };
@@ -0,0 +1,355 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { BlacklistAlliance } = require("./client");
+const { ValidationError } = require("./errors");
+const { reasonCodes } = require("./reasons");
+
+/**
+ * Command-line interface (`blacklist-alliance`)
+ *
+ * Exit codes: 0 = clean, 1 = at least one blacklisted number/email (or
+ * suppressed row), 2 = usage or input error, 3 = API, network or file error.
+ */
+
+const EXIT_CLEAN = 0;
+const EXIT_BLACKLISTED = 1;
+const EXIT_USAGE = 2;
+const EXIT_ERROR = 3;
+
+const FORMATS = ["table", "json", "ndjson"];
+const VERSIONS = ["v1", "v2", "v3", "v5"];
+
+const USAGE = `Usage: blacklist-alliance <command> [options]
+
+Commands:
+  lookup <phone>        Look up a single phone number
+  bulk <file>           Look up phone numbers (one per line, "-" for stdin)
+  email <file>          Check emails (one per line, "-" for stdin)
+  ping                  Check API connectivity and credentials
+  scrub-csv <file>      Split a CSV lead file into clean and suppressed files
+
+Options:
+  --api-key <key>       API key (default: $BLACKLIST_API_KEY)
+  --version <ver>       API version: v1, v2, v3, v5 (default: v5)
+  --format <fmt>        Output format: table, json, ndjson (default: table)
+  --dry-run             Don't call the API; every item comes back clean
+  --hash                email: send emails as MD5 hashes
+  --concurrency <n>     bulk/email/scrub-csv: batches sent in parallel
+  --phone-column <col>  scrub-csv: phone column name or 0-based index
+  --email-column <col>  scrub-csv: email column name or 0-based index
+  --clean <path>        scrub-csv: clean output (default: clean.csv next to input)
+  --suppressed <path>   scrub-csv: suppressed output (default: suppressed.csv next to input)
+  --quiet               Don't print progress on stderr
+  -h, --help            Show this help
+
+Exit codes: 0 clean, 1 blacklisted, 2 usage error, 3 API or network error
+`;
+
+const OPTIONS = {
+	"api-key": { type: "string" },
+	version: { type: "string" },
+	format: { type: "string", default: "table" },
+	"dry-run": { type: "boolean", default: false },
+	hash: { type: "boolean", default: false },
+	concurrency: { type: "string" },
+	"phone-column": { type: "string" },
+	"email-column": { type: "string" },
+	clean: { type: "string" },
+	suppressed: { type: "string" },
+	quiet: { type: "boolean", default: false },
+	help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Usage error (bad arguments) - printed with the usage hint
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Format rows as an aligned text table
+ * @private
+ * @param {string[]} columns - Header labels
+ * @param {Array<Array<string>>} rows
+ * @returns {string}
+ */
+function formatTable(columns, rows) {
+	const widths = columns.map((column, i) =>
+		Math.max(column.length, ...rows.map((row) => String(row[i]).length))
+	);
+	return [columns, ...rows]
+		.map((row) => row.map((value, i) => String(value).padEnd(widths[i])).join("  ").trimEnd())
+		.join("\n") + "\n";
+}
+
+/**
+ * Read non-blank trimmed lines from a file, or stdin for "-"
+ * @private
+ */
+async function readLines(file, stdin) {
+	let content;
+	if (file === "-") {
+		content = "";
+		stdin.setEncoding("utf8");
+		for await (const chunk of stdin) content += chunk;
+	} else {
+		content = await fs.promises.readFile(file, "utf8");
+	}
+	return content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Progress reporter on stderr (overwrites one line on a TTY)
+ * @private
+ */
+function progressReporter(stderr, quiet) {
+	let written = false;
+	return {
+		update(message) {
+			if (quiet) return;
+			if (stderr.isTTY) {
+				stderr.write(`\r${message}`);
+				written = true;
+			} else {
+				stderr.write(`${message}\n`);
+			}
+		},
+		done() {
+			if (written) stderr.write("\n");
+			written = false;
+		},
+	};
+}
+
+/**
+ * Print per-item results in the selected format
+ * @private
+ */
+function printItems(stdout, format, columns, items, toRow) {
+	if (format === "ndjson") {
+		for (const item of items) stdout.write(`${JSON.stringify(item)}\n`);
+	} else {
+		stdout.write(formatTable(columns, items.map(toRow)));
+	}
+}
+
+const PHONE_COLUMNS = ["PHONE", "STATUS", "REASONS", "WIRELESS", "CARRIER"];
+
+/**
+ * Table row for a PhoneResult
+ * @private
+ */
+function phoneRow(result) {
+	return [
+		result.phone,
+		result.blacklisted ? "Blacklisted" : "Good",
+		result.reasons.join(","),
+		result.wireless ? "Y" : "N",
+		result.carrier?.name || "",
+	];
+}
+
+/**
+ * Bulk progress callback
+ * @private
+ */
+function batchProgress(progress) {
+	return ({ completed, total, completedBatches, totalBatches }) =>
+		progress.update(`Batch ${completedBatches}/${totalBatches} (${completed}/${total})`);
+}
+
+const COMMANDS = {
+	async lookup(client, args, ctx) {
+		const [phone] = args.positionals;
+		if (!phone) throw new UsageError("lookup requires a phone number");
+
+		const result = await client.lookupSingle(phone);
+		const blacklisted = result.message === "Blacklisted";
+
+		if (ctx.format === "json") {
+			ctx.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+		} else {
+			const item = {
+				phone: String(phone).replace(/\D/g, ""),
+				blacklisted,
+				reasons: reasonCodes(result.code),
+				wireless: Boolean(Number(result.wireless)),
+				carrier: result.carrier || null,
+			};
+			printItems(ctx.stdout, ctx.format, PHONE_COLUMNS, [item], phoneRow);
+		}
+		return blacklisted ? EXIT_BLACKLISTED : EXIT_CLEAN;
+	},
+
+	async bulk(client, args, ctx) {
+		const [file] = args.positionals;
+		if (!file) throw new UsageError("bulk requires a file (or - for stdin)");
+		const phones = await readLines(file, ctx.stdin);
+		if (phones.length === 0) throw new UsageError(`No phone numbers in ${file}`);
+
+		// Dedupe mode validates each line, sends its canonical digits and maps every
+		// line back to its result, whatever format the number was written in
+		const { rows, ...merged } = await client.bulkLookupSimple(phones, {
+			dedupe: true,
+			concurrency: ctx.concurrency,
+			onProgress: batchProgress(ctx.progress),
+		});
+		ctx.progress.done();
+
+		if (ctx.format === "json") {
+			ctx.stdout.write(`${JSON.stringify(merged, null, 2)}\n`);
+		} else {
+			const items = rows.map(({ index, input, ...item }) => item);
+			printItems(ctx.stdout, ctx.format, PHONE_COLUMNS, items, phoneRow);
+		}
+		return (merged.supression || []).length > 0 ? EXIT_BLACKLISTED : EXIT_CLEAN;
+	},
+
+	async email(client, args, ctx) {
+		const [file] = args.positionals;
+		if (!file) throw new UsageError("email requires a file (or - for stdin)");
+		const emails = await readLines(file, ctx.stdin);
+		if (emails.length === 0) throw new UsageError(`No emails in ${file}`);
+
+		const hash = args.values.hash;
+		const result = await client.emailBulk(emails, {
+			hashEmails: hash,
+			concurrency: ctx.concurrency,
+			onProgress: batchProgress(ctx.progress),
+		});
+		ctx.progress.done();
+
+		if (ctx.format === "json") {
+			ctx.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+		} else {
+			const bad = new Set(result.bad.map((e) => e.toLowerCase()));
+			const items = emails.map((email) => {
+				const sent = hash ? client.hashEmail(email) : email.trim();
+				return { email, blacklisted: bad.has(sent.toLowerCase()) };
+			});
+			printItems(ctx.stdout, ctx.format, ["EMAIL", "STATUS"], items, (item) => [
+				item.email,
+				item.blacklisted ? "Blacklisted" : "Good",
+			]);
+		}
+		return result.bad.length > 0 ? EXIT_BLACKLISTED : EXIT_CLEAN;
+	},
+
+	async ping(client, args, ctx) {
+		const ok = await client.ping();
+		if (ctx.format === "table") {
+			ctx.stdout.write(ok ? "OK\n" : "Unreachable or invalid API key\n");
+		} else {
+			ctx.stdout.write(`${JSON.stringify({ ok })}\n`);
+		}
+		return ok ? EXIT_CLEAN : EXIT_ERROR;
+	},
+
+	async "scrub-csv"(client, args, ctx) {
+		const [file] = args.positionals;
+		if (!file) throw new UsageError("scrub-csv requires a CSV file");
+		const column = (value) => (value !== undefined && /^\d+$/.test(value) ? Number(value) : value);
+
+		const summary = await client.scrubCsv(file, {
+			phoneColumn: column(args.values["phone-column"]),
+			emailColumn: column(args.values["email-column"]),
+			outputs: { clean: args.values.clean, suppressed: args.values.suppressed },
+			hashEmails: args.values.hash,
+			concurrency: ctx.concurrency,
+			onProgress: ({ rows, clean, suppressed }) =>
+				ctx.progress.update(`${rows} rows (${clean} clean, ${suppressed} suppressed)`),
+		});
+		ctx.progress.done();
+
+		if (ctx.format === "table") {
+			ctx.stdout.write(formatTable(["FIELD", "VALUE"], [
+				["Rows", summary.total],
+				["Clean", summary.clean],
+				["Suppressed", summary.suppressed],
+				["Invalid", summary.invalid],
+				["Clean file", summary.outputs.clean],
+				["Suppressed file", summary.outputs.suppressed],
+			]));
+		} else {
+			ctx.stdout.write(`${JSON.stringify(summary, null, ctx.format === "json" ? 2 : 0)}\n`);
+		}
+		return summary.suppressed > 0 ? EXIT_BLACKLISTED : EXIT_CLEAN;
+	},
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {Object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout]
+ * @param {NodeJS.WritableStream} [io.stderr]
+ * @param {NodeJS.ReadableStream} [io.stdin]
+ * @param {Object<string, string>} [io.env]
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+	const stdout = io.stdout || process.stdout;
+	const stderr = io.stderr || process.stderr;
+	const stdin = io.stdin || process.stdin;
+	const env = io.env || process.env;
+
+	let args;
+	try {
+		args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+	} catch (error) {
+		stderr.write(`${error.message}\n\n${USAGE}`);
+		return EXIT_USAGE;
+	}
+
+	const [command, ...positionals] = args.positionals;
+	if (args.values.help || !command) {
+		(command ? stdout : stderr).write(USAGE);
+		return args.values.help ? EXIT_CLEAN : EXIT_USAGE;
+	}
+
+	const handler = Object.hasOwn(COMMANDS, command) ? COMMANDS[command] : null;
+	if (!handler) {
+		stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+		return EXIT_USAGE;
+	}
+
+	const format = args.values.format;
+	if (!FORMATS.includes(format)) {
+		stderr.write(`Unknown format: ${format} (expected ${FORMATS.join(", ")})\n`);
+		return EXIT_USAGE;
+	}
+
+	const version = args.values.version;
+	if (version !== undefined && !VERSIONS.includes(version)) {
+		stderr.write(`Unknown API version: ${version} (expected ${VERSIONS.join(", ")})\n`);
+		return EXIT_USAGE;
+	}
+
+	const dryRun = args.values["dry-run"];
+	const apiKey = args.values["api-key"] || env.BLACKLIST_API_KEY || (dryRun ? "dry-run" : null);
+	if (!apiKey) {
+		stderr.write("Missing API key: pass --api-key or set BLACKLIST_API_KEY\n");
+		return EXIT_USAGE;
+	}
+
+	const progress = progressReporter(stderr, args.values.quiet);
+	try {
+		const client = new BlacklistAlliance(apiKey, {
+			dryRun,
+			defaultVersion: version,
+		});
+		return await handler(client, { values: args.values, positionals }, {
+			stdout,
+			stdin,
+			format,
+			progress,
+			concurrency: args.values.concurrency ? Number(args.values.concurrency) : undefined,
+		});
+	} catch (error) {
+		progress.done();
+		stderr.write(`Error: ${error.message}\n`);
+		return error instanceof UsageError || error instanceof ValidationError ? EXIT_USAGE : EXIT_ERROR;
+	}
+}
+
+module.exports = { run, EXIT_CLEAN, EXIT_BLACKLISTED, EXIT_USAGE, EXIT_ERROR };
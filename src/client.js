@@ -6,8 +6,26 @@ const {
 	NetworkError,
 	CircuitBreakerError,
 } = require("./errors");
+const { LookupCache } = require("./cache");
+const { MicroBatcher } = require("./batcher");
+const { RateLimiter } = require("./ratelimit");
+const { ScrubJob } = require("./job");
+const { lookupIterable, BatchLookupTransform } = require("./stream");
+const { scrubCsv } = require("./csv");
+const { normalizePhone, extractPhones, parsePhone, PHONE_ERROR_REASONS } = require("./phone");
+const { parsePhonecode, mergePhonecode, parseLookupResponse } = require("./parsers");
+const { normalizeLookupResult, normalizeBulkResult, normalizeBulkPhones, bulkWireless } = require("./normalize");
+const { createReasonCatalog, describeReasons, enrichReasons, reasonCodes } = require("./reasons");
+const { compilePolicy, toSubject } = require("./policy");
+const { SuppressionList, INTERNAL_REASON } = require("./suppression");
+const { ConsentList, applyLookupConsent, applyBulkConsent, applyEmailConsent } = require("./consent");
+const { compileCallingWindows, callDecision } = require("./timezones");
 
 const BASE_URL = "https://api.blacklistalliance.net";
+// 5000 items is safely under 1MB for phones (~75KB) and emails
+const BATCH_LIMIT = 5000;
+const JITTER_STRATEGIES = ["proportional", "full", "equal", "none"];
+const PHONE_VALIDATION_MODES = ["basic", "nanp"];
 
 /**
  * @typedef {'v1' | 'v2' | 'v3' | 'v5'} ApiVersion
@@ -75,6 +93,7 @@ const BASE_URL = "https://api.blacklistalliance.net";
  * @typedef {Object} EmailBulkResult
  * @property {string[]} good - Emails not on blacklist (from API)
  * @property {string[]} bad - Emails on blacklist (computed: submitted - good)
+ * @property {Object<string, string>} [reasons] - `internal` for emails on the local suppression list
  */
 
 /**
@@ -91,6 +110,242 @@ const BASE_URL = "https://api.blacklistalliance.net";
  * @property {number} [timeout=30000] - Request timeout in ms
  * @property {number} [retries=3] - Number of retry attempts for failed requests
  * @property {Logger} [logger] - Logger instance (console, pino, winston compatible)
+ * @property {CacheOptions|boolean} [cache] - Enable in-memory result cache for single lookups
+ * @property {CacheStore} [cacheStore] - Persistent store read through by single, bulk and email lookups
+ * @property {boolean} [coalesceRequests=true] - Share one request between concurrent identical single lookups
+ * @property {MicroBatchOptions|boolean} [microBatch] - Batch isBlacklisted/getBlacklistReasons checks into bulk requests
+ * @property {RateLimitOptions|RateLimiter} [rateLimit] - Client-side rate limit (options or a shared limiter)
+ * @property {RetryPolicy} [retryPolicy] - Backoff, jitter and retry predicate configuration
+ * @property {'basic'|'nanp'} [phoneValidation='basic'] - 'basic' checks for 10-11 digits
+ *   (kept as the default for existing callers); 'nanp' applies NANP area code/exchange
+ *   rules and sends the canonical 10-digit form
+ * @property {boolean} [normalizeResults=false] - Return version-normalized results from
+ *   lookupSingle, lookup, bulkLookupSimple and bulkLookup (per-call `normalize` overrides)
+ * @property {SuppressionList|string[]|{filePath?: string, entries?: string[]}} [localSuppression] -
+ *   Internal suppression list checked before every lookup; matches aren't sent and are
+ *   reported as blacklisted with the `internal` reason code
+ * @property {ConsentList|ConsentEntry[]} [consentOverrides] - Consent/allowlist entries whose
+ *   reason codes are overridden in lookup results (see ConsentEntry)
+ * @property {Object<string, Partial<ReasonCatalogEntry>>} [reasonCatalog] - Reason codes to add
+ *   to the built-in catalog, or built-in entries to override (merged per field)
+ */
+
+/**
+ * @typedef {Object} ReasonCatalogEntry
+ * @property {string|null} description
+ * @property {string} category - A REASON_CATEGORIES value or your own
+ * @property {'low'|'medium'|'high'|'critical'} severity
+ */
+
+/**
+ * Reason code described by the catalog (describeReasons / enrichReasons)
+ * @typedef {Object} ReasonDetails
+ * @property {string} code - Code as returned by the API
+ * @property {string|null} description
+ * @property {string} category - 'unknown' for codes missing from the catalog
+ * @property {'low'|'medium'|'high'|'critical'} severity - 'high' for codes missing from the catalog
+ * @property {boolean} known - Whether the code is in the catalog
+ */
+
+/**
+ * Carrier info in the normalized result model
+ * @typedef {Object} NormalizedCarrier
+ * @property {string} [did]
+ * @property {string} [type] - e.g. 'WIRELESS', 'LANDLINE', 'PCS'
+ * @property {string} [name] - Carrier name
+ * @property {string} [state] - State code
+ * @property {string} [rateCenter]
+ * @property {string} [country] - Country code
+ * @property {string} [clli]
+ * @property {string} [lata]
+ * @property {boolean} [wireless] - From 'Y'/'N'
+ * @property {string} [lrn]
+ * @property {string} [npa]
+ * @property {string} [nxx]
+ * @property {string} [nxxx]
+ * @property {string} [ocn]
+ * @property {string} [portType]
+ */
+
+/**
+ * OCN info in the normalized result model
+ * @typedef {Object} NormalizedOcnInfo
+ * @property {boolean} [isVoip]
+ * @property {string} [carrier]
+ * @property {string} [lineType] - e.g. 'mobile', 'landline'
+ */
+
+/**
+ * Per-phone result in the normalized result model. Fields the response
+ * doesn't include (carrier before v3, ocnInfo before v5) are undefined
+ * @typedef {Object} NormalizedPhoneResult
+ * @property {string} phone
+ * @property {boolean} blacklisted
+ * @property {string[]} reasons - Reason codes (empty if clean)
+ * @property {boolean} [wireless] - In `wireless` or carrier marked wireless (v3+)
+ * @property {NormalizedCarrier} [carrier] - v3+
+ * @property {NormalizedOcnInfo} [ocnInfo] - v5
+ */
+
+/**
+ * Normalized single lookup result (normalizeResults / normalize option)
+ * @typedef {NormalizedPhoneResult & {
+ *   version: ApiVersion, status?: string, message?: string, sid?: string,
+ *   offset?: number, time?: number, scrubs?: boolean
+ * }} NormalizedLookupResult
+ */
+
+/**
+ * Normalized bulk lookup result (normalizeResults / normalize option)
+ * @typedef {Object} NormalizedBulkResult
+ * @property {ApiVersion} version - Version the result was requested with
+ * @property {string} [status]
+ * @property {number} [submitted] - Numbers submitted (API `numbers`)
+ * @property {number} [processed] - Numbers processed (API `count`)
+ * @property {string[]} clean - Clean phones (API `phones`)
+ * @property {string[]} suppressed - Blacklisted phones (API `supression`)
+ * @property {NormalizedPhoneResult[]} results - Clean phones, then blacklisted ones
+ */
+
+/**
+ * Condition of a policy rule. Every field given must match; fields the
+ * result doesn't include (e.g. wireless before v3) never match.
+ * @typedef {Object} PolicyCondition
+ * @property {boolean} [blacklisted]
+ * @property {boolean} [wireless] - Wireless line (or carrier marked wireless)
+ * @property {boolean} [voip] - OCN info marks the line as VoIP (v5)
+ * @property {string[]} [codes] - Any of these reason codes fired
+ * @property {string[]} [categories] - A reason in any of these catalog categories fired
+ * @property {'low'|'medium'|'high'|'critical'} [minSeverity] - A reason of at least this severity fired
+ * @property {string[]} [lineTypes] - OCN line type (or carrier type) is one of these
+ * @property {string[]} [campaignTypes] - `context.campaignType` is one of these
+ * @property {(result: PolicySubject, context: Object) => boolean} [test] - Custom predicate
+ */
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {string} name - Reported in `matchedRules`
+ * @property {PolicyCondition|((result: PolicySubject, context: Object) => boolean)} when
+ * @property {'allow'|'review'|'deny'} decision
+ */
+
+/**
+ * Compliance policy: every matching rule is reported and the most
+ * restrictive decision wins (deny over review over allow)
+ * @typedef {Object} Policy
+ * @property {PolicyRule[]} rules
+ * @property {'allow'|'review'|'deny'} [default='allow'] - Decision when no rule matches
+ */
+
+/**
+ * Normalized result with `reasonDetails`, as policy conditions see it
+ * @typedef {(NormalizedPhoneResult|NormalizedLookupResult) & { reasonDetails: ReasonDetails[] }} PolicySubject
+ */
+
+/**
+ * @typedef {Object} PolicyDecision
+ * @property {'allow'|'review'|'deny'} decision
+ * @property {Array<{name: string, decision: string}>} matchedRules - In policy order
+ * @property {PolicySubject} result - The result the policy was evaluated against
+ */
+
+/**
+ * @typedef {Object} ConsentEntry
+ * @property {string} value - Phone (any common format), email or email MD5 hash
+ * @property {string[]|'*'} codes - Reason codes that may be overridden, or '*' for every
+ *   code except `internal` (a local opt-out revokes consent unless `internal` is listed)
+ * @property {Date|string|number} [expiresAt] - The entry is ignored from this time on
+ * @property {string} [basis] - e.g. 'express-consent' or 'ebr'
+ * @property {string} [note]
+ */
+
+/**
+ * Allowed local calling time; `start` is inclusive, `end` exclusive
+ * @typedef {Object} CallingWindow
+ * @property {string} start - 'HH:MM', 24-hour
+ * @property {string} end - 'HH:MM', 24-hour ('24:00' for midnight)
+ * @property {string[]} [days] - 'mon' to 'sun' (default: every day)
+ */
+
+/**
+ * @typedef {Object} CallingWindowCheck
+ * @property {string|null} npa - Area code
+ * @property {string|null} state - State/province the time zones are for
+ * @property {string[]} timeZones - IANA time zones the phone may be in (empty if unknown)
+ * @property {'area-code'|'carrier-state'|null} source - Where the time zones came from
+ * @property {Array<{timeZone: string, day: string, time: string, inWindow: boolean}>} localTimes
+ * @property {boolean} inWindow - Inside a window in every time zone
+ */
+
+/**
+ * @typedef {CallingWindowCheck & {
+ *   phone: string,
+ *   allowed: boolean,
+ *   blockedBy: Array<'blacklisted'|'outside-window'|'unknown-time-zone'>,
+ *   result: NormalizedPhoneResult|NormalizedLookupResult
+ * }} CallDecision
+ */
+
+/**
+ * @typedef {Object} NormalizedPhone
+ * @property {string} digits - Canonical 10-digit form (country code stripped)
+ * @property {string} e164 - E.164 form (e.g. '+12223334444')
+ * @property {string} npa - Area code
+ * @property {string} nxx - Exchange
+ * @property {string} line - Line number (last 4 digits)
+ */
+
+/**
+ * Phone number parsed from free text. Can be passed wherever a phone string is accepted.
+ * @typedef {Object} ParsedPhone
+ * @property {string} input - Original free-text input
+ * @property {string} raw - Part of the input the number was read from (incl. extension)
+ * @property {string|null} digits - Canonical 10-digit form (null if invalid)
+ * @property {string|null} e164 - E.164 form (null if invalid)
+ * @property {string|null} extension - Extension digits, if any
+ * @property {boolean} vanity - Whether letters were converted (1-800-FLOWERS)
+ * @property {boolean} valid - Whether the number passed NANP validation
+ * @property {string|null} reason - PHONE_ERROR_REASONS code when invalid
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [baseDelayMs=100] - Delay before the first retry (doubles each retry)
+ * @property {number} [maxDelayMs=10000] - Max backoff delay (Retry-After is honoured beyond it)
+ * @property {'proportional'|'full'|'equal'|'none'} [jitter='proportional'] - Jitter strategy:
+ *   proportional = ±25%, full = 0..delay, equal = delay/2..delay, none = exact delay
+ * @property {function(Error, number): boolean} [shouldRetry] - Custom predicate
+ *   (error, retry number starting at 1); replaces the default retryable check
+ * @property {number} [maxRetryTimeMs] - Stop retrying once total time would exceed this
+ */
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {number} requestsPerSecond - Sustained request rate
+ * @property {number} [burst=requestsPerSecond] - Max requests allowed at once after idling
+ */
+
+/**
+ * @typedef {Object} MicroBatchOptions
+ * @property {number} [maxWaitMs=10] - Max time a check waits before its batch is sent
+ * @property {number} [maxSize=500] - Max distinct phones per batch
+ */
+
+/**
+ * Per-phone view of a bulk lookup result
+ * @typedef {Object} PhoneResult
+ * @property {string} phone - Phone number as sent
+ * @property {boolean} blacklisted - Whether the phone is in `supression`
+ * @property {string[]} reasons - Blacklist reason codes (empty if clean)
+ * @property {boolean} wireless - Whether the phone is in `wireless` (or its carrier is marked wireless)
+ * @property {CarrierInfo|null} carrier - Carrier info, if returned
+ * @property {OcnInfo|null} ocnInfo - OCN info, if returned (v5)
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [ttlMs=300000] - Time-to-live per cached result in ms
+ * @property {number} [maxEntries=10000] - Max cached results before LRU eviction
  */
 
 /**
@@ -98,12 +353,144 @@ const BASE_URL = "https://api.blacklistalliance.net";
  * @property {ApiVersion} [version] - API version
  * @property {BulkResponseFormat} [responseFormat='json'] - Response format
  * @property {boolean} [autoBatch=true] - Automatically batch if payload exceeds limit
+ * @property {number} [concurrency=1] - Max batches sent in parallel
+ * @property {boolean} [partial=false] - Return results of successful batches plus `failedBatches` instead of throwing
+ * @property {InvalidMode} [invalid='throw'] - 'collect' sends only valid items and lists the rest in `invalid`
+ * @property {boolean} [dedupe=false] - Send each distinct item once and return `rows` (see DedupedRow)
+ * @property {ResultShape} [shape='merged'] - 'byPhone' returns a Map of phone to PhoneResult
+ * @property {'text'|'parsed'} [phonecodeOutput='text'] - With responseFormat 'phonecode': merged
+ *   text, or parsed into a BulkLookupResult (which supports every JSON-mode option)
+ * @property {boolean} [cacheStore=true] - Set false to bypass the persistent cache store
+ * @property {boolean} [localSuppression=true] - Set false to skip the local suppression list
+ * @property {boolean} [consentOverrides=true] - Set false to skip consent overrides
+ * @property {function(ProgressInfo): void} [onProgress] - Called as each batch completes
+ */
+
+/**
+ * Bulk phone result shape: 'merged' is the API's result object (parallel
+ * arrays), 'byPhone' a Map of phone (as sent) to PhoneResult
+ * @typedef {'merged'|'byPhone'} ResultShape
+ */
+
+/**
+ * How bulk methods handle invalid items: 'throw' rejects the whole call on the
+ * first one, 'collect' validates every item and reports the invalid ones
+ * @typedef {'throw'|'collect'} InvalidMode
+ */
+
+/**
+ * An item skipped in invalid: 'collect' mode
+ * @typedef {Object} InvalidItem
+ * @property {string|ParsedPhone} input - Item as passed in
+ * @property {number} index - Index of the item in the input array
+ * @property {string} reason - ValidationError reason (PHONE_ERROR_REASONS code,
+ *   or 'invalid-format' / 'too-long' for emails)
+ */
+
+/**
+ * Dedupe-mode result for one input. `rows[i]` belongs to input `i`, and is
+ * null if the item was invalid (invalid: 'collect') or its batch failed (partial).
+ * Phone rows also carry the PhoneResult fields; `phone` is the canonical 10 digits
+ * @typedef {Object} DedupedRow
+ * @property {number} index - Index of the item in the input array
+ * @property {string|ParsedPhone} input - Item as passed in
+ * @property {string} [phone] - Phone as sent (phone rows)
+ * @property {string} [email] - Email as sent: trimmed and lowercased, or its MD5 hash (email rows)
+ * @property {boolean} blacklisted
+ */
+
+/**
+ * @typedef {Object} ProgressInfo
+ * @property {number} completed - Items in completed batches
+ * @property {number} total - Total items
+ * @property {number} batch - Number of the batch that just completed (1-indexed)
+ * @property {number} totalBatches - Total number of batches
+ * @property {number} completedBatches - Batches completed so far
+ * @property {number} [failed] - Items in failed batches (partial mode only)
+ */
+
+/**
+ * A batch that failed in partial mode
+ * @typedef {Object} FailedBatch
+ * @property {number} batch - Batch number (1-indexed)
+ * @property {number} offset - Index of the batch's first item in the submitted list
+ * @property {string[]} items - Items in the batch, as sent (e.g. hashed emails)
+ * @property {Error} error - Error that failed the batch (after retries)
+ */
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {ApiVersion} [version] - API version
+ * @property {number} [batchSize=5000] - Items per request (max 5000)
+ * @property {number} [concurrency=1] - Max batches in flight
+ * @property {AbortSignal} [signal] - Abort in-flight requests
+ * @property {boolean} [cacheStore=true] - Set false to bypass the persistent cache store
+ * @property {boolean} [localSuppression=true] - Set false to skip the local suppression list
+ * @property {boolean} [consentOverrides=true] - Set false to skip consent overrides
+ */
+
+/**
+ * @typedef {Object} EmailStreamOptions
+ * @property {boolean} [hashEmails=false] - Convert emails to MD5 hashes before sending
+ * @property {boolean} [validate=true] - Validate email format
+ * @property {number} [batchSize=5000] - Items per request (max 5000)
+ * @property {number} [concurrency=1] - Max batches in flight
+ * @property {AbortSignal} [signal] - Abort in-flight requests
+ * @property {boolean} [cacheStore=true] - Set false to bypass the persistent cache store
+ * @property {boolean} [localSuppression=true] - Set false to skip the local suppression list
+ * @property {boolean} [consentOverrides=true] - Set false to skip consent overrides
+ */
+
+/**
+ * Per-email streaming result
+ * @typedef {Object} EmailResult
+ * @property {string} email - Email as read from the input (not hashed)
+ * @property {boolean} blacklisted
+ */
+
+/**
+ * @typedef {Object} ScrubCsvOptions
+ * @property {string|number} [phoneColumn] - Phone column header name or 0-based index
+ * @property {string|number} [emailColumn] - Email column header name or 0-based index
+ * @property {{clean?: string, suppressed?: string}} [outputs] - Output paths
+ *   (default: clean.csv and suppressed.csv next to the input)
+ * @property {boolean|'auto'} [header='auto'] - Whether the first row is a header
+ *   ('auto' = yes when columns are given by name or the first row doesn't look like data)
+ * @property {string} [delimiter=','] - Field delimiter
+ * @property {boolean} [hashEmails=false] - Send emails as MD5 hashes
+ * @property {ApiVersion} [version] - API version
+ * @property {number} [batchSize=5000] - Rows per request (max 5000)
+ * @property {number} [concurrency=1] - Max batches in flight
+ * @property {AbortSignal} [signal] - Abort the scrub
+ * @property {function({rows: number, clean: number, suppressed: number}): void} [onProgress]
+ *   - Called every 1000 rows and once at the end
+ */
+
+/**
+ * @typedef {Object} ScrubCsvSummary
+ * @property {number} total - Data rows read
+ * @property {number} clean - Rows written to the clean output
+ * @property {number} suppressed - Rows written to the suppressed output
+ * @property {number} invalid - Suppressed rows without a usable phone/email (reason `invalid`)
+ * @property {{clean: string, suppressed: string}} outputs - Output paths written
  */
 
 /**
  * @typedef {Object} EmailBulkOptions
  * @property {boolean} [hashEmails=false] - Convert emails to MD5 hashes before sending
  * @property {boolean} [autoBatch=true] - Automatically batch if payload exceeds limit
+ * @property {number} [concurrency=1] - Max batches sent in parallel
+ * @property {boolean} [partial=false] - Return results of successful batches plus `failedBatches` instead of throwing
+ * @property {InvalidMode} [invalid='throw'] - 'collect' sends only valid items and lists the rest in `invalid`
+ * @property {boolean} [dedupe=false] - Send each distinct item once and return `rows` (see DedupedRow)
+ * @property {boolean} [cacheStore=true] - Set false to bypass the persistent cache store
+ * @property {boolean} [localSuppression=true] - Set false to skip the local suppression list
+ * @property {boolean} [consentOverrides=true] - Set false to skip consent overrides
+ * @property {function(ProgressInfo): void} [onProgress] - Called as each batch completes
+ */
+
+/**
+ * @typedef {import("./stores").CacheStore} CacheStore
  */
 
 /**
@@ -128,6 +515,27 @@ class BlacklistAlliance {
 		this.retries = options.retries ?? 3;
 		this.logger = options.logger || null;
 		this.dryRun = options.dryRun || false;
+		this.normalizeResults = options.normalizeResults || false;
+		this.reasonCatalog = createReasonCatalog(options.reasonCatalog);
+
+		this.phoneValidation = options.phoneValidation || "basic";
+		if (!PHONE_VALIDATION_MODES.includes(this.phoneValidation)) {
+			throw new Error(`Unknown phone validation mode: ${this.phoneValidation}`);
+		}
+
+		// Retry backoff policy (retry count is `retries`)
+		const retryPolicy = options.retryPolicy || {};
+		const jitter = retryPolicy.jitter || "proportional";
+		if (!JITTER_STRATEGIES.includes(jitter)) {
+			throw new Error(`Unknown retry jitter strategy: ${jitter}`);
+		}
+		this._retryPolicy = {
+			baseDelayMs: retryPolicy.baseDelayMs ?? 100,
+			maxDelayMs: retryPolicy.maxDelayMs ?? 10000,
+			jitter,
+			shouldRetry: retryPolicy.shouldRetry || null,
+			maxRetryTimeMs: retryPolicy.maxRetryTimeMs ?? null,
+		};
 
 		// Request/response hooks
 		this.onRequest = options.onRequest || null;
@@ -145,6 +553,51 @@ class BlacklistAlliance {
 					onStateChange: options.circuitBreaker.onStateChange || null,
 				}
 			: { enabled: false };
+
+		// Single lookup result cache (opt-in)
+		this.cache = options.cache
+			? new LookupCache(options.cache === true ? {} : options.cache)
+			: null;
+
+		// Persistent cache store (opt-in, shared across restarts/processes)
+		this.cacheStore = options.cacheStore || null;
+
+		// Internal suppression list, checked before every lookup (opt-in)
+		const localSuppression = options.localSuppression;
+		this.localSuppression = localSuppression
+			? localSuppression instanceof SuppressionList
+				? localSuppression
+				: new SuppressionList(Array.isArray(localSuppression) ? { entries: localSuppression } : localSuppression)
+			: null;
+
+		// Consent/allowlist overrides applied to lookup results (opt-in)
+		const consentOverrides = options.consentOverrides;
+		this.consentOverrides = consentOverrides
+			? consentOverrides instanceof ConsentList
+				? consentOverrides
+				: new ConsentList(consentOverrides)
+			: null;
+
+		// Coalesce concurrent identical single lookups into one request
+		this.coalesceRequests = options.coalesceRequests !== false;
+		this._inFlight = new Map();
+
+		// Micro-batching of single checks into bulk requests (one batcher per API version)
+		this._microBatch = options.microBatch
+			? {
+					enabled: true,
+					maxWaitMs: options.microBatch.maxWaitMs ?? 10,
+					maxSize: options.microBatch.maxSize ?? 500,
+				}
+			: { enabled: false };
+		this._microBatchers = new Map();
+
+		// Client-side rate limiting - accepts a shared limiter (anything with acquire())
+		this.rateLimiter = options.rateLimit
+			? typeof options.rateLimit.acquire === "function"
+				? options.rateLimit
+				: new RateLimiter(options.rateLimit)
+			: null;
 	}
 
 	/**
@@ -158,11 +611,21 @@ class BlacklistAlliance {
 	}
 
 	/**
-	 * Sleep for specified milliseconds
+	 * Sleep for specified milliseconds (wakes early if signal aborts)
 	 * @private
 	 */
-	_sleep(ms) {
-		return new Promise((resolve) => setTimeout(resolve, ms));
+	_sleep(ms, signal) {
+		return new Promise((resolve) => {
+			const onAbort = () => {
+				clearTimeout(timer);
+				resolve();
+			};
+			const timer = setTimeout(() => {
+				signal?.removeEventListener("abort", onAbort);
+				resolve();
+			}, ms);
+			signal?.addEventListener("abort", onAbort, { once: true });
+		});
 	}
 
 	/**
@@ -274,12 +737,85 @@ class BlacklistAlliance {
 	}
 
 	/**
-	 * Split array into batches (O(N) chunking)
-	 * 5000 items is safely under 1MB for phones (~75KB) and emails
+	 * Parse a Retry-After header (delta-seconds or HTTP-date) into seconds
+	 * @private
+	 * @param {string|null} value
+	 * @returns {number|undefined}
+	 */
+	_parseRetryAfter(value) {
+		if (!value) return undefined;
+		const trimmed = String(value).trim();
+		if (/^\d+$/.test(trimmed)) {
+			return parseInt(trimmed, 10);
+		}
+		const date = Date.parse(trimmed);
+		if (Number.isNaN(date)) return undefined;
+		return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+	}
+
+	/**
+	 * Decide whether to retry a failed attempt and how long to wait first.
+	 * 429/503 responses with Retry-After wait exactly that long; everything
+	 * else uses exponential backoff with the configured jitter.
+	 * @private
+	 * @param {Error} error
+	 * @param {number} attempt - Number of the retry about to be made (1-indexed)
+	 * @param {number} startedAt - Time the first attempt started
+	 * @returns {number|null} Delay in ms, or null to stop retrying
+	 */
+	_getRetryDelay(error, attempt, startedAt) {
+		if (attempt > this.retries) return null;
+
+		const policy = this._retryPolicy;
+		const retryable = policy.shouldRetry
+			? policy.shouldRetry(error, attempt)
+			: this._isRetryable(error);
+		if (!retryable) return null;
+
+		let delay;
+		const status = error.statusCode;
+		if ((status === 429 || status === 503) && error.retryAfter != null) {
+			delay = error.retryAfter * 1000;
+		} else {
+			const backoff = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+			delay = this._applyJitter(backoff);
+		}
+
+		if (policy.maxRetryTimeMs != null && Date.now() - startedAt + delay > policy.maxRetryTimeMs) {
+			this._log("warn", "Retry time budget exhausted", {
+				elapsed: Date.now() - startedAt,
+				delay: Math.round(delay),
+				maxRetryTimeMs: policy.maxRetryTimeMs,
+			});
+			return null;
+		}
+
+		return delay;
+	}
+
+	/**
+	 * Apply the retry policy's jitter strategy to a backoff delay
+	 * @private
+	 */
+	_applyJitter(delay) {
+		switch (this._retryPolicy.jitter) {
+			case "none":
+				return delay;
+			case "full":
+				return Math.random() * delay;
+			case "equal":
+				return delay / 2 + Math.random() * (delay / 2);
+			default:
+				// proportional: ±25% to prevent thundering herd
+				return delay * (0.75 + Math.random() * 0.5);
+		}
+	}
+
+	/**
+	 * Split array into batches of BATCH_LIMIT (O(N) chunking)
 	 * @private
 	 */
 	_batchBySize(items) {
-		const BATCH_LIMIT = 5000;
 		const batches = [];
 		for (let i = 0; i < items.length; i += BATCH_LIMIT) {
 			batches.push(items.slice(i, i + BATCH_LIMIT));
@@ -287,6 +823,74 @@ class BlacklistAlliance {
 		return batches;
 	}
 
+	/**
+	 * Send batches with up to `options.concurrency` requests in flight.
+	 * Results are returned in batch (input) order regardless of completion order,
+	 * and onProgress reports cumulative counts as each batch finishes.
+	 * By default stops starting new batches after the first failure and rethrows it;
+	 * with `options.partial` every batch runs and failures are collected instead.
+	 * @private
+	 * @param {Array<Array>} batches
+	 * @param {function(Array, number): Promise<*>} send - Sends one batch
+	 * @param {Object} [options]
+	 * @param {number} [options.concurrency=1] - Max batches in flight
+	 * @param {boolean} [options.partial=false] - Collect failed batches instead of throwing
+	 * @param {function(ProgressInfo): void} [options.onProgress]
+	 * @returns {Promise<{results: Array, failedBatches: FailedBatch[]}>} One result per batch,
+	 *   in batch order (undefined for failed batches)
+	 */
+	async _runBatches(batches, send, options = {}) {
+		const total = batches.reduce((sum, batch) => sum + batch.length, 0);
+		const concurrency = Math.max(1, Math.min(Math.floor(options.concurrency) || 1, batches.length));
+		const results = new Array(batches.length);
+		const failedBatches = [];
+		let next = 0;
+		let completed = 0;
+		let failedItems = 0;
+		let completedBatches = 0;
+		let failed = false;
+
+		const offsets = [];
+		let offset = 0;
+		for (const batch of batches) {
+			offsets.push(offset);
+			offset += batch.length;
+		}
+
+		const worker = async () => {
+			while (!failed && next < batches.length) {
+				const i = next++;
+				try {
+					results[i] = await send(batches[i], i);
+					completed += batches[i].length;
+				} catch (error) {
+					if (!options.partial) {
+						failed = true;
+						throw error;
+					}
+					this._log("warn", `Batch ${i + 1}/${batches.length} failed`, { error: error.message });
+					failedBatches.push({ batch: i + 1, offset: offsets[i], items: batches[i], error });
+					failedItems += batches[i].length;
+				}
+				completedBatches++;
+				if (options.onProgress) {
+					options.onProgress({
+						completed,
+						total,
+						batch: i + 1,
+						totalBatches: batches.length,
+						completedBatches,
+						...(options.partial && { failed: failedItems }),
+					});
+				}
+			}
+		};
+
+		await Promise.all(Array.from({ length: concurrency }, worker));
+		failedBatches.sort((a, b) => a.batch - b.batch);
+		return { results, failedBatches };
+	}
+
 	/**
 	 * Convert email to MD5 hash
 	 * @private
@@ -310,35 +914,190 @@ class BlacklistAlliance {
 			throw new ValidationError(
 				`Invalid email format: ${email}`,
 				422,
-				null
+				null,
+				"invalid-format"
 			);
 		}
 		if (sanitized.length > 254) {
 			throw new ValidationError(
 				`Email too long: ${email}. Max 254 characters.`,
 				422,
-				null
+				null,
+				"too-long"
 			);
 		}
 		return sanitized;
 	}
 
 	/**
-	 * Validate phone number format (basic check)
+	 * Resolve a phone argument: ParsedPhone objects become their canonical digits
+	 * (throwing if invalid), strings are returned unchanged
+	 * @private
+	 */
+	_phoneInput(phone) {
+		if (phone === null || typeof phone !== "object") return phone;
+		if (!phone.valid) {
+			throw new ValidationError(
+				`Invalid phone number: ${phone.input}`,
+				422,
+				null,
+				phone.reason
+			);
+		}
+		return phone.digits;
+	}
+
+	/**
+	 * Validate phone number format (basic check, or NANP rules if configured)
 	 * @private
 	 */
 	_validatePhone(phone) {
+		// Already parsed and normalized
+		if (phone !== null && typeof phone === "object") {
+			return this._phoneInput(phone);
+		}
+		if (this.phoneValidation === "nanp") {
+			return normalizePhone(phone).digits;
+		}
 		const cleaned = String(phone).replace(/\D/g, "");
 		if (cleaned.length < 10 || cleaned.length > 11) {
+			let reason = PHONE_ERROR_REASONS.TOO_LONG;
+			if (cleaned.length === 0) reason = PHONE_ERROR_REASONS.EMPTY;
+			else if (cleaned.length < 10) reason = PHONE_ERROR_REASONS.TOO_SHORT;
 			throw new ValidationError(
 				`Invalid phone number: ${phone}. Expected 10-11 digits.`,
 				422,
-				null
+				null,
+				reason
 			);
 		}
 		return cleaned;
 	}
 
+	/**
+	 * Validate every item, separating the valid ones (as returned by `validate`)
+	 * from the invalid ones (invalid: 'collect' mode)
+	 * @private
+	 * @returns {{valid: string[], indexes: number[], invalid: InvalidItem[]}}
+	 *   `indexes` holds the input index of each valid item
+	 */
+	_partitionInvalid(items, validate) {
+		const valid = [];
+		const indexes = [];
+		const invalid = [];
+		items.forEach((input, index) => {
+			try {
+				valid.push(validate(input));
+				indexes.push(index);
+			} catch (error) {
+				if (!(error instanceof ValidationError)) throw error;
+				invalid.push({ input, index, reason: error.reason || "invalid" });
+			}
+		});
+		return { valid, indexes, invalid };
+	}
+
+	/**
+	 * Look up only the valid phones and attach the invalid ones to the result
+	 * @private
+	 */
+	async _bulkLookupCollectingInvalid(phones, options, lookupValid) {
+		this._requireJsonFormat(options, "invalid: 'collect'");
+		const { valid, invalid } = this._partitionInvalid(phones, (phone) => this._validatePhone(phone));
+		const result = await this._bulkLookupValid(valid, options, lookupValid);
+		return { ...result, invalid };
+	}
+
+	/**
+	 * Look up already-validated phones, or return an empty result if there are none
+	 * @private
+	 */
+	async _bulkLookupValid(phones, options, lookupValid) {
+		if (phones.length === 0) {
+			const result = this._mergeBulkResults([]);
+			if (options.partial) result.failedBatches = [];
+			return result;
+		}
+		const result = await lookupValid(phones, { ...options, invalid: "throw", dedupe: false });
+		// Single-batch responses come back as the API's one-element array
+		return Array.isArray(result) ? this._mergeBulkResults(result) : result;
+	}
+
+	/**
+	 * Throw unless a bulk phone call uses the (mergeable) JSON response format
+	 * @private
+	 */
+	_requireJsonFormat(options, mode) {
+		const responseFormat = options.responseFormat || "json";
+		if (responseFormat === "phonecode" && options.phonecodeOutput === "parsed") return;
+		if (responseFormat !== "json") {
+			throw new ValidationError(
+				`${mode} requires responseFormat 'json' (or 'phonecode' with phonecodeOutput: 'parsed')`,
+				400,
+				null
+			);
+		}
+	}
+
+	/**
+	 * Dedupe key for a validated phone: 10 digits without the leading country code 1
+	 * @private
+	 */
+	_canonicalPhone(phone) {
+		return phone.length === 11 && phone[0] === "1" ? phone.slice(1) : phone;
+	}
+
+	/**
+	 * Normalize items to dedupe keys, look up each key once and expand the
+	 * results to one row per input (dedupe mode)
+	 * @private
+	 * @param {Array} items - Items as passed in
+	 * @param {Object} options - Bulk options (`invalid: 'collect'` honoured here)
+	 * @param {function(*): string} normalize - Item to dedupe key (throws ValidationError if invalid)
+	 * @param {function(string[]): Promise<Object>} lookupUnique - Looks up the unique keys
+	 * @param {function(Object, string[]): Map<string, Object>} resultsFor - Per-key results
+	 *   (keys in failed batches are left out)
+	 */
+	async _bulkDeduped(items, options, normalize, lookupUnique, resultsFor) {
+		let keys;
+		let invalid;
+		if (options.invalid === "collect") {
+			const partition = this._partitionInvalid(items, normalize);
+			keys = new Array(items.length).fill(null);
+			partition.indexes.forEach((index, i) => {
+				keys[index] = partition.valid[i];
+			});
+			invalid = partition.invalid;
+		} else {
+			keys = items.map((item) => normalize(item));
+		}
+
+		const unique = [...new Set(keys.filter((key) => key !== null))];
+		const result = await lookupUnique(unique);
+
+		// Items in failed batches (partial mode) get no result
+		const failed = new Set((result.failedBatches || []).flatMap((batch) => batch.items));
+		const byKey = resultsFor(result, unique.filter((key) => !failed.has(key)));
+		const rows = keys.map((key, index) => {
+			const found = key === null ? undefined : byKey.get(key);
+			return found ? { index, input: items[index], ...found } : null;
+		});
+
+		return { ...result, rows, ...(invalid && { invalid }) };
+	}
+
+	/**
+	 * Check already-validated emails (hashing them if enabled), or return an
+	 * empty result if there are none
+	 * @private
+	 */
+	async _emailBulkValid(emails, options) {
+		if (emails.length === 0) {
+			return { good: [], bad: [], ...(options.partial && { failedBatches: [] }) };
+		}
+		return this.emailBulk(emails, { ...options, invalid: "throw", dedupe: false, validate: false });
+	}
+
 	/**
 	 * Generate mock response for dry run mode
 	 * @private
@@ -386,34 +1145,431 @@ class BlacklistAlliance {
 	}
 
 	/**
-	 * Make an HTTP request with timeout and retry logic
+	 * Serve a single lookup from the result cache, or fetch and cache it.
+	 * Concurrent identical lookups share one request (see _singleflight).
 	 * @private
-	 * @param {string} url
-	 * @param {Object} options
-	 * @param {AbortSignal} [options.signal] - External abort signal for cancellation
+	 * @param {'simple'|'standard'} endpoint - API the fetcher calls (their bodies differ)
+	 * @param {string} phone - Validated phone number
+	 * @param {string} version
+	 * @param {string} responseFormat
+	 * @param {Object} options - Per-call options (signal, cacheStore)
+	 * @param {function(AbortSignal): Promise<*>} fetcher - Performs the actual request
 	 */
-	async _request(url, options = {}) {
-		// Dry run mode - return mock data without making API call
-		if (this.dryRun) {
-			this._log("debug", "Dry run - skipping actual request", { url });
-			return this._getDryRunResponse(url, options);
+	async _cachedLookup(endpoint, phone, version, responseFormat, options, fetcher) {
+		if (this.cache) {
+			const cached = this.cache.get(phone, version, responseFormat, endpoint);
+			if (cached !== undefined) {
+				this._log("debug", "Cache hit", { phone, version, responseFormat });
+				return cached;
+			}
 		}
 
-		// Check circuit breaker
-		this._checkCircuitBreaker();
+		const useStore = this._useCacheStore(options);
+		const storeKey = `lookup:${endpoint}:${version}:${responseFormat}:${this._storeKeyPhone(phone)}`;
 
-		const externalSignal = options.signal;
+		const load = async (signal) => {
+			if (useStore) {
+				const [stored] = await this._storeGetMany([storeKey]);
+				if (stored !== undefined) {
+					this._log("debug", "Cache store hit", { phone, version, responseFormat });
+					if (this.cache) this.cache.set(phone, version, responseFormat, stored, endpoint);
+					return stored;
+				}
+			}
 
-		// Check if already aborted before starting
-		if (externalSignal?.aborted) {
-			throw new TimeoutError("Request aborted", null);
+			const result = await fetcher(signal);
+			if (this.cache) this.cache.set(phone, version, responseFormat, result, endpoint);
+			if (useStore) await this._storeSetMany([[storeKey, result]]);
+			return result;
+		};
+
+		if (!this.coalesceRequests) {
+			return load(options.signal);
 		}
+		return this._singleflight(`${storeKey}:${useStore}`, options.signal, load);
+	}
 
-		let lastError;
+	/**
+	 * Share one in-flight call between concurrent callers with the same key.
+	 *
+	 * The shared call runs on its own AbortController: a caller aborting its
+	 * signal only rejects that caller. The shared call is aborted once every
+	 * caller waiting on it has aborted.
+	 * @private
+	 * @param {string} key
+	 * @param {AbortSignal} [signal] - Caller's abort signal
+	 * @param {function(AbortSignal): Promise<*>} fn - Starts the shared call
+	 */
+	_singleflight(key, signal, fn) {
+		if (signal?.aborted) {
+			return Promise.reject(new TimeoutError("Request aborted", null));
+		}
 
-		for (let attempt = 0; attempt <= this.retries; attempt++) {
+		let flight = this._inFlight.get(key);
+		if (flight) {
+			this._log("debug", "Joined in-flight request", { key });
+		} else {
 			const controller = new AbortController();
-			const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+			flight = { controller, waiters: 0 };
+			flight.promise = Promise.resolve()
+				.then(() => fn(controller.signal))
+				.finally(() => {
+					if (this._inFlight.get(key) === flight) this._inFlight.delete(key);
+				});
+			this._inFlight.set(key, flight);
+		}
+		flight.waiters++;
+
+		return new Promise((resolve, reject) => {
+			const onAbort = () => {
+				flight.waiters--;
+				if (flight.waiters === 0) {
+					// Nobody is waiting any more - cancel and let new callers start fresh
+					if (this._inFlight.get(key) === flight) this._inFlight.delete(key);
+					flight.controller.abort();
+				}
+				reject(new TimeoutError("Request aborted", null));
+			};
+			signal?.addEventListener("abort", onAbort, { once: true });
+
+			flight.promise.then(
+				(value) => {
+					signal?.removeEventListener("abort", onAbort);
+					resolve(value);
+				},
+				(error) => {
+					signal?.removeEventListener("abort", onAbort);
+					reject(error);
+				}
+			);
+		});
+	}
+
+	/**
+	 * Whether the persistent cache store should be used for a call
+	 * Never used in dry run mode so mock results don't leak into shared storage.
+	 * @private
+	 */
+	_useCacheStore(options = {}) {
+		return Boolean(this.cacheStore) && !this.dryRun && options.cacheStore !== false;
+	}
+
+	/**
+	 * Normalize a phone number for use in cache store keys (digits only,
+	 * without the leading country code 1)
+	 * @private
+	 */
+	_storeKeyPhone(phone) {
+		return this._canonicalPhone(String(phone).replace(/\D/g, ""));
+	}
+
+	/**
+	 * Read several keys from the cache store (store errors count as misses)
+	 * @private
+	 */
+	async _storeGetMany(keys) {
+		try {
+			if (typeof this.cacheStore.getMany === "function") {
+				return await this.cacheStore.getMany(keys);
+			}
+			return await Promise.all(keys.map((key) => this.cacheStore.get(key)));
+		} catch (error) {
+			this._log("warn", "Cache store read failed", { error: error.message });
+			return keys.map(() => undefined);
+		}
+	}
+
+	/**
+	 * Write several entries to the cache store (store errors are logged, not thrown)
+	 * @private
+	 */
+	async _storeSetMany(entries) {
+		if (entries.length === 0) return;
+		try {
+			if (typeof this.cacheStore.setMany === "function") {
+				await this.cacheStore.setMany(entries);
+			} else {
+				await Promise.all(entries.map(([key, value]) => this.cacheStore.set(key, value)));
+			}
+		} catch (error) {
+			this._log("warn", "Cache store write failed", { error: error.message });
+		}
+	}
+
+	/**
+	 * Bulk phone lookup reading through the cache store per phone.
+	 * Only uncached phones are sent; cached and fresh answers are merged in input order.
+	 * @private
+	 * @param {string[]} phones
+	 * @param {string} version
+	 * @param {function(string[]): Promise<BulkLookupResult>} send - Looks up uncached phones
+	 */
+	async _bulkLookupThroughStore(phones, version, send) {
+		const keys = phones.map((phone) => `bulk:${version}:${this._storeKeyPhone(phone)}`);
+		const stored = await this._storeGetMany(keys);
+
+		const entries = new Map();
+		const pending = new Set();
+		phones.forEach((phone, i) => {
+			if (stored[i] !== undefined) {
+				entries.set(phone, stored[i]);
+			} else {
+				pending.add(phone);
+			}
+		});
+		const uncached = [...pending];
+
+		this._log("debug", "Cache store bulk read", {
+			hits: phones.length - pending.size,
+			misses: pending.size,
+		});
+
+		let processed = phones.length - pending.size;
+		let failedBatches;
+		if (uncached.length > 0) {
+			const response = await send(uncached);
+			const fresh = this._mergeBulkResults([response]);
+			processed += fresh.count;
+
+			// Partial mode: phones in failed batches get no answer (and aren't stored)
+			failedBatches = response.failedBatches;
+			const failed = new Set((failedBatches || []).flatMap((b) => b.items));
+
+			const clean = new Set(fresh.phones);
+			const suppressed = new Set(fresh.supression);
+			const wireless = new Set(fresh.wireless);
+			const toStore = [];
+			for (const phone of uncached) {
+				if (failed.has(phone)) continue;
+				const entry = {
+					clean: clean.has(phone),
+					blacklisted: suppressed.has(phone),
+					wireless: wireless.has(phone),
+					reasons: fresh.reasons[phone] ?? null,
+					carrier: fresh.carrier[phone] ?? null,
+				};
+				entries.set(phone, entry);
+				toStore.push([`bulk:${version}:${this._storeKeyPhone(phone)}`, entry]);
+			}
+			await this._storeSetMany(toStore);
+		}
+
+		const merged = this._mergeBulkResults([]);
+		merged.numbers = phones.length;
+		merged.count = processed;
+		for (const phone of phones) {
+			const entry = entries.get(phone);
+			if (!entry) continue;
+			if (entry.clean) merged.phones.push(phone);
+			if (entry.blacklisted) merged.supression.push(phone);
+			if (entry.wireless) merged.wireless.push(phone);
+			if (entry.reasons != null) merged.reasons[phone] = entry.reasons;
+			if (entry.carrier != null) merged.carrier[phone] = entry.carrier;
+		}
+		if (failedBatches) merged.failedBatches = failedBatches;
+		return merged;
+	}
+
+	/**
+	 * Email bulk check reading through the cache store per email.
+	 * Only uncached emails are sent; good/bad lists come back in input order.
+	 * @private
+	 * @param {string[]} emails - Validated/hashed emails
+	 * @param {function(string[]): Promise<EmailBulkResult>} send - Checks uncached emails
+	 */
+	async _emailBulkThroughStore(emails, send) {
+		const keys = emails.map((email) => `email:${email.toLowerCase()}`);
+		const stored = await this._storeGetMany(keys);
+
+		const blacklisted = new Map();
+		const pending = new Map();
+		emails.forEach((email, i) => {
+			const key = email.toLowerCase();
+			if (stored[i] !== undefined) {
+				blacklisted.set(key, stored[i].blacklisted);
+			} else if (!pending.has(key)) {
+				pending.set(key, email);
+			}
+		});
+		const uncached = [...pending.values()];
+
+		this._log("debug", "Cache store email read", {
+			hits: emails.length - pending.size,
+			misses: pending.size,
+		});
+
+		let failedBatches;
+		if (uncached.length > 0) {
+			const fresh = await send(uncached);
+			const bad = new Set((fresh.bad || []).map((e) => e.toLowerCase()));
+
+			// Partial mode: emails in failed batches get no answer (and aren't stored)
+			failedBatches = fresh.failedBatches;
+			const failed = new Set((failedBatches || []).flatMap((b) => b.items));
+
+			const toStore = [];
+			for (const email of uncached) {
+				if (failed.has(email)) continue;
+				const key = email.toLowerCase();
+				blacklisted.set(key, bad.has(key));
+				toStore.push([`email:${key}`, { blacklisted: bad.has(key) }]);
+			}
+			await this._storeSetMany(toStore);
+		}
+
+		const result = {
+			good: emails.filter((e) => blacklisted.get(e.toLowerCase()) === false),
+			bad: emails.filter((e) => blacklisted.get(e.toLowerCase()) === true),
+		};
+		if (failedBatches) result.failedBatches = failedBatches;
+		return result;
+	}
+
+	/**
+	 * Whether to check the local suppression list for this call
+	 * @private
+	 */
+	_useLocalSuppression(options) {
+		return this.localSuppression !== null && options.localSuppression !== false;
+	}
+
+	/**
+	 * Single lookup result for a locally suppressed phone, or null if the
+	 * phone isn't on the list (or the list is off for this call)
+	 * @private
+	 */
+	async _localLookupResult(phone, options) {
+		if (!this._useLocalSuppression(options)) return null;
+		await this.localSuppression.load();
+		if (!this.localSuppression.hasPhone(phone)) return null;
+		this._log("debug", "Local suppression hit", { phone });
+		// Same shape as an API result, filled in like dry run results
+		return {
+			sid: "local",
+			status: "success",
+			message: "Blacklisted",
+			code: INTERNAL_REASON,
+			offset: 0,
+			wireless: 0,
+			phone: String(phone),
+			results: 1,
+			time: 0,
+			scrubs: true,
+		};
+	}
+
+	/**
+	 * Bulk phone lookup that sends only phones missing from the local
+	 * suppression list and merges the others in as blacklisted with the
+	 * `internal` reason
+	 * @private
+	 * @param {string[]} phones
+	 * @param {Object} mode
+	 * @param {boolean} mode.text - Phonecode text responses (`phone:internal` lines are appended)
+	 * @param {boolean} mode.partial - Include `failedBatches`, even if nothing is sent
+	 * @param {function(string[]): Promise<BulkLookupResult|string>} send - Looks up the other phones
+	 */
+	async _bulkLookupLocalFirst(phones, { text, partial }, send) {
+		await this.localSuppression.load();
+		const suppressed = new Set(phones.filter((phone) => this.localSuppression.hasPhone(phone)));
+		if (suppressed.size === 0) return send(phones);
+		this._log("debug", "Local suppression hits", { hits: suppressed.size });
+
+		const rest = phones.filter((phone) => !suppressed.has(phone));
+		const response = rest.length > 0 ? await send(rest) : null;
+		if (text) {
+			const lines = [...suppressed].map((phone) => `${phone}:${INTERNAL_REASON}`).join("\n");
+			return mergePhonecode([response ?? "", lines]);
+		}
+
+		const merged = this._mergeBulkResults(response ? [response] : []);
+		merged.numbers += suppressed.size;
+		merged.count += suppressed.size;
+		for (const phone of suppressed) {
+			merged.supression.push(String(phone));
+			merged.reasons[phone] = INTERNAL_REASON;
+		}
+		if (partial) merged.failedBatches = response?.failedBatches ?? [];
+		return merged;
+	}
+
+	/**
+	 * Email bulk check that sends only emails missing from the local
+	 * suppression list; the others are added to `bad` with the `internal` reason
+	 * @private
+	 * @param {string[]} emails - Validated/hashed emails
+	 * @param {boolean} partial - Include `failedBatches`, even if nothing is sent
+	 * @param {function(string[]): Promise<EmailBulkResult>} send - Checks the other emails
+	 */
+	async _emailBulkLocalFirst(emails, partial, send) {
+		await this.localSuppression.load();
+		const suppressed = new Set(emails.filter((email) => this.localSuppression.hasEmail(email)));
+		if (suppressed.size === 0) return send(emails);
+		this._log("debug", "Local suppression hits", { hits: suppressed.size });
+
+		const rest = emails.filter((email) => !suppressed.has(email));
+		const response = rest.length > 0 ? await send(rest) : { good: [], bad: [] };
+		const bad = new Set((response.bad || []).map((e) => e.toLowerCase()));
+
+		const result = {
+			good: response.good || [],
+			bad: emails.filter((email) => suppressed.has(email) || bad.has(email.toLowerCase())),
+			reasons: Object.fromEntries([...suppressed].map((email) => [email, INTERNAL_REASON])),
+		};
+		if (partial) result.failedBatches = response.failedBatches ?? [];
+		return result;
+	}
+
+	/**
+	 * Whether to apply consent overrides for this call
+	 * @private
+	 */
+	_useConsentOverrides(options) {
+		return this.consentOverrides !== null && options.consentOverrides !== false;
+	}
+
+	/**
+	 * Apply consent overrides to a single lookup result if enabled
+	 * @private
+	 */
+	_consentLookup(result, phone, options) {
+		if (!this._useConsentOverrides(options)) return result;
+		const updated = applyLookupConsent(result, phone, this.consentOverrides);
+		if (updated !== result) this._log("debug", "Consent override applied", { phone });
+		return updated;
+	}
+
+	/**
+	 * Make an HTTP request with timeout and retry logic
+	 * @private
+	 * @param {string} url
+	 * @param {Object} options
+	 * @param {AbortSignal} [options.signal] - External abort signal for cancellation
+	 */
+	async _request(url, options = {}) {
+		// Dry run mode - return mock data without making API call
+		if (this.dryRun) {
+			this._log("debug", "Dry run - skipping actual request", { url });
+			return this._getDryRunResponse(url, options);
+		}
+
+		// Check circuit breaker
+		this._checkCircuitBreaker();
+
+		const externalSignal = options.signal;
+
+		// Check if already aborted before starting
+		if (externalSignal?.aborted) {
+			throw new TimeoutError("Request aborted", null);
+		}
+
+		let lastError;
+		let retryDelay = 0;
+		const startedAt = Date.now();
+
+		for (let attempt = 0; attempt <= this.retries; attempt++) {
+			const controller = new AbortController();
+			let timeoutId;
 
 			// Link external signal to our controller
 			const onExternalAbort = () => controller.abort();
@@ -421,15 +1577,11 @@ class BlacklistAlliance {
 
 			try {
 				if (attempt > 0) {
-					// Exponential backoff: 100ms, 200ms, 400ms, 800ms...
-					const delay = Math.min(100 * Math.pow(2, attempt - 1), 10000);
-					// Add jitter (±25%) to prevent thundering herd
-					const jitter = delay * (0.75 + Math.random() * 0.5);
 					this._log("warn", `Retry attempt ${attempt}/${this.retries}`, {
 						url,
-						delay: Math.round(jitter),
+						delay: Math.round(retryDelay),
 					});
-					await this._sleep(jitter);
+					await this._sleep(retryDelay, externalSignal);
 				}
 
 				// Check again if aborted during backoff
@@ -437,6 +1589,22 @@ class BlacklistAlliance {
 					throw new TimeoutError("Request aborted", null);
 				}
 
+				// Wait for a rate limit token (queued, not rejected)
+				let rateLimit;
+				if (this.rateLimiter) {
+					rateLimit = (await this.rateLimiter.acquire(externalSignal)) || {};
+					if (rateLimit.waitMs > 0) {
+						this._log("debug", "Rate limit wait", {
+							url,
+							waitMs: rateLimit.waitMs,
+							queueDepth: rateLimit.queueDepth,
+						});
+					}
+				}
+
+				// Per-attempt timeout starts once the request is allowed to go out
+				timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
 				this._log("debug", "Request started", {
 					url,
 					method: options.method || "GET",
@@ -448,6 +1616,7 @@ class BlacklistAlliance {
 						method: options.method || "GET",
 						headers: options.headers,
 						body: options.body,
+						...(rateLimit && { rateLimit }),
 					});
 				}
 
@@ -474,21 +1643,13 @@ class BlacklistAlliance {
 				}
 
 				if (!response.ok) {
-					const retryAfter = response.headers.get("retry-after");
-					const error = BlacklistAllianceError.fromResponse(
+					// Retry decision is made in the catch block below
+					throw BlacklistAllianceError.fromResponse(
 						`API request failed: ${response.statusText}`,
 						response.status,
 						data,
-						{ retryAfter: retryAfter ? parseInt(retryAfter, 10) : undefined }
+						{ retryAfter: this._parseRetryAfter(response.headers.get("retry-after")) }
 					);
-
-					// Check if we should retry
-					if (this._isRetryable(error) && attempt < this.retries) {
-						lastError = error;
-						this._log("warn", `Retryable error: ${response.status}`, { url });
-						continue;
-					}
-					throw error;
 				}
 
 				this._log("debug", "Request completed", {
@@ -512,7 +1673,7 @@ class BlacklistAlliance {
 				clearTimeout(timeoutId);
 				externalSignal?.removeEventListener("abort", onExternalAbort);
 
-				if (error.name === "AbortError") {
+				if (error.name === "AbortError" || externalSignal?.aborted) {
 					// Check if abort was from external signal or internal timeout
 					const wasExternalAbort = externalSignal?.aborted;
 					lastError = new TimeoutError(
@@ -530,10 +1691,12 @@ class BlacklistAlliance {
 				}
 
 				// Check if we should retry
-				if (this._isRetryable(lastError) && attempt < this.retries) {
+				retryDelay = this._getRetryDelay(lastError, attempt + 1, startedAt);
+				if (retryDelay !== null) {
 					this._log("warn", `Request failed, will retry`, {
 						url,
 						error: lastError.message,
+						status: lastError.statusCode,
 					});
 					continue;
 				}
@@ -581,11 +1744,193 @@ class BlacklistAlliance {
 			merged.wireless.push(...(r.wireless || []));
 			Object.assign(merged.reasons, r.reasons || {});
 			Object.assign(merged.carrier, r.carrier || {});
+			if (r.overrides) merged.overrides = { ...merged.overrides, ...r.overrides };
 		}
 
 		return merged;
 	}
 
+	/**
+	 * Build per-phone results from a bulk lookup result
+	 * @private
+	 * @param {BulkLookupResult|BulkLookupResult[]} result - Bulk result (array-wrapped or merged)
+	 * @param {string[]} phones - Phones to extract, as sent
+	 * @returns {Map<string, PhoneResult>}
+	 */
+	_phoneResultsFromBulk(result, phones) {
+		const r = (Array.isArray(result) ? result[0] : result) || {};
+		// Older API versions may return numeric phones and omit wireless/carrier
+		const suppressed = new Set((r.supression || []).map(String));
+		const isWireless = bulkWireless(r);
+		const reasons = r.reasons || {};
+		const carriers = r.carrier || {};
+		const ocnInfo = r.ocn_info || {};
+
+		const byPhone = new Map();
+		for (const phone of phones) {
+			const carrier = carriers[phone] || null;
+			byPhone.set(phone, {
+				phone,
+				blacklisted: suppressed.has(phone),
+				reasons: reasonCodes(reasons[phone]),
+				wireless: isWireless(phone),
+				carrier,
+				ocnInfo: carrier?.ocn_info || ocnInfo[phone] || null,
+				...(r.overrides?.[phone] && { override: r.overrides[phone] }),
+			});
+		}
+		return byPhone;
+	}
+
+	/**
+	 * Look up phones and return the result as a Map of phone to PhoneResult
+	 * (shape: 'byPhone')
+	 * @private
+	 */
+	async _bulkLookupByPhone(phones, options, lookup) {
+		this._checkByPhoneOptions(options);
+		phones = phones.map((phone) => this._phoneInput(phone));
+		const result = await lookup(phones, { ...options, shape: "merged" });
+		return this._phoneResultsFromBulk(result, phones);
+	}
+
+	/**
+	 * Throw unless the options allow shape: 'byPhone'
+	 * @private
+	 */
+	_checkByPhoneOptions(options) {
+		if (options.shape !== "byPhone") {
+			throw new ValidationError(`Unknown result shape: ${options.shape}`, 400, null);
+		}
+		this._requireJsonFormat(options, "shape: 'byPhone'");
+		if (options.partial || options.invalid === "collect" || options.dedupe) {
+			throw new ValidationError(
+				"shape: 'byPhone' can't be combined with partial, invalid: 'collect' or dedupe; use toPhoneMap(result) instead",
+				400,
+				null
+			);
+		}
+	}
+
+	/**
+	 * Normalize a single lookup result if enabled (JSON or parsed responses only)
+	 * @private
+	 */
+	_normalizeLookup(result, version, options) {
+		if (!(options.normalize ?? this.normalizeResults) || result === null || typeof result !== "object") {
+			return result;
+		}
+		return normalizeLookupResult(result, version);
+	}
+
+	/**
+	 * Run a bulk lookup and return version-normalized results. Mode extras
+	 * (failedBatches, invalid) are kept; dedupe rows and byPhone Map values
+	 * become NormalizedPhoneResults
+	 * @private
+	 */
+	async _normalizedBulkLookup(phones, options, lookup) {
+		const version = options.version || this.defaultVersion;
+		const byPhone = options.shape !== undefined && options.shape !== "merged";
+		if (byPhone) {
+			this._checkByPhoneOptions(options);
+			phones = phones.map((phone) => this._phoneInput(phone));
+		}
+
+		const result = await lookup(phones, { ...options, normalize: false, shape: "merged" });
+		// Phonecode text has nothing to normalize
+		if (typeof result === "string") return result;
+		if (byPhone) return normalizeBulkPhones(result, phones, version);
+
+		const { failedBatches, invalid, rows, ...base } = Array.isArray(result) ? result[0] || {} : result;
+		const normalized = normalizeBulkResult(base, version);
+		if (failedBatches) normalized.failedBatches = failedBatches;
+		if (invalid) normalized.invalid = invalid;
+		if (rows) {
+			const results = normalizeBulkPhones(
+				base,
+				[...new Set(rows.filter(Boolean).map((row) => row.phone))],
+				version
+			);
+			normalized.rows = rows.map((row) => row && { index: row.index, input: row.input, ...results.get(row.phone) });
+		}
+		return normalized;
+	}
+
+	/**
+	 * Get (or create) the micro-batcher for an API version
+	 * @private
+	 */
+	_getMicroBatcher(version) {
+		let batcher = this._microBatchers.get(version);
+		if (!batcher) {
+			batcher = new MicroBatcher(async (phones) => {
+				this._log("debug", "Micro-batch flush", { version, size: phones.length });
+				const result = await this.bulkLookupSimple(phones, { version, normalize: false });
+				return this._phoneResultsFromBulk(result, phones);
+			}, this._microBatch);
+			this._microBatchers.set(version, batcher);
+		}
+		return batcher;
+	}
+
+	/**
+	 * Resolve batch size and concurrency for streaming lookups
+	 * @private
+	 */
+	_streamOptions(options) {
+		return {
+			batchSize: Math.max(1, Math.min(Math.floor(options.batchSize) || BATCH_LIMIT, BATCH_LIMIT)),
+			concurrency: Math.max(1, Math.floor(options.concurrency) || 1),
+		};
+	}
+
+	/**
+	 * Build a batch lookup resolving one PhoneResult per phone, in order
+	 * @private
+	 */
+	_phoneBatchLookup(options) {
+		return async (items) => {
+			const phones = items.map((phone) => this._phoneInput(phone));
+			const result = await this.bulkLookupSimple(phones, {
+				version: options.version,
+				autoBatch: false,
+				signal: options.signal,
+				cacheStore: options.cacheStore,
+				localSuppression: options.localSuppression,
+				consentOverrides: options.consentOverrides,
+				normalize: false,
+			});
+			const byPhone = this._phoneResultsFromBulk(result, phones);
+			return phones.map((phone) => byPhone.get(phone));
+		};
+	}
+
+	/**
+	 * Build a batch lookup resolving one EmailResult per email, in order
+	 * @private
+	 */
+	_emailBatchLookup(options) {
+		return async (emails) => {
+			const result = await this.emailBulk(emails, {
+				hashEmails: options.hashEmails,
+				validate: options.validate,
+				autoBatch: false,
+				signal: options.signal,
+				cacheStore: options.cacheStore,
+				localSuppression: options.localSuppression,
+				consentOverrides: options.consentOverrides,
+			});
+			const bad = new Set(result.bad.map((e) => e.toLowerCase()));
+			return emails.map((email) => {
+				const sent = options.hashEmails
+					? this._hashEmail(email)
+					: options.validate !== false ? this._validateEmail(email) : email;
+				return { email, blacklisted: bad.has(sent.toLowerCase()) };
+			});
+		};
+	}
+
 	/**
 	 * Compute "bad" emails as submitted minus "good" (API only returns good)
 	 * @private
@@ -626,12 +1971,16 @@ class BlacklistAlliance {
 
 	/**
 	 * Lookup a single phone number (Simple API)
-	 * @param {string} phone - Phone number to lookup (e.g., '2223334444')
+	 * @param {string|ParsedPhone} phone - Phone number to lookup (e.g., '2223334444') or a parsePhone result
 	 * @param {Object} [options]
 	 * @param {ApiVersion} [options.version] - API version (v1, v2, v3, v5)
 	 * @param {ResponseFormat} [options.responseFormat='json'] - Response format
 	 * @param {boolean} [options.validate=true] - Validate phone format
-	 * @returns {Promise<SingleLookupResult>}
+	 * @param {boolean} [options.cacheStore=true] - Set false to bypass the persistent cache store
+	 * @param {boolean} [options.localSuppression=true] - Set false to skip the local suppression list
+	 * @param {boolean} [options.consentOverrides=true] - Set false to skip consent overrides
+	 * @param {boolean} [options.normalize] - Return a NormalizedLookupResult (default: client's normalizeResults)
+	 * @returns {Promise<SingleLookupResult|NormalizedLookupResult>}
 	 *
 	 * @example
 	 * const result = await client.lookupSingle('2223334444');
@@ -641,25 +1990,37 @@ class BlacklistAlliance {
 	 */
 	async lookupSingle(phone, options = {}) {
 		const cleanPhone =
-			options.validate !== false ? this._validatePhone(phone) : phone;
+			options.validate !== false ? this._validatePhone(phone) : this._phoneInput(phone);
+
+		const version = options.version || this.defaultVersion;
+		const responseFormat = options.responseFormat || "json";
 
 		const params = new URLSearchParams({
 			key: this.apiKey,
 			phone: cleanPhone,
-			ver: options.version || this.defaultVersion,
-			resp: options.responseFormat || "json",
+			ver: version,
+			resp: responseFormat,
 		});
 
-		return this._request(`${BASE_URL}/lookup?${params}`, { signal: options.signal });
+		// Raw text responses can't carry a local result
+		if (responseFormat === "json") {
+			const local = await this._localLookupResult(cleanPhone, options);
+			if (local) return this._normalizeLookup(this._consentLookup(local, cleanPhone, options), version, options);
+		}
+
+		const data = await this._cachedLookup("simple", cleanPhone, version, responseFormat, options, (signal) =>
+			this._request(`${BASE_URL}/lookup?${params}`, { signal })
+		);
+		return this._normalizeLookup(this._consentLookup(data, cleanPhone, options), version, options);
 	}
 
 	/**
 	 * Lookup multiple phone numbers in bulk (Simple API)
-	 * Auto-batches requests for JSON format (disabled for raw/phonecode formats).
+	 * Auto-batches requests; phonecode text from several batches is joined line by line.
 	 *
-	 * @param {string[]} phones - Array of phone numbers
+	 * @param {Array<string|ParsedPhone>} phones - Array of phone numbers (or parsePhone results)
 	 * @param {BulkOptions} [options]
-	 * @returns {Promise<BulkLookupResult|string>} JSON object or raw string based on responseFormat
+	 * @returns {Promise<BulkLookupResult|Map<string, PhoneResult>|string>} JSON object, per-phone Map (shape: 'byPhone') or raw string based on responseFormat
 	 *
 	 * @example
 	 * const result = await client.bulkLookupSimple(['2223334444', '5556667777']);
@@ -674,10 +2035,64 @@ class BlacklistAlliance {
 				null
 			);
 		}
+		if (options.normalize ?? this.normalizeResults) {
+			return this._normalizedBulkLookup(phones, options, (sent, opts) => this.bulkLookupSimple(sent, opts));
+		}
+		if (options.shape !== undefined && options.shape !== "merged") {
+			return this._bulkLookupByPhone(phones, options, (sent, opts) => this.bulkLookupSimple(sent, opts));
+		}
+		if (options.dedupe) {
+			this._requireJsonFormat(options, "dedupe");
+			return this._bulkDeduped(
+				phones,
+				options,
+				(phone) => this._canonicalPhone(this._validatePhone(phone)),
+				(unique) => this._bulkLookupValid(unique, options, (valid, opts) => this.bulkLookupSimple(valid, opts)),
+				(result, unique) => this._phoneResultsFromBulk(result, unique)
+			);
+		}
+		if (options.invalid === "collect") {
+			return this._bulkLookupCollectingInvalid(phones, options, (valid, opts) =>
+				this.bulkLookupSimple(valid, opts)
+			);
+		}
+		phones = phones.map((phone) => this._phoneInput(phone));
 
 		const responseFormat = options.responseFormat || "json";
-		// Only auto-batch for JSON format (can't merge raw/text responses)
-		const canBatch = responseFormat === "json";
+		const phonecodeOutput = options.phonecodeOutput || "text";
+		if (phonecodeOutput !== "text" && phonecodeOutput !== "parsed") {
+			throw new ValidationError(`Unknown phonecodeOutput: ${phonecodeOutput}`, 400, null);
+		}
+		// Parsed phonecode responses have the same shape as JSON ones
+		const parsed = responseFormat === "phonecode" && phonecodeOutput === "parsed";
+		const mergeable = responseFormat === "json" || parsed;
+
+		// Consent overrides apply to the merged result, local suppression hits included
+		if (mergeable && this._useConsentOverrides(options)) {
+			const result = await this.bulkLookupSimple(phones, { ...options, consentOverrides: false });
+			return applyBulkConsent(result, this.consentOverrides);
+		}
+
+		// Locally suppressed phones are never sent
+		if (this._useLocalSuppression(options)) {
+			return this._bulkLookupLocalFirst(
+				phones,
+				{ text: !mergeable, partial: mergeable && options.partial === true },
+				(rest) => this.bulkLookupSimple(rest, { ...options, localSuppression: false })
+			);
+		}
+
+		// Read through the persistent store per phone (JSON only - phonecode lacks carrier data)
+		if (responseFormat === "json" && this._useCacheStore(options)) {
+			return this._bulkLookupThroughStore(
+				phones,
+				options.version || this.defaultVersion,
+				(uncached) => this.bulkLookupSimple(uncached, { ...options, cacheStore: false })
+			);
+		}
+
+		// Phonecode text is merged by joining the batches' lines
+		const canBatch = mergeable || responseFormat === "phonecode";
 		const autoBatch = canBatch && options.autoBatch !== false;
 		const batches = autoBatch ? this._batchBySize(phones) : [phones];
 
@@ -687,36 +2102,23 @@ class BlacklistAlliance {
 			resp: responseFormat,
 		});
 
-		if (batches.length === 1) {
-			const result = await this._request(`${BASE_URL}/bulklookup?${params}`, {
-				method: "POST",
-				body: JSON.stringify({ phones: batches[0] }),
-				signal: options.signal,
-			});
-			if (options.onProgress) {
-				options.onProgress({ completed: phones.length, total: phones.length, batch: 1, totalBatches: 1 });
-			}
-			return result;
-		}
-
-		// Multiple batches - execute sequentially and merge (JSON only)
-		const results = [];
-		let completed = 0;
-		for (let i = 0; i < batches.length; i++) {
-			const batch = batches[i];
-			const result = await this._request(`${BASE_URL}/bulklookup?${params}`, {
+		// Partial results only make sense for mergeable (JSON or parsed) responses
+		const partial = mergeable && options.partial === true;
+		const { results, failedBatches } = await this._runBatches(batches, async (batch) => {
+			const data = await this._request(`${BASE_URL}/bulklookup?${params}`, {
 				method: "POST",
 				body: JSON.stringify({ phones: batch }),
 				signal: options.signal,
 			});
-			results.push(result);
-			completed += batch.length;
-			if (options.onProgress) {
-				options.onProgress({ completed, total: phones.length, batch: i + 1, totalBatches: batches.length });
-			}
-		}
+			return parsed && typeof data === "string" ? parsePhonecode(data) : data;
+		}, { ...options, partial });
 
-		return this._mergeBulkResults(results);
+		if (partial) {
+			return { ...this._mergeBulkResults(results), failedBatches };
+		}
+		// Single batch returns the API response as-is (JSON, phonecode text or parsed phonecode)
+		if (batches.length === 1) return results[0];
+		return mergeable ? this._mergeBulkResults(results) : mergePhonecode(results);
 	}
 
 	/**
@@ -746,6 +2148,35 @@ class BlacklistAlliance {
 			);
 		}
 
+		// Emails are compared case-insensitively (and after hashing, if enabled)
+		if (options.dedupe) {
+			return this._bulkDeduped(
+				emails,
+				options,
+				(email) => {
+					const checked = options.validate !== false
+						? this._validateEmail(email)
+						: String(email).replace(/[\r\n]/g, "").trim();
+					return options.hashEmails ? this._hashEmail(checked) : checked.toLowerCase();
+				},
+				// Keys are already hashed
+				(unique) => this._emailBulkValid(unique, { ...options, hashEmails: false }),
+				(result, unique) => {
+					const bad = new Set(result.bad.map((e) => e.toLowerCase()));
+					return new Map(unique.map((email) => [email, { email, blacklisted: bad.has(email) }]));
+				}
+			);
+		}
+
+		// Send only the valid emails; hashing (if enabled) happens on the recursive call
+		if (options.invalid === "collect") {
+			const { valid, invalid } = options.validate === false
+				? { valid: emails, invalid: [] }
+				: this._partitionInvalid(emails, (email) => this._validateEmail(email));
+			const result = await this._emailBulkValid(valid, options);
+			return { ...result, invalid };
+		}
+
 		// Validate emails unless disabled (skip validation for pre-hashed emails)
 		let processedEmails = emails;
 		if (options.validate !== false && !options.hashEmails) {
@@ -757,6 +2188,31 @@ class BlacklistAlliance {
 			processedEmails = emails.map((email) => this._hashEmail(email));
 		}
 
+		// Consent overrides apply to the merged result, local suppression hits included
+		if (this._useConsentOverrides(options)) {
+			const result = await this.emailBulk(processedEmails, {
+				...options,
+				hashEmails: false,
+				validate: false,
+				consentOverrides: false,
+			});
+			return applyEmailConsent(result, this.consentOverrides);
+		}
+
+		// Locally suppressed emails are never sent
+		if (this._useLocalSuppression(options)) {
+			return this._emailBulkLocalFirst(processedEmails, options.partial === true, (rest) =>
+				this.emailBulk(rest, { ...options, hashEmails: false, validate: false, localSuppression: false })
+			);
+		}
+
+		// Read through the persistent store per email
+		if (this._useCacheStore(options)) {
+			return this._emailBulkThroughStore(processedEmails, (uncached) =>
+				this.emailBulk(uncached, { ...options, hashEmails: false, validate: false, cacheStore: false })
+			);
+		}
+
 		const autoBatch = options.autoBatch !== false;
 		const batches = autoBatch
 			? this._batchBySize(processedEmails)
@@ -766,37 +2222,26 @@ class BlacklistAlliance {
 			key: this.apiKey,
 		});
 
-		if (batches.length === 1) {
-			const result = await this._request(`${BASE_URL}/emailbulk?${params}`, {
-				method: "POST",
-				body: JSON.stringify({ emails: batches[0] }),
-				signal: options.signal,
-			});
-			if (options.onProgress) {
-				options.onProgress({ completed: processedEmails.length, total: processedEmails.length, batch: 1, totalBatches: 1 });
-			}
-			// Compute "bad" as submitted minus "good" (API only returns good)
-			return this._computeBadEmails(result, processedEmails);
-		}
-
-		// Multiple batches - execute sequentially and merge
-		const results = [];
-		let completed = 0;
-		for (let i = 0; i < batches.length; i++) {
-			const batch = batches[i];
-			const result = await this._request(`${BASE_URL}/emailbulk?${params}`, {
+		const partial = options.partial === true;
+		const { results, failedBatches } = await this._runBatches(batches, (batch) =>
+			this._request(`${BASE_URL}/emailbulk?${params}`, {
 				method: "POST",
 				body: JSON.stringify({ emails: batch }),
 				signal: options.signal,
-			});
-			results.push(result);
-			completed += batch.length;
-			if (options.onProgress) {
-				options.onProgress({ completed, total: processedEmails.length, batch: i + 1, totalBatches: batches.length });
-			}
-		}
+			}), { ...options, partial });
 
-		return this._mergeEmailResults(results, processedEmails);
+		if (partial) {
+			// Only emails from successful batches can be classified good/bad
+			const submitted = batches.filter((batch, i) => results[i] !== undefined).flat();
+			return {
+				...this._mergeEmailResults(results.filter(Boolean), submitted),
+				failedBatches,
+			};
+		}
+		// Compute "bad" as submitted minus "good" (API only returns good)
+		return batches.length === 1
+			? this._computeBadEmails(results[0], processedEmails)
+			: this._mergeEmailResults(results, processedEmails);
 	}
 
 	// ============================================
@@ -805,37 +2250,65 @@ class BlacklistAlliance {
 
 	/**
 	 * Lookup a single phone number (Standard RESTful API)
-	 * @param {string} phone - 10-digit phone number
+	 * @param {string|ParsedPhone} phone - 10-digit phone number or a parsePhone result
 	 * @param {Object} [options]
 	 * @param {ApiVersion} [options.version] - API version (v3 adds carrier info)
 	 * @param {StandardResponseFormat} [options.responseFormat='json'] - Response format
+	 * @param {boolean} [options.parse=true] - Parse 'raw'/'xml' responses into a SingleLookupResult
+	 *   (false returns the body as a string)
 	 * @param {boolean} [options.validate=true] - Validate phone format
-	 * @returns {Promise<SingleLookupResult>}
+	 * @param {boolean} [options.cacheStore=true] - Set false to bypass the persistent cache store
+	 * @param {boolean} [options.localSuppression=true] - Set false to skip the local suppression list
+	 * @param {boolean} [options.consentOverrides=true] - Set false to skip consent overrides
+	 * @param {boolean} [options.normalize] - Return a NormalizedLookupResult (default: client's normalizeResults)
+	 * @returns {Promise<SingleLookupResult|NormalizedLookupResult|string>}
 	 *
 	 * @example
 	 * const result = await client.lookup('2223334444', { version: 'v3' });
 	 * console.log('Carrier:', result.carrier?.name);
+	 *
+	 * // Same result shape, fetched as XML
+	 * const parsed = await client.lookup('2223334444', { responseFormat: 'xml' });
 	 */
 	async lookup(phone, options = {}) {
 		const cleanPhone =
-			options.validate !== false ? this._validatePhone(phone) : phone;
+			options.validate !== false ? this._validatePhone(phone) : this._phoneInput(phone);
 		const version = options.version || this.defaultVersion;
 		const responseFormat = options.responseFormat || "json";
 
 		const url = `${BASE_URL}/standard/api/${version}/Lookup/key/${this.apiKey}/phone/${cleanPhone}/response/${responseFormat}`;
 
-		return this._request(url, { signal: options.signal });
+		// Unparsed text responses can't carry a local result
+		if (responseFormat === "json" || options.parse !== false) {
+			const local = await this._localLookupResult(cleanPhone, options);
+			if (local) return this._normalizeLookup(this._consentLookup(local, cleanPhone, options), version, options);
+		}
+
+		// Caches hold the body as received; parse on the way out
+		const data = await this._cachedLookup("standard", cleanPhone, version, responseFormat, options, (signal) =>
+			this._request(url, { signal })
+		);
+		const parse = options.parse !== false && (responseFormat === "xml" || responseFormat === "raw");
+		const result = parse && typeof data === "string" ? parseLookupResponse(data, responseFormat) : data;
+		return this._normalizeLookup(this._consentLookup(result, cleanPhone, options), version, options);
 	}
 
 	/**
 	 * Lookup multiple phone numbers in bulk (Standard RESTful API)
 	 * Auto-batches if payload exceeds 1MB limit.
 	 *
-	 * @param {string[]} phones - Array of phone numbers
+	 * @param {Array<string|ParsedPhone>} phones - Array of phone numbers (or parsePhone results)
 	 * @param {Object} [options]
 	 * @param {ApiVersion} [options.version] - API version
 	 * @param {boolean} [options.autoBatch=true] - Automatically batch if payload exceeds limit
-	 * @returns {Promise<BulkLookupResult>}
+	 * @param {number} [options.concurrency=1] - Max batches sent in parallel
+	 * @param {boolean} [options.partial=false] - Return successful batches plus `failedBatches` instead of throwing
+	 * @param {InvalidMode} [options.invalid='throw'] - 'collect' sends only valid phones and lists the rest in `invalid`
+	 * @param {boolean} [options.dedupe=false] - Send each distinct phone once and return `rows`
+	 * @param {ResultShape} [options.shape='merged'] - 'byPhone' returns a Map of phone to PhoneResult
+	 * @param {boolean} [options.localSuppression=true] - Set false to skip the local suppression list
+	 * @param {boolean} [options.consentOverrides=true] - Set false to skip consent overrides
+	 * @returns {Promise<BulkLookupResult|Map<string, PhoneResult>>}
 	 *
 	 * @example
 	 * const result = await client.bulkLookup(['2223334444', '5556667777']);
@@ -849,6 +2322,41 @@ class BlacklistAlliance {
 				null
 			);
 		}
+		if (options.normalize ?? this.normalizeResults) {
+			return this._normalizedBulkLookup(phones, options, (sent, opts) => this.bulkLookup(sent, opts));
+		}
+		if (options.shape !== undefined && options.shape !== "merged") {
+			return this._bulkLookupByPhone(phones, options, (sent, opts) => this.bulkLookup(sent, opts));
+		}
+		if (options.dedupe) {
+			this._requireJsonFormat(options, "dedupe");
+			return this._bulkDeduped(
+				phones,
+				options,
+				(phone) => this._canonicalPhone(this._validatePhone(phone)),
+				(unique) => this._bulkLookupValid(unique, options, (valid, opts) => this.bulkLookup(valid, opts)),
+				(result, unique) => this._phoneResultsFromBulk(result, unique)
+			);
+		}
+		if (options.invalid === "collect") {
+			return this._bulkLookupCollectingInvalid(phones, options, (valid, opts) =>
+				this.bulkLookup(valid, opts)
+			);
+		}
+		phones = phones.map((phone) => this._phoneInput(phone));
+
+		// Consent overrides apply to the merged result, local suppression hits included
+		if (this._useConsentOverrides(options)) {
+			const result = await this.bulkLookup(phones, { ...options, consentOverrides: false });
+			return applyBulkConsent(result, this.consentOverrides);
+		}
+
+		// Locally suppressed phones are never sent
+		if (this._useLocalSuppression(options)) {
+			return this._bulkLookupLocalFirst(phones, { text: false, partial: options.partial === true }, (rest) =>
+				this.bulkLookup(rest, { ...options, localSuppression: false })
+			);
+		}
 
 		const autoBatch = options.autoBatch !== false;
 		const batches = autoBatch ? this._batchBySize(phones) : [phones];
@@ -856,45 +2364,172 @@ class BlacklistAlliance {
 
 		const url = `${BASE_URL}/standard/api/${version}/bulklookup/key/${this.apiKey}`;
 
-		if (batches.length === 1) {
-			const result = await this._request(url, {
+		const partial = options.partial === true;
+		const { results, failedBatches } = await this._runBatches(batches, (batch) =>
+			this._request(url, {
 				method: "POST",
-				body: JSON.stringify({ phones: batches[0] }),
+				body: JSON.stringify({ phones: batch }),
 				signal: options.signal,
-			});
-			if (options.onProgress) {
-				options.onProgress({ completed: phones.length, total: phones.length, batch: 1, totalBatches: 1 });
-			}
-			return result;
+			}), { ...options, partial });
+
+		if (partial) {
+			return { ...this._mergeBulkResults(results), failedBatches };
 		}
+		return batches.length === 1 ? results[0] : this._mergeBulkResults(results);
+	}
 
-		// Multiple batches - execute sequentially and merge
-		const results = [];
-		let completed = 0;
-		for (let i = 0; i < batches.length; i++) {
-			const batch = batches[i];
-			const result = await this._request(url, {
-				method: "POST",
-				body: JSON.stringify({ phones: batch }),
-				signal: options.signal,
-			});
-			results.push(result);
-			completed += batch.length;
-			if (options.onProgress) {
-				options.onProgress({ completed, total: phones.length, batch: i + 1, totalBatches: batches.length });
-			}
+	/**
+	 * Create a resumable bulk scrub job (Simple API bulk lookup)
+	 * Completed batch results are checkpointed to disk after each
+	 * batch. Running a job again with the same items and checkpointPath after a
+	 * crash resumes from the checkpoint and produces the same merged output.
+	 *
+	 * @param {Array<string|ParsedPhone>} phones - Array of phone numbers (or parsePhone results)
+	 * @param {Object} options
+	 * @param {string} options.checkpointPath - Checkpoint file (created if missing)
+	 * @param {ApiVersion} [options.version] - API version
+	 * @param {number} [options.concurrency=1] - Max batches sent in parallel
+	 * @param {boolean} [options.keepCheckpoint=false] - Keep the checkpoint file after completion
+	 * @param {AbortSignal} [options.signal] - Stops the job; completed batches stay checkpointed
+	 * @param {function(ProgressInfo): void} [options.onProgress] - Progress (includes resumed batches)
+	 * @returns {ScrubJob}
+	 *
+	 * @example
+	 * const job = client.createScrubJob(phones, { checkpointPath: './scrub.ckpt' });
+	 * const result = await job.run(); // Re-run after a crash to resume
+	 */
+	createScrubJob(phones, options = {}) {
+		if (!Array.isArray(phones) || phones.length === 0) {
+			throw new ValidationError(
+				"phones must be a non-empty array",
+				400,
+				null
+			);
 		}
+		phones = phones.map((phone) => this._phoneInput(phone));
+		return new ScrubJob(this, phones, options);
+	}
 
-		return this._mergeBulkResults(results);
+	// ============================================
+	// STREAMING
+	// ============================================
+
+	/**
+	 * Lookup phones from an (async) iterable, yielding a result per phone
+	 * as each batch completes. Only `concurrency` batches are held in memory,
+	 * so database cursors and file streams of any size can be scrubbed.
+	 * Blank items (empty strings, null) are skipped.
+	 *
+	 * @param {AsyncIterable<string|ParsedPhone>|Iterable<string|ParsedPhone>} phones - e.g. a cursor or readline interface
+	 * @param {StreamOptions} [options]
+	 * @returns {AsyncGenerator<PhoneResult>} Results in input order
+	 *
+	 * @example
+	 * const lines = readline.createInterface({ input: fs.createReadStream('phones.txt') });
+	 * for await (const { phone, blacklisted } of client.bulkLookupStream(lines)) {
+	 *   if (!blacklisted) dial(phone);
+	 * }
+	 */
+	bulkLookupStream(phones, options = {}) {
+		return lookupIterable(phones, this._phoneBatchLookup(options), this._streamOptions(options));
+	}
+
+	/**
+	 * Check emails from an (async) iterable, yielding a result per email
+	 * as each batch completes. Blank items are skipped.
+	 *
+	 * @param {AsyncIterable<string>|Iterable<string>} emails
+	 * @param {EmailStreamOptions} [options]
+	 * @returns {AsyncGenerator<EmailResult>} Results in input order
+	 *
+	 * @example
+	 * for await (const { email, blacklisted } of client.emailBulkStream(cursor)) {
+	 *   if (blacklisted) suppress(email);
+	 * }
+	 */
+	emailBulkStream(emails, options = {}) {
+		return lookupIterable(emails, this._emailBatchLookup(options), this._streamOptions(options));
+	}
+
+	/**
+	 * Create an object-mode Transform stream: write phones, read PhoneResults.
+	 * Respects backpressure, so memory stays flat regardless of input size.
+	 *
+	 * @param {StreamOptions} [options]
+	 * @returns {import("stream").Transform}
+	 *
+	 * @example
+	 * await pipeline(phoneSource, client.createBulkLookupStream(), resultSink);
+	 */
+	createBulkLookupStream(options = {}) {
+		return new BatchLookupTransform(this._phoneBatchLookup(options), this._streamOptions(options));
+	}
+
+	/**
+	 * Create an object-mode Transform stream: write emails, read EmailResults.
+	 *
+	 * @param {EmailStreamOptions} [options]
+	 * @returns {import("stream").Transform}
+	 */
+	createEmailBulkStream(options = {}) {
+		return new BatchLookupTransform(this._emailBatchLookup(options), this._streamOptions(options));
+	}
+
+	/**
+	 * Scrub a CSV lead file into clean and suppressed CSV files.
+	 * The file is streamed, so memory use doesn't depend on its size.
+	 * Each output row is the input row plus `blacklist_reasons`, `wireless` (Y/N)
+	 * and `carrier` columns (and `email_blacklisted` when checking emails).
+	 * A row is suppressed if its phone or email is blacklisted, or if it has no
+	 * valid phone/email to check (reason code `invalid`).
+	 *
+	 * @param {string} inputPath - CSV file to scrub
+	 * @param {ScrubCsvOptions} options
+	 * @returns {Promise<ScrubCsvSummary>}
+	 *
+	 * @example
+	 * const summary = await client.scrubCsv('./leads.csv', {
+	 *   phoneColumn: 'Phone',
+	 *   outputs: { clean: './out/clean.csv', suppressed: './out/suppressed.csv' }
+	 * });
+	 * console.log(`${summary.clean} clean, ${summary.suppressed} suppressed`);
+	 */
+	async scrubCsv(inputPath, options = {}) {
+		return scrubCsv(this, inputPath, options);
 	}
 
 	// ============================================
 	// CONVENIENCE METHODS
 	// ============================================
 
+	/**
+	 * Lookup a single phone number via micro-batched bulk requests.
+	 * Checks made within `microBatch.maxWaitMs` of each other are sent as one
+	 * bulkLookupSimple call; each caller gets the result for its own phone.
+	 * Phones are keyed by their 10-digit form, so `12223334444` and
+	 * `(222) 333-4444` in the same window are sent once.
+	 * Uses the default micro-batch settings if `microBatch` is not configured.
+	 *
+	 * @param {string|ParsedPhone} phone - Phone number to lookup
+	 * @param {Object} [options]
+	 * @param {ApiVersion} [options.version] - API version
+	 * @param {AbortSignal} [options.signal] - Rejects this caller only; the batch still runs
+	 * @returns {Promise<PhoneResult>}
+	 *
+	 * @example
+	 * const { blacklisted, reasons } = await client.lookupBatched('2223334444');
+	 */
+	async lookupBatched(phone, options = {}) {
+		const cleanPhone = this._canonicalPhone(this._validatePhone(phone));
+		const version = options.version || this.defaultVersion;
+		return this._getMicroBatcher(version).load(cleanPhone, options.signal);
+	}
+
 	/**
 	 * Check if a single phone number is blacklisted
-	 * @param {string} phone - Phone number to check
+	 * Uses micro-batched bulk requests when the `microBatch` option is set.
+	 * @param {string|ParsedPhone} phone - Phone number to check
+	 * @param {Object} [options] - Same as lookupSingle (version, signal)
 	 * @returns {Promise<boolean>}
 	 *
 	 * @example
@@ -902,8 +2537,11 @@ class BlacklistAlliance {
 	 *   console.log('Do not call this number');
 	 * }
 	 */
-	async isBlacklisted(phone) {
-		const result = await this.lookupSingle(phone);
+	async isBlacklisted(phone, options = {}) {
+		if (this._microBatch.enabled) {
+			return (await this.lookupBatched(phone, options)).blacklisted;
+		}
+		const result = await this.lookupSingle(phone, { ...options, normalize: false });
 		return result.message === "Blacklisted";
 	}
 
@@ -929,17 +2567,132 @@ class BlacklistAlliance {
 
 	/**
 	 * Get blacklist reasons for a phone number
-	 * @param {string} phone - Phone number
-	 * @returns {Promise<string[]>} Array of reason codes
+	 * Uses micro-batched bulk requests when the `microBatch` option is set.
+	 * @param {string|ParsedPhone} phone - Phone number
+	 * @param {Object} [options] - Same as lookupSingle (version, signal)
+	 * @returns {Promise<string[]>} Array of reason codes (empty if clean)
 	 *
 	 * @example
 	 * const reasons = await client.getBlacklistReasons('9999999999');
 	 * // ['prelitigation1', 'federal-dnc']
 	 */
-	async getBlacklistReasons(phone) {
-		const result = await this.lookupSingle(phone);
-		if (!result.code) return [];
-		return result.code.split(",").map((r) => r.trim());
+	async getBlacklistReasons(phone, options = {}) {
+		if (this._microBatch.enabled) {
+			return (await this.lookupBatched(phone, options)).reasons;
+		}
+		const result = await this.lookupSingle(phone, { ...options, normalize: false });
+		return reasonCodes(result.code);
+	}
+
+	/**
+	 * Look up a phone number and evaluate a compliance policy against the
+	 * normalized result (Simple API)
+	 * @param {string|ParsedPhone} phone - Phone number
+	 * @param {Policy} policy
+	 * @param {Object} [options] - Same as lookupSingle (version, signal, cacheStore), plus:
+	 * @param {Object} [options.context] - Passed to predicates; `campaignType` is matched by `campaignTypes`
+	 * @returns {Promise<PolicyDecision>}
+	 * @throws {ValidationError} If the policy is malformed (before any request is made)
+	 *
+	 * @example
+	 * const { decision, matchedRules } = await client.evaluate('2223334444', {
+	 *   rules: [
+	 *     { name: 'litigators', when: { categories: ['litigator'] }, decision: 'deny' },
+	 *     { name: 'wireless-marketing', when: { wireless: true, campaignTypes: ['marketing'] }, decision: 'review' },
+	 *   ],
+	 * }, { context: { campaignType: 'marketing' } });
+	 */
+	async evaluate(phone, policy, options = {}) {
+		const evaluator = compilePolicy(policy);
+		const { context = {}, ...lookupOptions } = options;
+		const result = await this.lookupSingle(phone, { ...lookupOptions, responseFormat: "json", normalize: true });
+		return evaluator(toSubject(result, this.reasonCatalog), context);
+	}
+
+	/**
+	 * Look up phone numbers in bulk and evaluate a compliance policy against
+	 * each normalized result (Simple API)
+	 * @param {Array<string|ParsedPhone>} phones - Phone numbers
+	 * @param {Policy} policy
+	 * @param {Object} [options] - Same as bulkLookupSimple (version, concurrency, signal, onProgress), plus:
+	 * @param {Object} [options.context] - Passed to predicates; `campaignType` is matched by `campaignTypes`
+	 * @returns {Promise<Map<string, PolicyDecision>>} Keyed by phone as sent
+	 * @throws {ValidationError} If the policy is malformed, or combined with partial,
+	 *   invalid: 'collect' or dedupe
+	 *
+	 * @example
+	 * const decisions = await client.evaluateBulk(phones, policy);
+	 * const callable = [...decisions].filter(([, d]) => d.decision === 'allow').map(([phone]) => phone);
+	 */
+	async evaluateBulk(phones, policy, options = {}) {
+		const evaluator = compilePolicy(policy);
+		if (options.partial || options.invalid === "collect" || options.dedupe) {
+			throw new ValidationError("evaluateBulk can't be combined with partial, invalid: 'collect' or dedupe", 400, null);
+		}
+		const { context = {}, ...lookupOptions } = options;
+		const results = await this.bulkLookupSimple(phones, { ...lookupOptions, shape: "byPhone", normalize: true });
+
+		const decisions = new Map();
+		for (const [phone, result] of results) {
+			decisions.set(phone, evaluator(toSubject(result, this.reasonCatalog), context));
+		}
+		return decisions;
+	}
+
+	/**
+	 * Look up a phone number and check whether it may be called now: not
+	 * blacklisted, and inside a calling window in every time zone it may be in
+	 * (Simple API). The carrier's state (v3+) is used when it's available and
+	 * differs from the area code's; otherwise the area code's time zones.
+	 * @param {string|ParsedPhone} phone - Phone number
+	 * @param {Object} [options] - Same as lookupSingle (version, signal, cacheStore), plus:
+	 * @param {CallingWindow[]} [options.windows=DEFAULT_CALLING_WINDOWS] - Allowed local times
+	 *   (default 8am to 9pm every day)
+	 * @param {Date|number} [options.now=new Date()] - Time to check
+	 * @returns {Promise<CallDecision>}
+	 * @throws {ValidationError} If a window is malformed (before any request is made)
+	 *
+	 * @example
+	 * const { allowed, blockedBy, localTimes } = await client.canCallNow('2223334444', {
+	 *   windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '20:00' }],
+	 * });
+	 */
+	async canCallNow(phone, options = {}) {
+		const inWindow = compileCallingWindows(options.windows);
+		const { windows, now, ...lookupOptions } = options;
+		const result = await this.lookupSingle(phone, { ...lookupOptions, responseFormat: "json", normalize: true });
+		return callDecision(inWindow, this._phoneInput(phone), result, now);
+	}
+
+	/**
+	 * Look up phone numbers in bulk and check whether each may be called now
+	 * (Simple API). Every phone is checked at the same time.
+	 * @param {Array<string|ParsedPhone>} phones - Phone numbers
+	 * @param {Object} [options] - Same as bulkLookupSimple (version, concurrency, signal, onProgress), plus:
+	 * @param {CallingWindow[]} [options.windows=DEFAULT_CALLING_WINDOWS] - Allowed local times
+	 * @param {Date|number} [options.now] - Time to check (default: when the lookup finishes)
+	 * @returns {Promise<Map<string, CallDecision>>} Keyed by phone as sent
+	 * @throws {ValidationError} If a window is malformed, or combined with partial,
+	 *   invalid: 'collect' or dedupe
+	 *
+	 * @example
+	 * const decisions = await client.canCallNowBulk(phones);
+	 * const dialNow = [...decisions].filter(([, d]) => d.allowed).map(([phone]) => phone);
+	 */
+	async canCallNowBulk(phones, options = {}) {
+		const inWindow = compileCallingWindows(options.windows);
+		if (options.partial || options.invalid === "collect" || options.dedupe) {
+			throw new ValidationError("canCallNowBulk can't be combined with partial, invalid: 'collect' or dedupe", 400, null);
+		}
+		const { windows, now, ...lookupOptions } = options;
+		const results = await this.bulkLookupSimple(phones, { ...lookupOptions, shape: "byPhone", normalize: true });
+
+		const at = now ?? Date.now();
+		const decisions = new Map();
+		for (const [phone, result] of results) {
+			decisions.set(phone, callDecision(inWindow, phone, result, at));
+		}
+		return decisions;
 	}
 
 	/**
@@ -954,9 +2707,105 @@ class BlacklistAlliance {
 		return this._hashEmail(email);
 	}
 
+	/**
+	 * Build a per-phone view of a bulk lookup result (utility method).
+	 * Same values as `shape: 'byPhone'`, for results of partial, collect or
+	 * dedupe calls, or results you already have.
+	 * @param {BulkLookupResult|BulkLookupResult[]} result - Bulk result (array-wrapped or merged)
+	 * @param {string[]} [phones] - Phones to include, as sent (default: every
+	 *   phone in `phones` and `supression`)
+	 * @returns {Map<string, PhoneResult>}
+	 *
+	 * @example
+	 * const result = await client.bulkLookupSimple(phones, { partial: true });
+	 * for (const [phone, { blacklisted, reasons }] of client.toPhoneMap(result)) { ... }
+	 */
+	toPhoneMap(result, phones) {
+		if (!phones) {
+			const r = (Array.isArray(result) ? result[0] : result) || {};
+			phones = [...(r.phones || []), ...(r.supression || [])].map(String);
+		}
+		return this._phoneResultsFromBulk(result, phones);
+	}
+
+	/**
+	 * Describe reason codes with the client's catalog (utility method)
+	 * @param {string[]|string} codes - Codes, or a comma-separated `code` string
+	 * @returns {ReasonDetails[]} One per code, in order
+	 *
+	 * @example
+	 * const details = client.describeReasons(await client.getBlacklistReasons('2223334444'));
+	 * if (details.some((d) => d.category === 'litigator')) { ... }
+	 */
+	describeReasons(codes) {
+		return describeReasons(codes, this.reasonCatalog);
+	}
+
+	/**
+	 * Add `reasonDetails` to any lookup result with the client's catalog (utility method).
+	 * Single results get an array, merged bulk results an object of phone to array;
+	 * byPhone Maps, normalized `results` and dedupe `rows` are enriched per phone.
+	 * @template T
+	 * @param {T} result - Result of lookupSingle, lookup, bulkLookupSimple, bulkLookup or toPhoneMap
+	 * @returns {T} Copy with `reasonDetails` added
+	 *
+	 * @example
+	 * const { reasonDetails } = client.enrichReasons(await client.bulkLookup(phones));
+	 * reasonDetails['5556667777']; // [{ code: 'federal-dnc', category: 'federal-dnc', severity: 'high', ... }]
+	 */
+	enrichReasons(result) {
+		return enrichReasons(result, this.reasonCatalog);
+	}
+
+	/**
+	 * Normalize and validate a NANP phone number (utility method)
+	 * @param {string} phone - Phone number in any common format
+	 * @returns {NormalizedPhone}
+	 * @throws {ValidationError} With `reason` set to a PHONE_ERROR_REASONS code
+	 *
+	 * @example
+	 * const { digits, e164 } = client.normalizePhone('+1 (222) 333-4444');
+	 * // digits: '2223334444', e164: '+12223334444'
+	 */
+	normalizePhone(phone) {
+		return normalizePhone(phone);
+	}
+
+	/**
+	 * Parse the phone number in a free-text value (utility method).
+	 * Handles extensions, vanity letters, +1/001 prefixes and picks the first
+	 * valid number if there are several. Never throws; check `valid`.
+	 * @param {string} text - e.g. '+1 (800) FLOWERS x123'
+	 * @returns {ParsedPhone} Can be passed to lookupSingle, lookup and bulk methods
+	 *
+	 * @example
+	 * const phone = client.parsePhone('222.333.4444 ext 9');
+	 * // phone.digits: '2223334444', phone.extension: '9'
+	 * const result = await client.lookupSingle(phone);
+	 */
+	parsePhone(text) {
+		return parsePhone(text);
+	}
+
+	/**
+	 * Extract every phone number from a free-text value (utility method)
+	 * @param {string} text - e.g. '222-333-4444 / 555-666-7777'
+	 * @returns {ParsedPhone[]} In order of appearance, including invalid ones
+	 *
+	 * @example
+	 * const phones = client.extractPhones(lead.notes).filter((p) => p.valid);
+	 * const result = await client.bulkLookupSimple(phones);
+	 */
+	extractPhones(text) {
+		return extractPhones(text);
+	}
+
 	/**
 	 * Check API connectivity (health check)
 	 * Makes a simple lookup request to verify the API is reachable and credentials are valid.
+	 * The request goes straight to the API: the result cache, cache store, request
+	 * coalescing, local suppression and consent overrides are all skipped, so a
+	 * cached answer never hides an outage.
 	 * @returns {Promise<boolean>} True if API is reachable and responding
 	 *
 	 * @example
@@ -967,7 +2816,13 @@ class BlacklistAlliance {
 	async ping() {
 		try {
 			// Use a simple lookup with a test phone number
-			await this.lookupSingle("0000000000", { validate: false });
+			const params = new URLSearchParams({
+				key: this.apiKey,
+				phone: "0000000000",
+				ver: this.defaultVersion,
+				resp: "json",
+			});
+			await this._request(`${BASE_URL}/lookup?${params}`);
 			return true;
 		} catch (error) {
 			// AuthenticationError means API is reachable but creds are bad
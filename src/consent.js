@@ -0,0 +1,294 @@
+const { ValidationError } = require("./errors");
+const { reasonCodes } = require("./reasons");
+const { INTERNAL_REASON, MD5_HASH, canonicalEntry, canonicalPhone, hashEmail } = require("./suppression");
+
+/**
+ * Consent / allowlist overrides used by the `consentOverrides` client option
+ *
+ * Each entry lets specific reason codes be overridden for one phone, email
+ * or email MD5 hash (documented express consent, an existing business
+ * relationship, ...), optionally until an expiry date. Overridden results
+ * are rewritten to their effective state and marked with what was
+ * overridden, so nothing is dropped silently.
+ */
+
+/** Allows every reason code except `internal` (a local opt-out revokes consent) */
+const ALL_CODES = "*";
+
+/**
+ * Lookup key of a canonical entry: phone digits, or the MD5 of an email
+ * @private
+ */
+function keyOf(canonical) {
+	if (canonical.includes("@")) return hashEmail(canonical);
+	return canonical;
+}
+
+/**
+ * Validate and normalize a consent entry
+ * @private
+ */
+function toEntry(entry) {
+	if (!entry || typeof entry !== "object") {
+		throw new ValidationError("Consent entry must be an object with value and codes", 422, null);
+	}
+	const canonical = canonicalEntry(entry.value);
+
+	let codes;
+	if (entry.codes === ALL_CODES) {
+		codes = ALL_CODES;
+	} else if (Array.isArray(entry.codes) && entry.codes.length > 0) {
+		codes = new Set(entry.codes.map((code) => String(code).trim().toLowerCase()));
+	} else {
+		throw new ValidationError(`Consent entry ${entry.value} needs codes: a non-empty array or '*'`, 422, null);
+	}
+
+	let expiresAt = null;
+	if (entry.expiresAt !== undefined && entry.expiresAt !== null) {
+		expiresAt = new Date(entry.expiresAt);
+		if (Number.isNaN(expiresAt.getTime())) {
+			throw new ValidationError(`Consent entry ${entry.value} has an invalid expiresAt: ${entry.expiresAt}`, 422, null);
+		}
+	}
+
+	return {
+		key: keyOf(canonical),
+		value: canonical,
+		codes,
+		expiresAt,
+		basis: entry.basis ?? null,
+		note: entry.note ?? null,
+	};
+}
+
+class ConsentList {
+	/**
+	 * @param {ConsentEntry[]} [entries]
+	 * @throws {ValidationError} If an entry is malformed
+	 */
+	constructor(entries = []) {
+		this._entries = new Map();
+		this.add(entries);
+	}
+
+	/**
+	 * Number of entries, including expired ones
+	 * @type {number}
+	 */
+	get size() {
+		return this._entries.size;
+	}
+
+	/**
+	 * Add entries (an entry for the same phone or email replaces the old one)
+	 * @param {ConsentEntry|ConsentEntry[]} entries
+	 * @returns {ConsentList}
+	 * @throws {ValidationError} If an entry is malformed
+	 */
+	add(entries) {
+		const normalized = [].concat(entries).map(toEntry);
+		for (const entry of normalized) this._entries.set(entry.key, entry);
+		return this;
+	}
+
+	/**
+	 * Remove the entries for phones, emails or MD5 hashes
+	 * @param {string|string[]} values
+	 * @returns {number} Number of entries removed
+	 */
+	remove(values) {
+		let removed = 0;
+		for (const value of [].concat(values)) {
+			const key = this._keyFor(value);
+			if (key !== null && this._entries.delete(key)) removed++;
+		}
+		return removed;
+	}
+
+	/**
+	 * Drop expired entries
+	 * @param {Date|number} [now=Date.now()]
+	 * @returns {number} Number of entries removed
+	 */
+	prune(now = Date.now()) {
+		let removed = 0;
+		for (const [key, entry] of this._entries) {
+			if (entry.expiresAt !== null && entry.expiresAt.getTime() <= Number(now)) {
+				this._entries.delete(key);
+				removed++;
+			}
+		}
+		return removed;
+	}
+
+	/**
+	 * Lookup key of a phone, email or MD5 hash, or null if it's none of those
+	 * @private
+	 */
+	_keyFor(value) {
+		const text = String(value ?? "").trim();
+		if (text.includes("@")) return hashEmail(text);
+		if (MD5_HASH.test(text)) return text.toLowerCase();
+		return canonicalPhone(text);
+	}
+
+	/**
+	 * Active (unexpired) entry for a phone, email or MD5 hash
+	 * @param {string} value
+	 * @param {Date|number} [now=Date.now()]
+	 * @returns {{value: string, codes: Set<string>|'*', expiresAt: Date|null, basis: string|null, note: string|null}|null}
+	 */
+	get(value, now = Date.now()) {
+		const key = this._keyFor(value);
+		const entry = key === null ? undefined : this._entries.get(key);
+		if (!entry) return null;
+		if (entry.expiresAt !== null && entry.expiresAt.getTime() <= Number(now)) return null;
+		return entry;
+	}
+
+	/**
+	 * Split reason codes into those the active entry for `value` overrides and the rest
+	 * @param {string} value - Phone, email or MD5 hash
+	 * @param {string[]} codes
+	 * @returns {{entry: Object, overridden: string[], remaining: string[]}|null}
+	 *   null if there is no active entry or it overrides none of the codes
+	 */
+	match(value, codes) {
+		const entry = this.get(value);
+		if (!entry) return null;
+		const allows = (code) => {
+			const key = code.toLowerCase();
+			return entry.codes === ALL_CODES ? key !== INTERNAL_REASON : entry.codes.has(key);
+		};
+		const overridden = codes.filter(allows);
+		if (overridden.length === 0) return null;
+		return { entry, overridden, remaining: codes.filter((code) => !allows(code)) };
+	}
+}
+
+/**
+ * Override record added to results
+ * @private
+ */
+function overrideRecord(entry, codes) {
+	return {
+		codes,
+		basis: entry.basis,
+		note: entry.note,
+		expiresAt: entry.expiresAt ? entry.expiresAt.toISOString() : null,
+	};
+}
+
+/**
+ * Apply consent overrides to a single lookup result. If every code is
+ * overridden the result becomes clean (`message: 'Good'`); otherwise `code`
+ * keeps the remaining codes. `override` records what was changed.
+ *
+ * @param {SingleLookupResult} result - JSON result (or parsed XML/raw)
+ * @param {string} phone - Phone as sent
+ * @param {ConsentList} list
+ * @returns {SingleLookupResult} Unchanged if nothing was overridden
+ */
+function applyLookupConsent(result, phone, list) {
+	if (!result || typeof result !== "object" || result.message !== "Blacklisted") return result;
+	const match = list.match(phone, reasonCodes(result.code));
+	if (!match) return result;
+
+	const clean = match.remaining.length === 0;
+	const updated = {
+		...result,
+		message: clean ? "Good" : result.message,
+		code: clean ? "none" : match.remaining.join(","),
+		override: {
+			...overrideRecord(match.entry, match.overridden),
+			originalMessage: result.message,
+			originalCode: result.code,
+		},
+	};
+	if (clean && result.results !== undefined) updated.results = 0;
+	return updated;
+}
+
+/**
+ * Apply consent overrides to a bulk lookup result. Phones whose codes are
+ * all overridden move from `supression` to `phones`; others keep their
+ * remaining codes. `overrides` records what was changed per phone.
+ *
+ * @param {BulkLookupResult|BulkLookupResult[]} result - Bulk result (array-wrapped or merged)
+ * @param {ConsentList} list
+ * @returns {BulkLookupResult|BulkLookupResult[]} Same wrapping; unchanged if nothing was overridden
+ */
+function applyBulkConsent(result, list) {
+	const r = Array.isArray(result) ? result[0] : result;
+	if (!r || typeof r !== "object") return result;
+
+	const reasons = { ...(r.reasons || {}) };
+	const overrides = {};
+	const cleared = new Set();
+	for (const phone of (r.supression || []).map(String)) {
+		const match = list.match(phone, reasonCodes(reasons[phone]));
+		if (!match) continue;
+		overrides[phone] = { ...overrideRecord(match.entry, match.overridden), originalReasons: reasons[phone] };
+		if (match.remaining.length > 0) {
+			reasons[phone] = match.remaining.join(",");
+		} else {
+			delete reasons[phone];
+			cleared.add(phone);
+		}
+	}
+	if (Object.keys(overrides).length === 0) return result;
+
+	const updated = {
+		...r,
+		phones: [...(r.phones || []), ...cleared],
+		supression: (r.supression || []).filter((phone) => !cleared.has(String(phone))),
+		reasons,
+		overrides,
+	};
+	return Array.isArray(result) ? [updated, ...result.slice(1)] : updated;
+}
+
+/**
+ * Apply consent overrides to an email bulk result. The API gives no codes
+ * for emails, so only `'*'` entries override them; locally suppressed
+ * emails need `internal` in the entry's codes. Overridden emails move from
+ * `bad` to `good`, and `overrides` records them.
+ *
+ * @param {EmailBulkResult} result
+ * @param {ConsentList} list
+ * @returns {EmailBulkResult} Unchanged if nothing was overridden
+ */
+function applyEmailConsent(result, list) {
+	if (!result || !Array.isArray(result.bad)) return result;
+
+	const reasons = { ...(result.reasons || {}) };
+	const overrides = {};
+	const cleared = new Set();
+	for (const email of result.bad) {
+		let record;
+		if (reasons[email] !== undefined) {
+			const match = list.match(email, reasonCodes(reasons[email]));
+			if (!match || match.remaining.length > 0) continue;
+			record = { ...overrideRecord(match.entry, match.overridden), originalReasons: reasons[email] };
+			delete reasons[email];
+		} else {
+			const entry = list.get(email);
+			if (!entry || entry.codes !== ALL_CODES) continue;
+			record = overrideRecord(entry, []);
+		}
+		overrides[email] = record;
+		cleared.add(email);
+	}
+	if (cleared.size === 0) return result;
+
+	const updated = {
+		...result,
+		good: [...result.good, ...cleared],
+		bad: result.bad.filter((email) => !cleared.has(email)),
+		overrides,
+	};
+	if (result.reasons) updated.reasons = reasons;
+	return updated;
+}
+
+module.exports = { ConsentList, applyLookupConsent, applyBulkConsent, applyEmailConsent };
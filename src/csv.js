@@ -0,0 +1,346 @@
+const fs = require("fs");
+const path = require("path");
+const { once } = require("events");
+const { ValidationError } = require("./errors");
+const { lookupIterable } = require("./stream");
+
+/**
+ * CSV lead-file scrubbing
+ *
+ * The input is parsed as a stream (RFC 4180: quoted fields, escaped quotes,
+ * line breaks inside quotes, CRLF), looked up in batches and each row is
+ * written to either the clean or the suppressed output with reason-code,
+ * wireless and carrier columns appended.
+ */
+
+const ADDED_COLUMNS = ["blacklist_reasons", "wireless", "carrier"];
+const EMAIL_COLUMN = "email_blacklisted";
+
+/** Reason code for rows without a usable phone number or email */
+const INVALID_REASON = "invalid";
+
+/**
+ * Parse CSV rows from a stream of text chunks
+ * @private
+ * @param {AsyncIterable<string>} chunks
+ * @param {string} delimiter
+ * @returns {AsyncGenerator<string[]>}
+ */
+async function* parseCsv(chunks, delimiter) {
+	let row = [];
+	let field = "";
+	let quoted = false;
+	// Just closed a quoted field: a second quote means an escaped quote
+	let afterQuote = false;
+	// Previous character was CR: a following LF belongs to the same line break
+	let afterCR = false;
+	let first = true;
+
+	for await (const chunk of chunks) {
+		const text = first ? chunk.replace(/^\uFEFF/, "") : chunk;
+		first = false;
+
+		for (const char of text) {
+			if (quoted) {
+				if (char === '"') {
+					quoted = false;
+					afterQuote = true;
+				} else {
+					field += char;
+				}
+				continue;
+			}
+
+			const wasCR = afterCR;
+			const wasQuote = afterQuote;
+			afterCR = false;
+			afterQuote = false;
+
+			if (char === '"') {
+				if (wasQuote) {
+					field += '"';
+					quoted = true;
+				} else if (field === "") {
+					quoted = true;
+				} else {
+					// Stray quote inside an unquoted field is kept as-is
+					field += char;
+				}
+			} else if (char === delimiter) {
+				row.push(field);
+				field = "";
+			} else if (char === "\n" || char === "\r") {
+				if (char === "\n" && wasCR) continue;
+				row.push(field);
+				field = "";
+				yield row;
+				row = [];
+				afterCR = char === "\r";
+			} else {
+				field += char;
+			}
+		}
+	}
+
+	if (quoted) {
+		throw new ValidationError("Unterminated quoted field in CSV input", 422, null);
+	}
+	if (field !== "" || row.length > 0) {
+		row.push(field);
+		yield row;
+	}
+}
+
+/**
+ * Whether a parsed row has no content (blank line)
+ * @private
+ */
+function isBlankRow(row) {
+	return row.every((value) => value.trim() === "");
+}
+
+/**
+ * Format one CSV row, quoting fields that need it
+ * @private
+ */
+function formatCsvRow(fields, delimiter) {
+	return (
+		fields
+			.map((value) => {
+				const text = value === undefined || value === null ? "" : String(value);
+				return /["\r\n]/.test(text) || text.includes(delimiter)
+					? `"${text.replace(/"/g, '""')}"`
+					: text;
+			})
+			.join(delimiter) + "\n"
+	);
+}
+
+/**
+ * Resolve a column option (header name or 0-based index) to an index
+ * @private
+ */
+function resolveColumn(column, header, optionName) {
+	if (column === undefined || column === null) return null;
+	if (typeof column === "number") return column;
+
+	const wanted = String(column).trim().toLowerCase();
+	const index = header ? header.findIndex((name) => name.trim().toLowerCase() === wanted) : -1;
+	if (index === -1) {
+		throw new ValidationError(
+			`${optionName} "${column}" not found in CSV header`,
+			422,
+			null
+		);
+	}
+	return index;
+}
+
+/**
+ * Whether a row looks like data rather than a header
+ * @private
+ */
+function looksLikeData(row, phoneIndex, emailIndex) {
+	if (phoneIndex !== null && /^\D*(\d\D*){10,11}$/.test(row[phoneIndex] || "")) return true;
+	if (emailIndex !== null && /@/.test(row[emailIndex] || "")) return true;
+	return false;
+}
+
+/**
+ * Write a line, waiting for the stream to drain when its buffer is full
+ * @private
+ */
+async function writeLine(stream, line) {
+	if (!stream.write(line)) await once(stream, "drain");
+}
+
+/**
+ * Open an output file for writing, creating its directory
+ * @private
+ */
+async function openOutput(filePath) {
+	await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+	const stream = fs.createWriteStream(filePath);
+	await once(stream, "open");
+	return stream;
+}
+
+/**
+ * Build a batch lookup that classifies CSV rows
+ * @private
+ * @returns {function(string[][]): Promise<Array<{row: string[], invalid: boolean, suppressed: boolean, added: string[]}>>}
+ */
+function rowBatchLookup(client, options, phoneIndex, emailIndex) {
+	return async (rows) => {
+		const phones = rows.map((row) => {
+			const value = phoneIndex === null ? "" : (row[phoneIndex] || "").trim();
+			if (!value) return { value };
+			try {
+				return { value, sent: client._validatePhone(value) };
+			} catch (error) {
+				return { value, invalid: true };
+			}
+		});
+		const emails = rows.map((row) => {
+			const value = emailIndex === null ? "" : (row[emailIndex] || "").trim();
+			if (!value) return { value };
+			try {
+				const email = client._validateEmail(value);
+				return { value, sent: options.hashEmails ? client._hashEmail(email) : email };
+			} catch (error) {
+				return { value, invalid: true };
+			}
+		});
+
+		const uniquePhones = [...new Set(phones.filter((p) => p.sent).map((p) => p.sent))];
+		const uniqueEmails = [...new Set(emails.filter((e) => e.sent).map((e) => e.sent))];
+
+		const [phoneResults, badEmails] = await Promise.all([
+			uniquePhones.length > 0
+				? client
+						.bulkLookupSimple(uniquePhones, {
+							version: options.version,
+							autoBatch: false,
+							signal: options.signal,
+							normalize: false,
+						})
+						.then((result) => client._phoneResultsFromBulk(result, uniquePhones))
+				: new Map(),
+			uniqueEmails.length > 0
+				? client
+						.emailBulk(uniqueEmails, {
+							validate: false,
+							autoBatch: false,
+							signal: options.signal,
+						})
+						.then((result) => new Set(result.bad.map((e) => e.toLowerCase())))
+				: new Set(),
+		]);
+
+		return rows.map((row, i) => {
+			const phone = phones[i];
+			const email = emails[i];
+			const result = phone.sent ? phoneResults.get(phone.sent) : null;
+			const emailBlacklisted = email.sent ? badEmails.has(email.sent.toLowerCase()) : false;
+
+			const reasons = result ? [...result.reasons] : [];
+			// Nothing usable to check, or a value that could not be checked
+			const invalid = phone.invalid || email.invalid || (!phone.sent && !email.sent);
+			if (invalid) reasons.push(INVALID_REASON);
+
+			const added = [
+				reasons.join(","),
+				result ? (result.wireless ? "Y" : "N") : "",
+				result?.carrier?.name || "",
+			];
+			if (emailIndex !== null) added.push(emailBlacklisted ? "Y" : "N");
+
+			return {
+				row,
+				invalid,
+				suppressed: invalid || Boolean(result?.blacklisted) || emailBlacklisted,
+				added,
+			};
+		});
+	};
+}
+
+/**
+ * Scrub a CSV lead file into clean and suppressed output files
+ * @private
+ * @param {import("./client").BlacklistAlliance} client
+ * @param {string} inputPath
+ * @param {ScrubCsvOptions} options
+ * @returns {Promise<ScrubCsvSummary>}
+ */
+async function scrubCsv(client, inputPath, options = {}) {
+	const { phoneColumn, emailColumn } = options;
+	if (phoneColumn == null && emailColumn == null) {
+		throw new ValidationError("phoneColumn or emailColumn is required", 400, null);
+	}
+
+	const delimiter = options.delimiter || ",";
+	const dir = path.dirname(inputPath);
+	const outputs = {
+		clean: options.outputs?.clean || path.join(dir, "clean.csv"),
+		suppressed: options.outputs?.suppressed || path.join(dir, "suppressed.csv"),
+	};
+
+	const input = fs.createReadStream(inputPath, { encoding: "utf8" });
+	const rows = parseCsv(input, delimiter);
+	const summary = { total: 0, clean: 0, suppressed: 0, invalid: 0, outputs };
+	const report = () =>
+		options.onProgress?.({ rows: summary.total, clean: summary.clean, suppressed: summary.suppressed });
+	let clean;
+	let suppressed;
+
+	try {
+		// Read the first non-empty row to resolve columns and detect a header.
+		// (Not with for-await: breaking out of it would close the parser.)
+		let firstRow;
+		for (let next = await rows.next(); !next.done; next = await rows.next()) {
+			if (!isBlankRow(next.value)) {
+				firstRow = next.value;
+				break;
+			}
+		}
+		if (!firstRow) {
+			throw new ValidationError(`CSV file is empty: ${inputPath}`, 422, null);
+		}
+
+		let hasHeader = options.header;
+		if (hasHeader === undefined || hasHeader === "auto") {
+			const byName = typeof phoneColumn === "string" || typeof emailColumn === "string";
+			hasHeader = byName || !looksLikeData(firstRow, phoneColumn ?? null, emailColumn ?? null);
+		}
+
+		const header = hasHeader ? firstRow : null;
+		const phoneIndex = resolveColumn(phoneColumn, header, "phoneColumn");
+		const emailIndex = resolveColumn(emailColumn, header, "emailColumn");
+
+		clean = await openOutput(outputs.clean);
+		suppressed = await openOutput(outputs.suppressed);
+
+		if (header) {
+			const added = emailIndex !== null ? [...ADDED_COLUMNS, EMAIL_COLUMN] : ADDED_COLUMNS;
+			const line = formatCsvRow([...header, ...added], delimiter);
+			await writeLine(clean, line);
+			await writeLine(suppressed, line);
+		}
+
+		async function* dataRows() {
+			if (!header) yield firstRow;
+			for await (const row of rows) {
+				if (!isBlankRow(row)) yield row;
+			}
+		}
+
+		const results = lookupIterable(
+			dataRows(),
+			rowBatchLookup(client, options, phoneIndex, emailIndex),
+			client._streamOptions(options)
+		);
+
+		for await (const { row, invalid, suppressed: isSuppressed, added } of results) {
+			summary.total++;
+			if (invalid) summary.invalid++;
+			if (isSuppressed) summary.suppressed++;
+			else summary.clean++;
+			await writeLine(isSuppressed ? suppressed : clean, formatCsvRow([...row, ...added], delimiter));
+			if (summary.total % 1000 === 0) report();
+		}
+		if (summary.total % 1000 !== 0) report();
+	} catch (error) {
+		input.destroy();
+		clean?.destroy();
+		suppressed?.destroy();
+		throw error;
+	}
+
+	clean.end();
+	suppressed.end();
+	await Promise.all([once(clean, "finish"), once(suppressed, "finish")]);
+	return summary;
+}
+
+module.exports = { scrubCsv, parseCsv, formatCsvRow };
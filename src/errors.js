@@ -36,7 +36,7 @@ class BlacklistAllianceError extends Error {
 				return new ValidationError(message, statusCode, response);
 			default:
 				if (statusCode >= 500) {
-					return new ServerError(message, statusCode, response);
+					return new ServerError(message, statusCode, response, options.retryAfter);
 				}
 				return new BlacklistAllianceError(message, statusCode, response);
 		}
@@ -65,7 +65,7 @@ class RateLimitError extends BlacklistAllianceError {
 	constructor(message, response, retryAfter) {
 		super(message, 429, response);
 		this.name = "RateLimitError";
-		this.retryAfter = retryAfter || null;
+		this.retryAfter = retryAfter ?? null;
 	}
 }
 
@@ -73,9 +73,16 @@ class RateLimitError extends BlacklistAllianceError {
  * Validation error for invalid input (400, 422)
  */
 class ValidationError extends BlacklistAllianceError {
-	constructor(message, statusCode, response) {
+	/**
+	 * @param {string} message
+	 * @param {number} statusCode
+	 * @param {*} response
+	 * @param {string} [reason] - Machine-readable failure reason (e.g. 'invalid-area-code')
+	 */
+	constructor(message, statusCode, response, reason) {
 		super(message, statusCode, response);
 		this.name = "ValidationError";
+		this.reason = reason ?? null;
 	}
 }
 
@@ -104,9 +111,16 @@ class NetworkError extends BlacklistAllianceError {
  * Server error (5xx)
  */
 class ServerError extends BlacklistAllianceError {
-	constructor(message, statusCode, response) {
+	/**
+	 * @param {string} message
+	 * @param {number} statusCode
+	 * @param {*} response
+	 * @param {number} [retryAfter] - Seconds to wait before retrying (e.g. 503 with Retry-After)
+	 */
+	constructor(message, statusCode, response, retryAfter) {
 		super(message, statusCode, response);
 		this.name = "ServerError";
+		this.retryAfter = retryAfter ?? null;
 	}
 }
 
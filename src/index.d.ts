@@ -1,3 +1,5 @@
+import { Transform } from 'stream';
+
 export type ApiVersion = 'v1' | 'v2' | 'v3' | 'v5';
 export type ResponseFormat = 'json' | 'raw';
 export type StandardResponseFormat = 'json' | 'raw' | 'xml';
@@ -48,6 +50,8 @@ export interface SingleLookupResult {
   carrier?: CarrierInfo;
   /** OCN info (available in v5) */
   ocn_info?: OcnInfo;
+  /** Set when consent overrides changed the result (see ConsentEntry) */
+  override?: LookupOverride;
 }
 
 export interface BulkLookupResult {
@@ -66,6 +70,8 @@ export interface BulkLookupResult {
   reasons: Record<string, string>;
   /** Map of phone to carrier info */
   carrier: Record<string, CarrierInfo>;
+  /** Phones whose reason codes consent overrides changed (only set when there are any) */
+  overrides?: Record<string, BulkOverride>;
 }
 
 export interface EmailBulkResult {
@@ -73,6 +79,10 @@ export interface EmailBulkResult {
   good: string[];
   /** Emails that ARE blacklisted (computed: submitted minus good) */
   bad: string[];
+  /** `internal` for emails on the local suppression list (only set when there are any) */
+  reasons?: Record<string, string>;
+  /** Emails moved from bad to good by consent overrides (only set when there are any) */
+  overrides?: Record<string, BulkOverride>;
 }
 
 export interface Logger {
@@ -82,11 +92,21 @@ export interface Logger {
   error?(message: string, meta?: object): void;
 }
 
+/** Rate limiter wait info (present when `rateLimit` is configured) */
+export interface RateLimitInfo {
+  /** Time spent waiting for a token in milliseconds */
+  waitMs: number;
+  /** Number of requests queued ahead of this one */
+  queueDepth: number;
+}
+
 /** Request info passed to onRequest hook */
 export interface RequestInfo {
   method: string;
   headers?: Record<string, string>;
   body?: string;
+  /** Rate limiter wait info (when `rateLimit` is configured) */
+  rateLimit?: RateLimitInfo;
 }
 
 /** Response info passed to onResponse hook */
@@ -101,12 +121,165 @@ export interface ProgressInfo {
   completed: number;
   /** Total number of items */
   total: number;
-  /** Current batch number (1-indexed) */
+  /** Number of the batch that just completed (1-indexed; may be out of order with concurrency > 1) */
   batch: number;
   /** Total number of batches */
   totalBatches: number;
+  /** Number of batches completed so far */
+  completedBatches: number;
+  /** Items in failed batches (partial mode only) */
+  failed?: number;
+}
+
+/** A batch that failed in partial mode */
+export interface FailedBatch {
+  /** Batch number (1-indexed) */
+  batch: number;
+  /** Index of the batch's first item in the submitted list */
+  offset: number;
+  /** Items in the batch, as sent (e.g. hashed emails) */
+  items: string[];
+  /** Error that failed the batch (after retries) */
+  error: Error;
+}
+
+/** Partial-mode result: merged results of successful batches plus the failed ones */
+export type PartialResult<T> = T & { failedBatches: FailedBatch[] };
+
+/**
+ * Bulk phone result shape: 'merged' is the API's result object (parallel
+ * arrays), 'byPhone' a Map of phone (as sent) to PhoneResult
+ */
+export type ResultShape = 'merged' | 'byPhone';
+
+/**
+ * How bulk methods handle invalid items: 'throw' rejects the whole call on the
+ * first one, 'collect' validates every item and reports the invalid ones
+ */
+export type InvalidMode = 'throw' | 'collect';
+
+/** An item skipped in invalid: 'collect' mode */
+export interface InvalidItem<T = string> {
+  /** Item as passed in */
+  input: T;
+  /** Index of the item in the input array */
+  index: number;
+  /** ValidationError reason: a PhoneErrorReason, or 'invalid-format' / 'too-long' for emails */
+  reason: string;
+}
+
+/** Dedupe-mode row: the result for one input */
+export type DedupedRow<R, I = string> = R & {
+  /** Index of the item in the input array */
+  index: number;
+  /** Item as passed in */
+  input: I;
+};
+
+/**
+ * Bulk result type for the given options: partial mode adds `failedBatches`,
+ * invalid: 'collect' adds `invalid`, and dedupe adds `rows` - one per input,
+ * aligned by index (null if the item was invalid or its batch failed)
+ */
+export type BulkResultFor<O, T, R, I = string> = T &
+  (O extends { partial: true } ? { failedBatches: FailedBatch[] } : {}) &
+  (O extends { invalid: 'collect' } ? { invalid: InvalidItem<I>[] } : {}) &
+  (O extends { dedupe: true } ? { rows: (DedupedRow<R, I> | null)[] } : {});
+
+/** Carrier info in the normalized result model */
+export interface NormalizedCarrier {
+  did: string | undefined;
+  /** e.g. 'WIRELESS', 'LANDLINE', 'PCS' */
+  type: string | undefined;
+  name: string | undefined;
+  state: string | undefined;
+  rateCenter: string | undefined;
+  country: string | undefined;
+  clli: string | undefined;
+  lata: string | undefined;
+  /** From 'Y'/'N' */
+  wireless: boolean | undefined;
+  lrn: string | undefined;
+  npa: string | undefined;
+  nxx: string | undefined;
+  nxxx: string | undefined;
+  ocn: string | undefined;
+  portType: string | undefined;
 }
 
+/** OCN info in the normalized result model */
+export interface NormalizedOcnInfo {
+  isVoip: boolean | undefined;
+  carrier: string | undefined;
+  /** e.g. 'mobile', 'landline' */
+  lineType: string | undefined;
+}
+
+/**
+ * Per-phone result in the normalized result model. Fields the response
+ * doesn't include (carrier before v3, ocnInfo before v5) are undefined
+ */
+export interface NormalizedPhoneResult {
+  phone: string;
+  blacklisted: boolean;
+  /** Reason codes (empty if clean) */
+  reasons: string[];
+  /** In `wireless` or carrier marked wireless (v3+) */
+  wireless: boolean | undefined;
+  /** v3+ */
+  carrier: NormalizedCarrier | undefined;
+  /** v5 */
+  ocnInfo: NormalizedOcnInfo | undefined;
+  /** Set when consent overrides changed the result */
+  override?: ConsentOverride;
+}
+
+/** Normalized single lookup result (normalizeResults / normalize option) */
+export interface NormalizedLookupResult extends Omit<NormalizedPhoneResult, 'phone'> {
+  /** Version the result was requested with */
+  version: ApiVersion;
+  phone: string | undefined;
+  status: string | undefined;
+  message: string | undefined;
+  sid: string | undefined;
+  offset: number | undefined;
+  time: number | undefined;
+  scrubs: boolean | undefined;
+}
+
+/** Normalized bulk lookup result (normalizeResults / normalize option) */
+export interface NormalizedBulkResult {
+  /** Version the result was requested with */
+  version: ApiVersion;
+  status: string | undefined;
+  /** Numbers submitted (API `numbers`) */
+  submitted: number | undefined;
+  /** Numbers processed (API `count`) */
+  processed: number | undefined;
+  /** Clean phones (API `phones`) */
+  clean: string[];
+  /** Blacklisted phones (API `supression`) */
+  suppressed: string[];
+  /** Clean phones, then blacklisted ones */
+  results: NormalizedPhoneResult[];
+  /** Phones whose reason codes consent overrides changed (only set when there are any) */
+  overrides?: Record<string, BulkOverride>;
+}
+
+/**
+ * Result type for a call's `normalize` option, falling back to the client's
+ * `normalizeResults` setting N when the option isn't given
+ */
+export type NormalizeFor<O, N extends boolean, Raw, Normalized> = O extends { normalize: true }
+  ? Normalized
+  : O extends { normalize: false }
+    ? Raw
+    : O extends { normalize: boolean }
+      ? Raw | Normalized
+      : N extends true
+        ? Normalized
+        : Raw;
+
 /** Circuit breaker configuration */
 export interface CircuitBreakerOptions {
   /** Number of consecutive failures before opening circuit. @default 5 */
@@ -117,6 +290,281 @@ export interface CircuitBreakerOptions {
   onStateChange?: (state: 'CLOSED' | 'OPEN' | 'HALF_OPEN') => void;
 }
 
+/** In-memory result cache configuration */
+export interface CacheOptions {
+  /** Time-to-live per cached result in milliseconds. @default 300000 */
+  ttlMs?: number;
+  /** Max cached results before least-recently-used eviction. @default 10000 */
+  maxEntries?: number;
+}
+
+/** Cache statistics returned by LookupCache#stats() */
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  evictions: number;
+  /** Entries currently held (may include expired entries not yet pruned) */
+  size: number;
+  /** hits / (hits + misses), 0 when no lookups yet */
+  hitRate: number;
+}
+
+/** In-memory TTL/LRU cache keyed by normalized phone + API endpoint + API version + response format */
+export class LookupCache {
+  ttlMs: number;
+  maxEntries: number;
+  readonly size: number;
+
+  constructor(options?: CacheOptions);
+
+  get(phone: string, version: string, responseFormat: string, endpoint?: 'simple' | 'standard'): unknown;
+  set(phone: string, version: string, responseFormat: string, value: unknown, endpoint?: 'simple' | 'standard'): void;
+  /** Remove all cached results for a phone (all endpoints/versions/formats). Returns number removed. */
+  invalidate(phone: string): number;
+  clear(): void;
+  stats(): CacheStats;
+}
+
+/**
+ * Persistent cache store contract for the `cacheStore` option.
+ * Implement get/set/delete (e.g. over Redis GET/SET PX/DEL); getMany/setMany are
+ * optional and used for bulk calls when present.
+ */
+export interface CacheStore {
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown, ttlMs?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  getMany?(keys: string[]): Promise<unknown[]>;
+  setMany?(entries: Array<[string, unknown]>, ttlMs?: number): Promise<void>;
+}
+
+export interface CacheStoreOptions {
+  /** Default time-to-live in milliseconds (0 = never expire). @default 86400000 */
+  ttlMs?: number;
+}
+
+/** In-memory cache store (per process) implementing the CacheStore contract */
+export class MemoryCacheStore implements CacheStore {
+  ttlMs: number;
+  constructor(options?: CacheStoreOptions);
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown, ttlMs?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  getMany(keys: string[]): Promise<unknown[]>;
+  setMany(entries: Array<[string, unknown]>, ttlMs?: number): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** JSON file-backed cache store (reference adapter) implementing the CacheStore contract */
+export class FileCacheStore implements CacheStore {
+  filePath: string;
+  ttlMs: number;
+  constructor(filePath: string, options?: CacheStoreOptions);
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown, ttlMs?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  getMany(keys: string[]): Promise<unknown[]>;
+  setMany(entries: Array<[string, unknown]>, ttlMs?: number): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface SuppressionListOptions {
+  /** Text file with one phone, email or MD5 hash per line (# starts a comment); add/remove write it back */
+  filePath?: string;
+  /** Initial entries (merged with the file's) */
+  entries?: string[];
+}
+
+/** Reason code reported for locally suppressed phones and emails */
+export const INTERNAL_REASON: 'internal';
+
+/** Local (internal) suppression list of phones, emails and email MD5 hashes */
+export class SuppressionList {
+  filePath: string | null;
+  readonly size: number;
+  constructor(options?: SuppressionListOptions);
+  /** Load the file (once). A missing file is treated as empty */
+  load(): Promise<this>;
+  /** Resolves to the number of entries that weren't on the list yet */
+  add(entries: string | string[]): Promise<number>;
+  /** Resolves to the number of entries removed */
+  remove(entries: string | string[]): Promise<number>;
+  clear(): Promise<void>;
+  /** Phone in any common format (call load() first) */
+  hasPhone(phone: string): boolean;
+  /** Email or MD5 hash, matched as an email or its hash (call load() first) */
+  hasEmail(email: string): boolean;
+  /** Phone, email or MD5 hash (call load() first) */
+  has(value: string): boolean;
+  /** Entries in stored form: 10-digit phones, lowercased emails and hashes */
+  values(): string[];
+  /** Write the list to the file (no-op without a filePath) */
+  save(): Promise<void>;
+}
+
+export interface ConsentEntry {
+  /** Phone (any common format), email or email MD5 hash */
+  value: string;
+  /**
+   * Reason codes that may be overridden, or '*' for every code except `internal`
+   * (a local opt-out revokes consent unless `internal` is listed)
+   */
+  codes: string[] | '*';
+  /** The entry is ignored from this time on */
+  expiresAt?: Date | string | number | null;
+  /** e.g. 'express-consent' or 'ebr' */
+  basis?: string | null;
+  note?: string | null;
+}
+
+/** What consent overrides changed in a result */
+export interface ConsentOverride {
+  /** Reason codes overridden (empty for API-flagged emails, which have none) */
+  codes: string[];
+  basis: string | null;
+  note: string | null;
+  /** ISO timestamp, or null if the entry doesn't expire */
+  expiresAt: string | null;
+}
+
+export interface LookupOverride extends ConsentOverride {
+  originalMessage: string;
+  originalCode: string;
+}
+
+export interface BulkOverride extends ConsentOverride {
+  /** Reason codes before the override (absent for API-flagged emails) */
+  originalReasons?: string;
+}
+
+/** Active consent entry, as stored */
+export interface StoredConsentEntry {
+  /** 10-digit phone, lowercased email or hash */
+  value: string;
+  codes: Set<string> | '*';
+  expiresAt: Date | null;
+  basis: string | null;
+  note: string | null;
+}
+
+/** Consent/allowlist entries whose reason codes are overridden in lookup results */
+export class ConsentList {
+  /** Number of entries, including expired ones */
+  readonly size: number;
+  constructor(entries?: ConsentEntry[]);
+  /** An entry for the same phone or email replaces the old one */
+  add(entries: ConsentEntry | ConsentEntry[]): this;
+  /** Returns the number of entries removed */
+  remove(values: string | string[]): number;
+  /** Drop expired entries; returns the number removed */
+  prune(now?: Date | number): number;
+  /** Active (unexpired) entry for a phone, email or MD5 hash */
+  get(value: string, now?: Date | number): StoredConsentEntry | null;
+  /** Codes the active entry overrides and the rest, or null if it overrides none */
+  match(value: string, codes: string[]): { entry: StoredConsentEntry; overridden: string[]; remaining: string[] } | null;
+}
+
+/** Micro-batching configuration */
+export interface MicroBatchOptions {
+  /** Max time a check waits before its batch is sent. @default 10 */
+  maxWaitMs?: number;
+  /** Max distinct phones per batch (flushes early when reached). @default 500 */
+  maxSize?: number;
+}
+
+/** Per-phone view of a bulk lookup result */
+export interface PhoneResult {
+  /** Phone number as sent */
+  phone: string;
+  /** Whether the phone is in `supression` */
+  blacklisted: boolean;
+  /** Blacklist reason codes (empty if clean) */
+  reasons: string[];
+  /** Whether the phone is in `wireless` (or its carrier is marked wireless) */
+  wireless: boolean;
+  carrier: CarrierInfo | null;
+  /** OCN info (v5) */
+  ocnInfo: OcnInfo | null;
+  /** Set when consent overrides changed the result */
+  override?: BulkOverride;
+}
+
+/** Options for single-phone convenience checks */
+export interface CheckOptions {
+  version?: ApiVersion;
+  signal?: AbortSignal;
+}
+
+/** Token-bucket rate limit configuration */
+export interface RateLimitOptions {
+  /** Sustained request rate */
+  requestsPerSecond: number;
+  /** Max requests allowed at once after idling. @default requestsPerSecond */
+  burst?: number;
+}
+
+/** Anything that hands out request permits; share one between clients to share a budget */
+export interface RateLimiterLike {
+  acquire(signal?: AbortSignal): Promise<Partial<RateLimitInfo> | void>;
+}
+
+/** Client-side token-bucket rate limiter. Requests over the limit are queued, not rejected. */
+export class RateLimiter implements RateLimiterLike {
+  requestsPerSecond: number;
+  burst: number;
+  /** Number of callers waiting for a token */
+  readonly queueDepth: number;
+
+  constructor(options: RateLimitOptions);
+
+  acquire(signal?: AbortSignal): Promise<RateLimitInfo>;
+}
+
+/** Retry backoff configuration (the number of retries is set by `retries`) */
+export interface RetryPolicy {
+  /** Delay before the first retry; doubles each retry. @default 100 */
+  baseDelayMs?: number;
+  /** Max backoff delay. Retry-After on 429/503 is honoured even beyond this. @default 10000 */
+  maxDelayMs?: number;
+  /**
+   * Jitter strategy: 'proportional' = ±25%, 'full' = 0..delay, 'equal' = delay/2..delay, 'none' = exact delay.
+   * @default 'proportional'
+   */
+  jitter?: 'proportional' | 'full' | 'equal' | 'none';
+  /** Custom retry predicate (retry number starts at 1). Replaces the default retryable check. */
+  shouldRetry?: (error: Error, attempt: number) => boolean;
+  /** Stop retrying once total elapsed time plus the next delay would exceed this */
+  maxRetryTimeMs?: number;
+}
+
+export interface ScrubJobOptions {
+  /** Checkpoint file (created if missing) */
+  checkpointPath: string;
+  /** @default 'v5' (uses client default) */
+  version?: ApiVersion;
+  /** Max batches sent in parallel. @default 1 */
+  concurrency?: number;
+  /** Keep the checkpoint file after the job completes. @default false */
+  keepCheckpoint?: boolean;
+  /** Stops the job; completed batches stay checkpointed */
+  signal?: AbortSignal;
+  /** Progress callback (counts include batches resumed from the checkpoint) */
+  onProgress?: (info: ProgressInfo) => void;
+}
+
+/** Resumable bulk scrub job with on-disk checkpoints */
+export class ScrubJob {
+  checkpointPath: string;
+  version: ApiVersion;
+  /** Number of batches restored from the checkpoint by the last run() */
+  resumedBatches: number;
+
+  constructor(client: BlacklistAlliance<boolean>, items: string[], options: ScrubJobOptions);
+
+  /** Run or resume the job. Resolves with the same merged output as an uninterrupted run. */
+  run(): Promise<BulkLookupResult>;
+}
+
 export interface ClientOptions {
   /** @default 'v5' */
   defaultVersion?: ApiVersion;
@@ -134,8 +582,354 @@ export interface ClientOptions {
   onResponse?: (response: ResponseInfo, data: unknown) => void | Promise<void>;
   /** Circuit breaker configuration. @default null */
   circuitBreaker?: CircuitBreakerOptions;
+  /** In-memory result cache for single lookups (`true` uses defaults). @default null */
+  cache?: CacheOptions | boolean;
+  /** Persistent cache store read through by single, bulk and email lookups. @default null */
+  cacheStore?: CacheStore;
+  /** Share one request between concurrent identical single lookups. @default true */
+  coalesceRequests?: boolean;
+  /** Batch isBlacklisted/getBlacklistReasons checks into bulk requests (`true` uses defaults). @default null */
+  microBatch?: MicroBatchOptions | boolean;
+  /** Client-side rate limit applied to every request (options or a shared limiter). @default null */
+  rateLimit?: RateLimitOptions | RateLimiterLike;
+  /** Retry backoff, jitter and predicate configuration */
+  retryPolicy?: RetryPolicy;
+  /**
+   * 'basic' checks for 10-11 digits (kept as the default for existing callers); 'nanp'
+   * applies NANP area code/exchange rules and sends the canonical 10-digit form. @default 'basic'
+   */
+  phoneValidation?: 'basic' | 'nanp';
+  /**
+   * Return version-normalized results from lookupSingle, lookup, bulkLookupSimple
+   * and bulkLookup (per-call `normalize` overrides). @default false
+   */
+  normalizeResults?: boolean;
+  /**
+   * Internal suppression list checked before every lookup: matches aren't sent and
+   * are reported as blacklisted with the `internal` reason code
+   */
+  localSuppression?: SuppressionList | string[] | SuppressionListOptions;
+  /**
+   * Consent/allowlist entries whose reason codes are overridden in lookup results;
+   * overridden results are marked with `override` / `overrides`
+   */
+  consentOverrides?: ConsentList | ConsentEntry[];
+  /** Reason codes to add to the built-in catalog, or built-in entries to override (merged per field) */
+  reasonCatalog?: Record<string, Partial<ReasonCatalogEntry>>;
+}
+
+export type PhoneErrorReason =
+  | 'empty'
+  | 'too-short'
+  | 'too-long'
+  | 'invalid-country-code'
+  | 'invalid-area-code'
+  | 'n11-area-code'
+  | 'invalid-exchange'
+  | 'n11-exchange'
+  | 'fictional-number'
+  | 'not-found';
+
+/** Reason codes set on `ValidationError.reason` by normalizePhone */
+export const PHONE_ERROR_REASONS: {
+  readonly EMPTY: 'empty';
+  readonly TOO_SHORT: 'too-short';
+  readonly TOO_LONG: 'too-long';
+  readonly INVALID_COUNTRY_CODE: 'invalid-country-code';
+  readonly INVALID_AREA_CODE: 'invalid-area-code';
+  readonly N11_AREA_CODE: 'n11-area-code';
+  readonly INVALID_EXCHANGE: 'invalid-exchange';
+  readonly N11_EXCHANGE: 'n11-exchange';
+  readonly FICTIONAL_NUMBER: 'fictional-number';
+  readonly NOT_FOUND: 'not-found';
+};
+
+export interface NormalizedPhone {
+  /** Canonical 10-digit form (country code stripped) */
+  digits: string;
+  /** E.164 form, e.g. '+12223334444' */
+  e164: string;
+  /** Area code */
+  npa: string;
+  /** Exchange */
+  nxx: string;
+  /** Line number (last 4 digits) */
+  line: string;
+}
+
+/**
+ * Normalize and validate a NANP phone number.
+ * Throws a ValidationError with `reason` set to a PhoneErrorReason.
+ */
+export function normalizePhone(phone: string | number): NormalizedPhone;
+
+/** Phone number parsed from free text. Can be passed wherever a phone string is accepted. */
+export interface ParsedPhone {
+  /** Original free-text input */
+  input: string;
+  /** Part of the input the number was read from (incl. extension) */
+  raw: string;
+  /** Canonical 10-digit form (null if invalid) */
+  digits: string | null;
+  /** E.164 form (null if invalid) */
+  e164: string | null;
+  /** Extension digits, if any */
+  extension: string | null;
+  /** Whether letters were converted (1-800-FLOWERS) */
+  vanity: boolean;
+  /** Whether the number passed NANP validation */
+  valid: boolean;
+  /** Failure reason when invalid */
+  reason: PhoneErrorReason | null;
+}
+
+/** A phone number string or a parsePhone/extractPhones result */
+export type PhoneInput = string | ParsedPhone;
+
+/**
+ * Parse the phone number in a free-text value (first valid one, else first invalid,
+ * else a 'not-found' result). Never throws.
+ */
+export function parsePhone(text: string): ParsedPhone;
+
+/**
+ * Parse a phonecode bulk response (one `phone:code` pair per line, `none` for
+ * clean numbers) into the same shape as a JSON bulk result.
+ * Throws a BlacklistAllianceError if a line isn't a `phone:code` pair.
+ */
+export function parsePhonecode(text: string): BulkLookupResult;
+
+/**
+ * Parse a single lookup response in XML or raw format into the same shape as
+ * the JSON format. Throws a BlacklistAllianceError if the body can't be parsed.
+ */
+export function parseLookupResponse(text: string, format: 'xml' | 'raw'): SingleLookupResult;
+
+/** Extract every phone number from a free-text value, in order of appearance */
+export function extractPhones(text: string): ParsedPhone[];
+
+/** Map a single lookup result of any API version to the normalized result model */
+export function normalizeLookupResult(result: SingleLookupResult, version: ApiVersion): NormalizedLookupResult;
+
+/** Map a bulk lookup result (array-wrapped or merged) of any API version to the normalized result model */
+export function normalizeBulkResult(result: BulkLookupResult | BulkLookupResult[], version: ApiVersion): NormalizedBulkResult;
+
+export type ReasonCategory = 'litigator' | 'federal-dnc' | 'state-dnc' | 'internal' | 'unknown';
+
+/** Reason categories used by the built-in catalog (custom entries may use others) */
+export const REASON_CATEGORIES: {
+  readonly LITIGATOR: 'litigator';
+  readonly FEDERAL_DNC: 'federal-dnc';
+  readonly STATE_DNC: 'state-dnc';
+  readonly INTERNAL: 'internal';
+  readonly UNKNOWN: 'unknown';
+};
+
+export type ReasonSeverity = 'low' | 'medium' | 'high' | 'critical';
+
+/** Reason severities, lowest first */
+export const REASON_SEVERITIES: {
+  readonly LOW: 'low';
+  readonly MEDIUM: 'medium';
+  readonly HIGH: 'high';
+  readonly CRITICAL: 'critical';
+};
+
+export interface ReasonCatalogEntry {
+  description: string | null;
+  /** A ReasonCategory or your own */
+  category: ReasonCategory | (string & {});
+  severity: ReasonSeverity;
+}
+
+/** Catalog keyed by lowercase reason code */
+export type ReasonCatalog = Readonly<Record<string, Readonly<ReasonCatalogEntry>>>;
+
+/** Built-in reason-code catalog */
+export const REASON_CATALOG: ReasonCatalog;
+
+/** Reason code described by the catalog */
+export interface ReasonDetails extends ReasonCatalogEntry {
+  /** Code as returned by the API */
+  code: string;
+  /** Whether the code is in the catalog; unknown codes get category 'unknown' and severity 'high' */
+  known: boolean;
+}
+
+/**
+ * Result type of enrichReasons: `reasonDetails` added to single and per-phone
+ * results (array) and merged bulk results (object of phone to array)
+ */
+export type WithReasonDetails<T> = T extends string
+  ? T
+  : T extends Map<infer K, infer V>
+    ? Map<K, WithReasonDetails<V>>
+    : T extends (infer U)[]
+      ? WithReasonDetails<U>[]
+      : T extends object
+        ? T &
+            (T extends { reasons: string[] }
+              ? { reasonDetails: ReasonDetails[] }
+              : T extends { reasons: Record<string, string> }
+                ? { reasonDetails: Record<string, ReasonDetails[]> }
+                : T extends { results: unknown[] }
+                  ? {}
+                  : { reasonDetails: ReasonDetails[] }) &
+            (T extends { results: (infer R)[] } ? { results: WithReasonDetails<R>[] } : {}) &
+            (T extends { rows: (infer R)[] } ? { rows: WithReasonDetails<R>[] } : {})
+        : T;
+
+/** Describe reason codes (an array, or a comma-separated `code` string), one entry per code */
+export function describeReasons(codes: string[] | string, catalog?: ReasonCatalog): ReasonDetails[];
+
+/** Add `reasonDetails` to any lookup result; the input is not modified */
+export function enrichReasons<T>(result: T, catalog?: ReasonCatalog): WithReasonDetails<T>;
+
+export type PolicyDecisionType = 'allow' | 'review' | 'deny';
+
+/** Policy decisions, least restrictive first */
+export const POLICY_DECISIONS: {
+  readonly ALLOW: 'allow';
+  readonly REVIEW: 'review';
+  readonly DENY: 'deny';
+};
+
+/** Normalized result with `reasonDetails`, as policy conditions see it */
+export type PolicySubject = (NormalizedPhoneResult | NormalizedLookupResult) & { reasonDetails: ReasonDetails[] };
+
+/** Context passed to policy predicates */
+export interface PolicyContext {
+  /** Matched by the `campaignTypes` condition */
+  campaignType?: string;
+  [key: string]: unknown;
+}
+
+export type PolicyPredicate = (result: PolicySubject, context: PolicyContext) => boolean;
+
+/**
+ * Condition of a policy rule. Every field given must match; fields the
+ * result doesn't include (e.g. wireless before v3) never match.
+ */
+export interface PolicyCondition {
+  blacklisted?: boolean;
+  /** Wireless line (or carrier marked wireless) */
+  wireless?: boolean;
+  /** OCN info marks the line as VoIP (v5) */
+  voip?: boolean;
+  /** Any of these reason codes fired */
+  codes?: string[];
+  /** A reason in any of these catalog categories fired */
+  categories?: (ReasonCategory | (string & {}))[];
+  /** A reason of at least this severity fired */
+  minSeverity?: ReasonSeverity;
+  /** OCN line type (or carrier type) is one of these */
+  lineTypes?: string[];
+  /** `context.campaignType` is one of these */
+  campaignTypes?: string[];
+  /** Custom predicate */
+  test?: PolicyPredicate;
+}
+
+export interface PolicyRule {
+  /** Reported in `matchedRules` */
+  name: string;
+  when: PolicyCondition | PolicyPredicate;
+  decision: PolicyDecisionType;
+}
+
+/** Compliance policy: every matching rule is reported and the most restrictive decision wins */
+export interface Policy {
+  rules: PolicyRule[];
+  /** Decision when no rule matches. @default 'allow' */
+  default?: PolicyDecisionType;
+}
+
+export interface PolicyDecision {
+  decision: PolicyDecisionType;
+  /** Matching rules, in policy order */
+  matchedRules: { name: string; decision: PolicyDecisionType }[];
+  /** The result the policy was evaluated against */
+  result: PolicySubject;
+}
+
+/** Allowed local calling time; `start` is inclusive, `end` exclusive */
+export interface CallingWindow {
+  /** 'HH:MM', 24-hour */
+  start: string;
+  /** 'HH:MM', 24-hour ('24:00' for midnight) */
+  end: string;
+  /** 'mon' to 'sun'. @default every day */
+  days?: string[];
+}
+
+/** 8am to 9pm local time every day (TCPA) */
+export const DEFAULT_CALLING_WINDOWS: ReadonlyArray<CallingWindow>;
+
+/** Geographic US/Canada area codes: state/province (null if the code spans several) and IANA time zones */
+export const AREA_CODE_TIME_ZONES: Readonly<Record<string, { readonly state: string | null; readonly timeZones: readonly string[] }>>;
+
+/** Time zones used in each state/province */
+export const STATE_TIME_ZONES: Readonly<Record<string, readonly string[]>>;
+
+export interface PhoneTimeZones {
+  npa: string | null;
+  /** State/province the time zones are for */
+  state: string | null;
+  /** IANA time zones the phone may be in (empty if unknown) */
+  timeZones: string[];
+  source: 'area-code' | 'carrier-state' | null;
+}
+
+export interface CallingWindowCheck extends PhoneTimeZones {
+  localTimes: { timeZone: string; day: string; time: string; inWindow: boolean }[];
+  /** Inside a window in every time zone */
+  inWindow: boolean;
 }
 
+export type CallBlocker = 'blacklisted' | 'outside-window' | 'unknown-time-zone';
+
+export interface CallDecision<R = NormalizedPhoneResult | NormalizedLookupResult> extends CallingWindowCheck {
+  /** Phone as sent */
+  phone: string;
+  allowed: boolean;
+  /** Why the call isn't allowed (empty if it is) */
+  blockedBy: CallBlocker[];
+  result: R;
+}
+
+export interface CallingWindowOptions {
+  /** @default DEFAULT_CALLING_WINDOWS */
+  windows?: CallingWindow[];
+  /** Time to check. @default now */
+  now?: Date | number;
+}
+
+/**
+ * Time zones a phone may be in. A carrier `state` is used when it differs from
+ * the area code's (or the area code is unknown)
+ */
+export function timeZonesForPhone(phone: string, options?: { state?: string }): PhoneTimeZones;
+
+/** Whether it's inside a calling window in every time zone a phone may be in (offline) */
+export function checkCallingWindow(phone: string, options?: CallingWindowOptions & { state?: string }): CallingWindowCheck;
+
+export interface PolicyOptions {
+  /** Passed to predicates; `campaignType` is matched by `campaignTypes` */
+  context?: PolicyContext;
+}
+
+/**
+ * Evaluate a policy against a normalized result you already have.
+ * Throws a ValidationError if the policy is malformed.
+ */
+export function evaluatePolicy(
+  result: NormalizedPhoneResult | NormalizedLookupResult,
+  policy: Policy,
+  options?: PolicyOptions & { catalog?: ReasonCatalog }
+): PolicyDecision;
+
+
+
 export interface LookupOptionsJson {
   /** @default 'v5' (uses client default) */
   version?: ApiVersion;
@@ -143,14 +937,23 @@ export interface LookupOptionsJson {
   responseFormat?: 'json';
   /** Validate phone format before sending. @default true */
   validate?: boolean;
+  /** Set false to bypass the persistent cache store. @default true */
+  cacheStore?: boolean;
+  /** Set false to skip the local suppression list. @default true */
+  localSuppression?: boolean;
+  /** Set false to skip consent overrides. @default true */
+  consentOverrides?: boolean;
   /** AbortSignal for cancelling the request */
   signal?: AbortSignal;
+  /** Return a normalized result. @default client's normalizeResults */
+  normalize?: boolean;
 }
 
 export interface LookupOptionsRaw {
   version?: ApiVersion;
   responseFormat: 'raw';
   validate?: boolean;
+  cacheStore?: boolean;
   /** AbortSignal for cancelling the request */
   signal?: AbortSignal;
 }
@@ -161,14 +964,26 @@ export interface StandardLookupOptionsJson {
   version?: ApiVersion;
   responseFormat?: 'json';
   validate?: boolean;
+  cacheStore?: boolean;
+  localSuppression?: boolean;
+  consentOverrides?: boolean;
   signal?: AbortSignal;
+  /** Return a normalized result. @default client's normalizeResults */
+  normalize?: boolean;
 }
 
 export interface StandardLookupOptionsRaw {
   version?: ApiVersion;
   responseFormat: 'raw' | 'xml';
+  /** Parse the response into a SingleLookupResult; false returns the body as a string. @default true */
+  parse?: boolean;
   validate?: boolean;
+  cacheStore?: boolean;
+  localSuppression?: boolean;
+  consentOverrides?: boolean;
   signal?: AbortSignal;
+  /** Return a normalized result (parsed responses only). @default client's normalizeResults */
+  normalize?: boolean;
 }
 
 export type StandardLookupOptions = StandardLookupOptionsJson | StandardLookupOptionsRaw;
@@ -180,6 +995,24 @@ export interface BulkOptionsJson {
   responseFormat?: 'json';
   /** Auto-split large payloads into batches. @default true */
   autoBatch?: boolean;
+  /** Max batches sent in parallel. @default 1 */
+  concurrency?: number;
+  /** Return successful batches plus `failedBatches` instead of throwing. @default false */
+  partial?: boolean;
+  /** 'collect' sends only valid items and lists the rest in `invalid`. @default 'throw' */
+  invalid?: InvalidMode;
+  /** Send each distinct item once and return `rows` mapping results back to every input. @default false */
+  dedupe?: boolean;
+  /** 'byPhone' returns a Map of phone to PhoneResult. @default 'merged' */
+  shape?: ResultShape;
+  /** Return a normalized result; rows and byPhone values become NormalizedPhoneResults. @default client's normalizeResults */
+  normalize?: boolean;
+  /** Set false to bypass the persistent cache store. @default true */
+  cacheStore?: boolean;
+  /** Set false to skip the local suppression list. @default true */
+  localSuppression?: boolean;
+  /** Set false to skip consent overrides. @default true */
+  consentOverrides?: boolean;
   signal?: AbortSignal;
   /** Progress callback for batch operations */
   onProgress?: (info: ProgressInfo) => void;
@@ -188,22 +1021,51 @@ export interface BulkOptionsJson {
 export interface BulkOptionsPhonecode {
   /** @default 'v5' (uses client default) */
   version?: ApiVersion;
-  /** Returns phone:code pairs as text (auto-batching disabled for this format) */
+  /** Returns phone:code pairs as text */
   responseFormat: 'phonecode';
-  /** Auto-batching is disabled for phonecode format. @default false */
+  /** Auto-split large payloads into batches; their text is joined line by line. @default true */
   autoBatch?: boolean;
+  /** Max batches sent in parallel. @default 1 */
+  concurrency?: number;
+  /** Return the merged text. @default 'text' */
+  phonecodeOutput?: 'text';
+  /** Set false to skip the local suppression list (matches are appended as `phone:internal` lines). @default true */
+  localSuppression?: boolean;
   signal?: AbortSignal;
   /** Progress callback for batch operations */
   onProgress?: (info: ProgressInfo) => void;
 }
 
-export type BulkOptions = BulkOptionsJson | BulkOptionsPhonecode;
+/** Phonecode responses parsed into a BulkLookupResult; supports every JSON-mode option */
+export interface BulkOptionsPhonecodeParsed extends Omit<BulkOptionsJson, 'responseFormat' | 'cacheStore'> {
+  /** Returns phone:code pairs, parsed (`wireless` and `carrier` are empty) */
+  responseFormat: 'phonecode';
+  phonecodeOutput: 'parsed';
+}
+
+export type BulkOptions = BulkOptionsJson | BulkOptionsPhonecode | BulkOptionsPhonecodeParsed;
 
 export interface StandardBulkOptions {
   /** @default 'v5' (uses client default) */
   version?: ApiVersion;
   /** Auto-split large payloads into batches. @default true */
   autoBatch?: boolean;
+  /** Max batches sent in parallel. @default 1 */
+  concurrency?: number;
+  /** Return successful batches plus `failedBatches` instead of throwing. @default false */
+  partial?: boolean;
+  /** 'collect' sends only valid items and lists the rest in `invalid`. @default 'throw' */
+  invalid?: InvalidMode;
+  /** Send each distinct item once and return `rows` mapping results back to every input. @default false */
+  dedupe?: boolean;
+  /** 'byPhone' returns a Map of phone to PhoneResult. @default 'merged' */
+  shape?: ResultShape;
+  /** Return a normalized result; rows and byPhone values become NormalizedPhoneResults. @default client's normalizeResults */
+  normalize?: boolean;
+  /** Set false to skip the local suppression list. @default true */
+  localSuppression?: boolean;
+  /** Set false to skip consent overrides. @default true */
+  consentOverrides?: boolean;
   signal?: AbortSignal;
   /** Progress callback for batch operations */
   onProgress?: (info: ProgressInfo) => void;
@@ -214,13 +1076,111 @@ export interface EmailBulkOptions {
   hashEmails?: boolean;
   /** Auto-split large payloads into batches. @default true */
   autoBatch?: boolean;
+  /** Max batches sent in parallel. @default 1 */
+  concurrency?: number;
+  /** Return successful batches plus `failedBatches` instead of throwing. @default false */
+  partial?: boolean;
+  /** 'collect' sends only valid items and lists the rest in `invalid`. @default 'throw' */
+  invalid?: InvalidMode;
+  /** Send each distinct item once and return `rows` mapping results back to every input. @default false */
+  dedupe?: boolean;
   /** Validate email format before sending. @default true */
   validate?: boolean;
+  /** Set false to bypass the persistent cache store. @default true */
+  cacheStore?: boolean;
+  /** Set false to skip the local suppression list. @default true */
+  localSuppression?: boolean;
+  /** Set false to skip consent overrides. @default true */
+  consentOverrides?: boolean;
   signal?: AbortSignal;
   /** Progress callback for batch operations */
   onProgress?: (info: ProgressInfo) => void;
 }
 
+export interface StreamOptions {
+  /** API version */
+  version?: ApiVersion;
+  /** Items per request (max 5000). @default 5000 */
+  batchSize?: number;
+  /** Max batches in flight. @default 1 */
+  concurrency?: number;
+  /** Set false to bypass the persistent cache store. @default true */
+  cacheStore?: boolean;
+  /** Set false to skip the local suppression list. @default true */
+  localSuppression?: boolean;
+  /** Set false to skip consent overrides. @default true */
+  consentOverrides?: boolean;
+  signal?: AbortSignal;
+}
+
+export interface EmailStreamOptions {
+  /** Convert emails to MD5 hashes before sending (for privacy). @default false */
+  hashEmails?: boolean;
+  /** Validate email format before sending. @default true */
+  validate?: boolean;
+  /** Items per request (max 5000). @default 5000 */
+  batchSize?: number;
+  /** Max batches in flight. @default 1 */
+  concurrency?: number;
+  /** Set false to bypass the persistent cache store. @default true */
+  cacheStore?: boolean;
+  /** Set false to skip the local suppression list. @default true */
+  localSuppression?: boolean;
+  /** Set false to skip consent overrides. @default true */
+  consentOverrides?: boolean;
+  signal?: AbortSignal;
+}
+
+/** Per-email streaming result */
+export interface EmailResult {
+  /** Email as read from the input (not hashed) */
+  email: string;
+  blacklisted: boolean;
+}
+
+/** Per-email dedupe-mode result */
+export interface SentEmailResult {
+  /** Email as sent: trimmed and lowercased, or its MD5 hash with hashEmails */
+  email: string;
+  blacklisted: boolean;
+}
+
+export interface ScrubCsvOptions {
+  /** Phone column header name or 0-based index */
+  phoneColumn?: string | number;
+  /** Email column header name or 0-based index */
+  emailColumn?: string | number;
+  /** Output paths. @default clean.csv and suppressed.csv next to the input */
+  outputs?: { clean?: string; suppressed?: string };
+  /** Whether the first row is a header. @default 'auto' */
+  header?: boolean | 'auto';
+  /** Field delimiter. @default ',' */
+  delimiter?: string;
+  /** Send emails as MD5 hashes. @default false */
+  hashEmails?: boolean;
+  version?: ApiVersion;
+  /** Rows per request (max 5000). @default 5000 */
+  batchSize?: number;
+  /** Max batches in flight. @default 1 */
+  concurrency?: number;
+  signal?: AbortSignal;
+  /** Called every 1000 rows and once at the end */
+  onProgress?: (info: { rows: number; clean: number; suppressed: number }) => void;
+}
+
+export interface ScrubCsvSummary {
+  /** Data rows read */
+  total: number;
+  /** Rows written to the clean output */
+  clean: number;
+  /** Rows written to the suppressed output */
+  suppressed: number;
+  /** Suppressed rows without a usable phone/email (reason `invalid`) */
+  invalid: number;
+  /** Output paths written */
+  outputs: { clean: string; suppressed: string };
+}
+
 export interface EmailCheckOptions {
   /** Convert email to MD5 hash before sending (for privacy). @default false */
   hashEmail?: boolean;
@@ -260,6 +1220,9 @@ export class RateLimitError extends BlacklistAllianceError {
 /** Validation error for invalid input (400, 422) */
 export class ValidationError extends BlacklistAllianceError {
   name: 'ValidationError';
+  /** Machine-readable failure reason (e.g. a PhoneErrorReason), or null */
+  reason: string | null;
+  constructor(message: string, statusCode: number, response: unknown, reason?: string);
 }
 
 /** Request timeout (408 or AbortError) */
@@ -280,6 +1243,10 @@ export class NetworkError extends BlacklistAllianceError {
 /** Server error (5xx) */
 export class ServerError extends BlacklistAllianceError {
   name: 'ServerError';
+  /** Seconds to wait before retrying (if provided by API, e.g. 503) */
+  retryAfter: number | null;
+
+  constructor(message: string, statusCode: number, response: unknown, retryAfter?: number);
 }
 
 /** Circuit breaker is open - requests blocked */
@@ -289,54 +1256,137 @@ export class CircuitBreakerError extends BlacklistAllianceError {
   constructor(message: string);
 }
 
-export class BlacklistAlliance {
+/** N: whether the client was created with `normalizeResults: true` */
+export class BlacklistAlliance<N extends boolean = false> {
   apiKey: string;
   defaultVersion: ApiVersion;
   timeout: number;
   retries: number;
   logger: Logger | null;
   dryRun: boolean;
+  normalizeResults: N;
+  /** Built-in reason catalog merged with the `reasonCatalog` option */
+  reasonCatalog: ReasonCatalog;
+  /** Result cache, or null when `cache` option is not set */
+  cache: LookupCache | null;
+  /** Persistent cache store, or null when `cacheStore` option is not set */
+  cacheStore: CacheStore | null;
+  coalesceRequests: boolean;
+  /** Local suppression list, or null when `localSuppression` option is not set */
+  localSuppression: SuppressionList | null;
+  /** Consent overrides, or null when `consentOverrides` option is not set */
+  consentOverrides: ConsentList | null;
+  /** Rate limiter, or null when `rateLimit` option is not set */
+  rateLimiter: RateLimiterLike | null;
 
-  constructor(apiKey: string, options?: ClientOptions);
+  constructor(apiKey: string, options?: ClientOptions & { normalizeResults?: N });
 
   /**
    * Lookup a single phone number (Simple API)
    * Returns raw string when responseFormat is 'raw'
    */
-  lookupSingle(phone: string, options: LookupOptionsRaw): Promise<string>;
-  lookupSingle(phone: string, options?: LookupOptionsJson): Promise<SingleLookupResult>;
-  lookupSingle(phone: string, options?: LookupOptions): Promise<SingleLookupResult | string>;
+  lookupSingle(phone: PhoneInput, options: LookupOptionsRaw): Promise<string>;
+  lookupSingle<O extends LookupOptionsJson = {}>(phone: PhoneInput, options?: O): Promise<NormalizeFor<O, N, SingleLookupResult, NormalizedLookupResult>>;
+  lookupSingle(phone: PhoneInput, options?: LookupOptions): Promise<SingleLookupResult | NormalizedLookupResult | string>;
 
   /**
    * Lookup multiple phone numbers in bulk (Simple API)
    * Returns raw string when responseFormat is 'phonecode'
    */
-  bulkLookupSimple(phones: string[], options: BulkOptionsPhonecode): Promise<string>;
-  bulkLookupSimple(phones: string[], options?: BulkOptionsJson): Promise<BulkLookupResult>;
-  bulkLookupSimple(phones: string[], options?: BulkOptions): Promise<BulkLookupResult | string>;
+  bulkLookupSimple(phones: PhoneInput[], options: BulkOptionsPhonecode): Promise<string>;
+  bulkLookupSimple<O extends (BulkOptionsJson | BulkOptionsPhonecodeParsed) & { shape: 'byPhone' }>(phones: PhoneInput[], options: O): Promise<Map<string, NormalizeFor<O, N, PhoneResult, NormalizedPhoneResult>>>;
+  bulkLookupSimple<O extends BulkOptionsJson | BulkOptionsPhonecodeParsed = {}>(phones: PhoneInput[], options?: O): Promise<NormalizeFor<O, N, BulkResultFor<O, BulkLookupResult, PhoneResult, PhoneInput>, BulkResultFor<O, NormalizedBulkResult, NormalizedPhoneResult, PhoneInput>>>;
+  bulkLookupSimple(phones: PhoneInput[], options?: BulkOptions): Promise<BulkLookupResult | NormalizedBulkResult | string>;
 
   /**
    * Check emails against blacklist (Simple API)
    */
+  emailBulk<O extends EmailBulkOptions>(emails: string[], options: O): Promise<BulkResultFor<O, EmailBulkResult, SentEmailResult>>;
   emailBulk(emails: string[], options?: EmailBulkOptions): Promise<EmailBulkResult>;
 
   /**
    * Lookup a single phone number (Standard RESTful API)
    * Returns raw string when responseFormat is 'raw' or 'xml'
    */
-  lookup(phone: string, options: StandardLookupOptionsRaw): Promise<string>;
-  lookup(phone: string, options?: StandardLookupOptionsJson): Promise<SingleLookupResult>;
-  lookup(phone: string, options?: StandardLookupOptions): Promise<SingleLookupResult | string>;
+  lookup(phone: PhoneInput, options: StandardLookupOptionsRaw & { parse: false }): Promise<string>;
+  lookup<O extends StandardLookupOptions = {}>(phone: PhoneInput, options?: O): Promise<NormalizeFor<O, N, SingleLookupResult, NormalizedLookupResult>>;
+  lookup(phone: PhoneInput, options?: StandardLookupOptions): Promise<SingleLookupResult | NormalizedLookupResult | string>;
 
   /**
    * Lookup multiple phone numbers in bulk (Standard RESTful API)
    */
-  bulkLookup(phones: string[], options?: StandardBulkOptions): Promise<BulkLookupResult>;
+  bulkLookup<O extends StandardBulkOptions & { shape: 'byPhone' }>(phones: PhoneInput[], options: O): Promise<Map<string, NormalizeFor<O, N, PhoneResult, NormalizedPhoneResult>>>;
+  bulkLookup<O extends StandardBulkOptions = {}>(phones: PhoneInput[], options?: O): Promise<NormalizeFor<O, N, BulkResultFor<O, BulkLookupResult, PhoneResult, PhoneInput>, BulkResultFor<O, NormalizedBulkResult, NormalizedPhoneResult, PhoneInput>>>;
+
+  /**
+   * Look up a phone number and evaluate a compliance policy against the normalized result (Simple API)
+   */
+  evaluate(phone: PhoneInput, policy: Policy, options?: Omit<LookupOptionsJson, 'normalize'> & PolicyOptions): Promise<PolicyDecision>;
+
+  /**
+   * Look up phone numbers in bulk and evaluate a compliance policy against each normalized result (Simple API)
+   */
+  evaluateBulk(
+    phones: PhoneInput[],
+    policy: Policy,
+    options?: Omit<BulkOptionsJson, 'normalize' | 'shape' | 'partial' | 'invalid' | 'dedupe'> & PolicyOptions
+  ): Promise<Map<string, PolicyDecision>>;
+
+  /**
+   * Look up a phone number and check whether it may be called now: not blacklisted, and
+   * inside a calling window in every time zone it may be in (Simple API)
+   */
+  canCallNow(
+    phone: PhoneInput,
+    options?: Omit<LookupOptionsJson, 'normalize'> & CallingWindowOptions
+  ): Promise<CallDecision<NormalizedLookupResult>>;
+
+  /** Look up phone numbers in bulk and check whether each may be called now (Simple API) */
+  canCallNowBulk(
+    phones: PhoneInput[],
+    options?: Omit<BulkOptionsJson, 'normalize' | 'shape' | 'partial' | 'invalid' | 'dedupe'> & CallingWindowOptions
+  ): Promise<Map<string, CallDecision<NormalizedPhoneResult>>>;
+
+  /**
+   * Lookup a single phone number via micro-batched bulk requests
+   */
+  lookupBatched(phone: PhoneInput, options?: CheckOptions): Promise<PhoneResult>;
+
+  /**
+   * Create a resumable bulk scrub job (Simple API) that checkpoints each batch to disk
+   */
+  createScrubJob(phones: PhoneInput[], options: ScrubJobOptions): ScrubJob;
+
+  /**
+   * Lookup phones from an (async) iterable, yielding a result per phone as each batch completes
+   */
+  bulkLookupStream(phones: AsyncIterable<PhoneInput> | Iterable<PhoneInput>, options?: StreamOptions): AsyncGenerator<PhoneResult, void, undefined>;
+
+  /**
+   * Check emails from an (async) iterable, yielding a result per email as each batch completes
+   */
+  emailBulkStream(emails: AsyncIterable<string> | Iterable<string>, options?: EmailStreamOptions): AsyncGenerator<EmailResult, void, undefined>;
+
+  /**
+   * Create an object-mode Transform stream: write phones, read PhoneResults
+   */
+  createBulkLookupStream(options?: StreamOptions): Transform;
+
+  /**
+   * Create an object-mode Transform stream: write emails, read EmailResults
+   */
+  createEmailBulkStream(options?: EmailStreamOptions): Transform;
+
+  /**
+   * Scrub a CSV lead file into clean and suppressed CSV files (streamed)
+   */
+  scrubCsv(inputPath: string, options: ScrubCsvOptions): Promise<ScrubCsvSummary>;
 
   /**
    * Check if a single phone number is blacklisted
+   * Uses micro-batched bulk requests when the `microBatch` option is set.
    */
-  isBlacklisted(phone: string): Promise<boolean>;
+  isBlacklisted(phone: PhoneInput, options?: CheckOptions): Promise<boolean>;
 
   /**
    * Check if an email is blacklisted
@@ -346,13 +1396,44 @@ export class BlacklistAlliance {
   /**
    * Get blacklist reasons for a phone number
    */
-  getBlacklistReasons(phone: string): Promise<string[]>;
+  getBlacklistReasons(phone: PhoneInput, options?: CheckOptions): Promise<string[]>;
 
   /**
    * Hash an email to MD5
    */
   hashEmail(email: string): string;
 
+  /**
+   * Per-phone view of a bulk lookup result (same values as `shape: 'byPhone'`).
+   * Defaults to every phone in `phones` and `supression`.
+   */
+  toPhoneMap(result: BulkLookupResult | BulkLookupResult[], phones?: string[]): Map<string, PhoneResult>;
+
+  /**
+   * Describe reason codes with the client's catalog
+   */
+  describeReasons(codes: string[] | string): ReasonDetails[];
+
+  /**
+   * Add `reasonDetails` to any lookup result with the client's catalog
+   */
+  enrichReasons<T>(result: T): WithReasonDetails<T>;
+
+  /**
+   * Normalize and validate a NANP phone number
+   */
+  normalizePhone(phone: string | number): NormalizedPhone;
+
+  /**
+   * Parse the phone number in a free-text value (never throws; check `valid`)
+   */
+  parsePhone(text: string): ParsedPhone;
+
+  /**
+   * Extract every phone number from a free-text value
+   */
+  extractPhones(text: string): ParsedPhone[];
+
   /**
    * Check API connectivity (health check)
    * Returns true if API is reachable and responding
@@ -9,6 +9,24 @@ const {
 	ServerError,
 	CircuitBreakerError,
 } = require("./errors");
+const { LookupCache } = require("./cache");
+const { MemoryCacheStore, FileCacheStore } = require("./stores");
+const { SuppressionList, INTERNAL_REASON } = require("./suppression");
+const { ConsentList } = require("./consent");
+const { RateLimiter } = require("./ratelimit");
+const { ScrubJob } = require("./job");
+const { normalizePhone, extractPhones, parsePhone, PHONE_ERROR_REASONS } = require("./phone");
+const { parsePhonecode, parseLookupResponse } = require("./parsers");
+const { normalizeLookupResult, normalizeBulkResult } = require("./normalize");
+const { REASON_CATEGORIES, REASON_SEVERITIES, REASON_CATALOG, describeReasons, enrichReasons } = require("./reasons");
+const { POLICY_DECISIONS, evaluatePolicy } = require("./policy");
+const {
+	AREA_CODE_TIME_ZONES,
+	STATE_TIME_ZONES,
+	DEFAULT_CALLING_WINDOWS,
+	timeZonesForPhone,
+	checkCallingWindow,
+} = require("./timezones");
 
 module.exports = {
 	BlacklistAlliance,
@@ -20,4 +38,32 @@ module.exports = {
 	NetworkError,
 	ServerError,
 	CircuitBreakerError,
+	LookupCache,
+	MemoryCacheStore,
+	FileCacheStore,
+	SuppressionList,
+	ConsentList,
+	RateLimiter,
+	ScrubJob,
+	normalizePhone,
+	extractPhones,
+	parsePhone,
+	PHONE_ERROR_REASONS,
+	parsePhonecode,
+	parseLookupResponse,
+	normalizeLookupResult,
+	normalizeBulkResult,
+	REASON_CATEGORIES,
+	REASON_SEVERITIES,
+	REASON_CATALOG,
+	describeReasons,
+	enrichReasons,
+	POLICY_DECISIONS,
+	evaluatePolicy,
+	AREA_CODE_TIME_ZONES,
+	STATE_TIME_ZONES,
+	DEFAULT_CALLING_WINDOWS,
+	timeZonesForPhone,
+	checkCallingWindow,
+	INTERNAL_REASON,
 };
@@ -12,6 +12,34 @@ const {
 	NetworkError,
 	ServerError,
 	CircuitBreakerError,
+	LookupCache,
+	MemoryCacheStore,
+	FileCacheStore,
+	SuppressionList,
+	ConsentList,
+	RateLimiter,
+	ScrubJob,
+	normalizePhone,
+	extractPhones,
+	parsePhone,
+	PHONE_ERROR_REASONS,
+	parsePhonecode,
+	parseLookupResponse,
+	normalizeLookupResult,
+	normalizeBulkResult,
+	REASON_CATEGORIES,
+	REASON_SEVERITIES,
+	REASON_CATALOG,
+	describeReasons,
+	enrichReasons,
+	POLICY_DECISIONS,
+	evaluatePolicy,
+	AREA_CODE_TIME_ZONES,
+	STATE_TIME_ZONES,
+	DEFAULT_CALLING_WINDOWS,
+	timeZonesForPhone,
+	checkCallingWindow,
+	INTERNAL_REASON,
 } = require("./index.js");
 
 export {
@@ -24,6 +52,34 @@ export {
 	NetworkError,
 	ServerError,
 	CircuitBreakerError,
+	LookupCache,
+	MemoryCacheStore,
+	FileCacheStore,
+	SuppressionList,
+	ConsentList,
+	RateLimiter,
+	ScrubJob,
+	normalizePhone,
+	extractPhones,
+	parsePhone,
+	PHONE_ERROR_REASONS,
+	parsePhonecode,
+	parseLookupResponse,
+	normalizeLookupResult,
+	normalizeBulkResult,
+	REASON_CATEGORIES,
+	REASON_SEVERITIES,
+	REASON_CATALOG,
+	describeReasons,
+	enrichReasons,
+	POLICY_DECISIONS,
+	evaluatePolicy,
+	AREA_CODE_TIME_ZONES,
+	STATE_TIME_ZONES,
+	DEFAULT_CALLING_WINDOWS,
+	timeZonesForPhone,
+	checkCallingWindow,
+	INTERNAL_REASON,
 };
 
 export default BlacklistAlliance;
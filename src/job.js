@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+/**
+ * Resumable bulk scrub job with on-disk checkpoints
+ *
+ * The checkpoint is an append-only NDJSON file: a header line identifying
+ * the input list, then one line per completed batch holding its index and
+ * result. It is read back line by line, as a large scrub's checkpoint can
+ * outgrow a single string. A crash can at worst leave a truncated last
+ * line, which is ignored on resume.
+ */
+class ScrubJob {
+	/**
+	 * @param {import("./client").BlacklistAlliance} client
+	 * @param {string[]} items - Phone numbers to scrub
+	 * @param {Object} options
+	 * @param {string} options.checkpointPath - Checkpoint file (created if missing)
+	 * @param {string} [options.version] - API version
+	 * @param {number} [options.concurrency=1] - Max batches sent in parallel
+	 * @param {boolean} [options.keepCheckpoint=false] - Keep the checkpoint file after completion
+	 * @param {AbortSignal} [options.signal] - Stops the job; progress so far stays checkpointed
+	 * @param {function(Object): void} [options.onProgress] - Progress callback (includes resumed batches)
+	 */
+	constructor(client, items, options = {}) {
+		if (!options.checkpointPath) {
+			throw new Error("checkpointPath is required");
+		}
+		this.client = client;
+		this.items = items;
+		this.checkpointPath = options.checkpointPath;
+		this.version = options.version || client.defaultVersion;
+		this.options = options;
+		this.resumedBatches = 0;
+		// Serialize checkpoint appends when batches run concurrently
+		this._writeQueue = Promise.resolve();
+	}
+
+	/**
+	 * Identify the input list so a checkpoint is never resumed against different items
+	 * @private
+	 */
+	_fingerprint() {
+		return crypto
+			.createHash("sha256")
+			.update(this.version)
+			.update("\n")
+			.update(JSON.stringify(this.items))
+			.digest("hex");
+	}
+
+	/**
+	 * Load completed batch results from the checkpoint, or start a new one
+	 * @private
+	 * @returns {Promise<Map<number, *>>} Batch index to result
+	 */
+	async _loadCheckpoint(fingerprint, totalBatches) {
+		let file;
+		try {
+			file = await fs.promises.open(this.checkpointPath, "r");
+		} catch (error) {
+			if (error.code !== "ENOENT") throw error;
+		}
+
+		let header;
+		const done = new Map();
+		if (file) {
+			const lines = readline.createInterface({
+				input: file.createReadStream({ encoding: "utf8" }),
+				crlfDelay: Infinity,
+			});
+			try {
+				let lineNumber = 0;
+				for await (const line of lines) {
+					lineNumber++;
+					if (lineNumber === 1) {
+						try {
+							header = JSON.parse(line);
+						} catch (error) {
+							// Crashed while writing the header - nothing was completed yet
+							header = null;
+							break;
+						}
+						if (header.fingerprint !== fingerprint) {
+							throw new Error(
+								`Checkpoint ${this.checkpointPath} belongs to a different item list or API version`
+							);
+						}
+						continue;
+					}
+					if (!line) continue;
+					try {
+						const entry = JSON.parse(line);
+						done.set(entry.batch, entry.result);
+					} catch (error) {
+						// Truncated write from a crash - that batch is simply redone
+						this.client._log("warn", "Ignoring corrupt checkpoint line", { line: lineNumber });
+					}
+				}
+			} finally {
+				lines.close();
+				await file.close();
+			}
+		}
+
+		// Missing, empty or cut short before the header was written: start a new one
+		if (!header) {
+			await fs.promises.mkdir(path.dirname(this.checkpointPath), { recursive: true });
+			header = { type: "header", fingerprint, version: this.version, totalBatches };
+			await fs.promises.writeFile(this.checkpointPath, `${JSON.stringify(header)}\n`);
+		}
+		return done;
+	}
+
+	/**
+	 * Append a completed batch to the checkpoint
+	 * @private
+	 */
+	_saveBatch(batch, result) {
+		const line = `${JSON.stringify({ batch, result })}\n`;
+		const write = this._writeQueue.then(() => fs.promises.appendFile(this.checkpointPath, line));
+		this._writeQueue = write.catch(() => {});
+		return write;
+	}
+
+	/**
+	 * Run (or resume) the job
+	 * @returns {Promise<BulkLookupResult>} Same merged output as an uninterrupted run
+	 */
+	async run() {
+		const client = this.client;
+		const options = this.options;
+		const batches = client._batchBySize(this.items);
+		const done = await this._loadCheckpoint(this._fingerprint(), batches.length);
+
+		this.resumedBatches = done.size;
+		if (done.size > 0) {
+			client._log("info", "Resuming scrub job from checkpoint", {
+				checkpointPath: this.checkpointPath,
+				completedBatches: done.size,
+				totalBatches: batches.length,
+			});
+		}
+
+		const pending = [];
+		let resumedItems = 0;
+		batches.forEach((batch, i) => {
+			if (done.has(i)) {
+				resumedItems += batch.length;
+			} else {
+				pending.push(i);
+			}
+		});
+
+		await client._runBatches(
+			pending.map((i) => batches[i]),
+			async (batch, j) => {
+				const result = await client.bulkLookupSimple(batch, {
+					version: this.version,
+					autoBatch: false,
+					signal: options.signal,
+					normalize: false,
+				});
+				done.set(pending[j], result);
+				await this._saveBatch(pending[j], result);
+				return result;
+			},
+			{
+				concurrency: options.concurrency,
+				onProgress: options.onProgress
+					? (info) =>
+							options.onProgress({
+								completed: resumedItems + info.completed,
+								total: this.items.length,
+								batch: pending[info.batch - 1] + 1,
+								totalBatches: batches.length,
+								completedBatches: this.resumedBatches + info.completedBatches,
+							})
+					: undefined,
+			}
+		);
+
+		const merged = client._mergeBulkResults(batches.map((batch, i) => done.get(i)));
+
+		if (!options.keepCheckpoint) {
+			await fs.promises.rm(this.checkpointPath, { force: true });
+		}
+		return merged;
+	}
+}
+
+module.exports = { ScrubJob };
@@ -0,0 +1,203 @@
+const { reasonCodes } = require("./reasons");
+
+/**
+ * Version-normalized result model
+ *
+ * API responses differ by version: carrier info only exists from v3,
+ * `ocn_info` only in v5, flags come back as 0/1 or 'Y'/'N', bulk responses
+ * are array-wrapped and use the `supression` spelling. These functions map
+ * every version's response to one schema: camelCase names, booleans for
+ * flags, arrays for reason codes, and `undefined` for fields the response
+ * doesn't include.
+ */
+
+/**
+ * String value, or undefined if missing
+ * @private
+ */
+function text(value) {
+	return value === undefined || value === null ? undefined : String(value);
+}
+
+/**
+ * Number value, or undefined if missing or not numeric
+ * @private
+ */
+function number(value) {
+	if (value === undefined || value === null || value === "") return undefined;
+	const parsed = Number(value);
+	return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Boolean from 1/0, 'Y'/'N', 'true'/'false' (any case), or undefined if missing
+ * @private
+ */
+function flag(value) {
+	if (value === undefined || value === null || value === "") return undefined;
+	if (typeof value === "boolean") return value;
+	return ["1", "y", "yes", "true"].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Whether a version's bulk responses report wireless (v1/v2 have no `wireless`
+ * list; merged results from several batches always carry one, so the list
+ * itself can't tell)
+ * @private
+ */
+function reportsWireless(version) {
+	return version !== "v1" && version !== "v2";
+}
+
+/**
+ * Wireless test for the phones of a bulk result: listed in `wireless`, or
+ * the carrier is marked wireless
+ *
+ * @param {BulkLookupResult|BulkLookupResult[]} result - Bulk result (array-wrapped or merged)
+ * @returns {(phone: string) => boolean}
+ */
+function bulkWireless(result) {
+	const r = unwrapBulk(result);
+	const listed = new Set((r.wireless || []).map(String));
+	return (phone) => listed.has(phone) || flag(r.carrier?.[phone]?.wireless) === true;
+}
+
+/**
+ * @param {OcnInfo} [ocnInfo]
+ * @returns {NormalizedOcnInfo|undefined}
+ */
+function normalizeOcnInfo(ocnInfo) {
+	if (!ocnInfo || typeof ocnInfo !== "object") return undefined;
+	return {
+		isVoip: flag(ocnInfo.is_voip),
+		carrier: text(ocnInfo.carrier),
+		lineType: text(ocnInfo.line_type),
+	};
+}
+
+/**
+ * @param {CarrierInfo} [carrier]
+ * @returns {NormalizedCarrier|undefined}
+ */
+function normalizeCarrier(carrier) {
+	if (!carrier || typeof carrier !== "object") return undefined;
+	return {
+		did: text(carrier.did),
+		type: text(carrier.type),
+		name: text(carrier.name),
+		state: text(carrier.state),
+		rateCenter: text(carrier.ratecenter),
+		country: text(carrier.country),
+		clli: text(carrier.clli),
+		lata: text(carrier.lata),
+		wireless: flag(carrier.wireless),
+		lrn: text(carrier.lrn),
+		npa: text(carrier.npa),
+		nxx: text(carrier.nxx),
+		nxxx: text(carrier.nxxx),
+		ocn: text(carrier.ocn),
+		portType: text(carrier.port_type),
+	};
+}
+
+/**
+ * Normalize a single lookup result (lookupSingle / lookup)
+ *
+ * @param {SingleLookupResult} result - JSON result (or parsed XML/raw)
+ * @param {ApiVersion} version - Version the result was requested with
+ * @returns {NormalizedLookupResult}
+ *
+ * @example
+ * normalizeLookupResult({ message: 'Blacklisted', code: 'federal-dnc', results: 1, wireless: 0, ... }, 'v1');
+ * // { version: 'v1', blacklisted: true, reasons: ['federal-dnc'], wireless: false, carrier: undefined, ... }
+ */
+function normalizeLookupResult(result, version) {
+	const r = result || {};
+	const reasons = reasonCodes(r.code);
+	const carrier = normalizeCarrier(r.carrier);
+	const wireless = flag(r.wireless);
+	return {
+		version,
+		phone: text(r.phone),
+		blacklisted: flag(r.results) ?? (reasons.length > 0 || r.message === "Blacklisted"),
+		reasons,
+		// A carrier marked wireless counts, as it does for bulk results
+		wireless: carrier?.wireless === true ? true : wireless ?? carrier?.wireless,
+		carrier,
+		ocnInfo: normalizeOcnInfo(r.ocn_info ?? r.carrier?.ocn_info),
+		status: text(r.status),
+		message: text(r.message),
+		sid: text(r.sid),
+		offset: number(r.offset),
+		time: number(r.time),
+		scrubs: flag(r.scrubs),
+		...(r.override && { override: r.override }),
+	};
+}
+
+/**
+ * Unwrap an array-wrapped bulk response
+ * @private
+ */
+function unwrapBulk(result) {
+	return (Array.isArray(result) ? result[0] : result) || {};
+}
+
+/**
+ * Normalized per-phone results of a bulk lookup result
+ * (phones missing from the result come back clean)
+ *
+ * @param {BulkLookupResult|BulkLookupResult[]} result - Bulk result (array-wrapped or merged)
+ * @param {string[]} phones - Phones to include, as sent
+ * @param {ApiVersion} [version] - Version the result was requested with; without
+ *   it, wireless is only reported if the result has a `wireless` list
+ * @returns {Map<string, NormalizedPhoneResult>}
+ */
+function normalizeBulkPhones(result, phones, version) {
+	const r = unwrapBulk(result);
+	const suppressed = new Set((r.supression || []).map(String));
+	// Older versions don't report wireless at all
+	const reported = version === undefined ? Array.isArray(r.wireless) : reportsWireless(version);
+	const isWireless = reported ? bulkWireless(r) : null;
+
+	const byPhone = new Map();
+	for (const phone of phones) {
+		const carrier = r.carrier?.[phone];
+		byPhone.set(phone, {
+			phone,
+			blacklisted: suppressed.has(phone),
+			reasons: reasonCodes(r.reasons?.[phone]),
+			wireless: isWireless ? isWireless(phone) : undefined,
+			carrier: normalizeCarrier(carrier),
+			ocnInfo: normalizeOcnInfo(carrier?.ocn_info ?? r.ocn_info?.[phone]),
+			...(r.overrides?.[phone] && { override: r.overrides[phone] }),
+		});
+	}
+	return byPhone;
+}
+
+/**
+ * Normalize a bulk lookup result (bulkLookupSimple / bulkLookup)
+ *
+ * @param {BulkLookupResult|BulkLookupResult[]} result - Bulk result (array-wrapped or merged)
+ * @param {ApiVersion} version - Version the result was requested with
+ * @returns {NormalizedBulkResult}
+ */
+function normalizeBulkResult(result, version) {
+	const r = unwrapBulk(result);
+	const clean = (r.phones || []).map(String);
+	const suppressed = (r.supression || []).map(String);
+
+	return {
+		version,
+		status: text(r.status),
+		submitted: number(r.numbers),
+		processed: number(r.count),
+		clean,
+		suppressed,
+		results: [...normalizeBulkPhones(r, [...clean, ...suppressed], version).values()],
+		...(r.overrides && { overrides: r.overrides }),
+	};
+}
+
+module.exports = { normalizeLookupResult, normalizeBulkResult, normalizeBulkPhones, bulkWireless };
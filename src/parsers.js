@@ -0,0 +1,282 @@
+const { BlacklistAllianceError } = require("./errors");
+
+/**
+ * Parsers for the API's non-JSON response formats
+ */
+
+/** Codes the phonecode format uses for a clean number */
+const CLEAN_CODES = new Set(["", "none", "good", "0"]);
+
+/**
+ * Parse a phonecode bulk response (one `phone:code` pair per line, where
+ * code is `none` for clean numbers or comma-separated blacklist reason codes)
+ * into the same shape as a JSON bulk result
+ *
+ * @param {string} text - Response body
+ * @returns {BulkLookupResult} `wireless` and `carrier` are always empty
+ * @throws {BlacklistAllianceError} If a line isn't a `phone:code` pair
+ *
+ * @example
+ * parsePhonecode('2223334444:none\n5556667777:federal-dnc,tcpa');
+ * // { status: 'success', numbers: 2, count: 2, phones: ['2223334444'],
+ * //   supression: ['5556667777'], reasons: { '5556667777': 'federal-dnc,tcpa' }, ... }
+ */
+function parsePhonecode(text) {
+	const result = {
+		status: "success",
+		numbers: 0,
+		count: 0,
+		phones: [],
+		supression: [],
+		wireless: [],
+		reasons: {},
+		carrier: {},
+	};
+
+	for (const rawLine of String(text ?? "").split(/\r?\n/)) {
+		const line = rawLine.trim();
+		if (!line) continue;
+
+		const separator = line.indexOf(":");
+		const phone = separator === -1 ? "" : line.slice(0, separator).trim();
+		if (!/^\d+$/.test(phone)) {
+			throw new BlacklistAllianceError(`Unexpected phonecode line: ${line}`, null, text);
+		}
+		const codes = line
+			.slice(separator + 1)
+			.split(",")
+			.map((code) => code.trim())
+			.filter((code) => !CLEAN_CODES.has(code.toLowerCase()));
+
+		result.numbers++;
+		result.count++;
+		if (codes.length > 0) {
+			result.supression.push(phone);
+			result.reasons[phone] = codes.join(",");
+		} else {
+			result.phones.push(phone);
+		}
+	}
+	return result;
+}
+
+/**
+ * Join phonecode responses from several batches into one text, in batch order
+ * @param {string[]} texts
+ * @returns {string}
+ */
+function mergePhonecode(texts) {
+	return texts
+		.map((text) => String(text ?? "").replace(/\s+$/, ""))
+		.filter(Boolean)
+		.join("\n");
+}
+
+// ============================================
+// SINGLE LOOKUP (XML / RAW)
+// ============================================
+
+/** SingleLookupResult fields the JSON format returns as numbers */
+const NUMERIC_FIELDS = ["offset", "wireless", "results", "time"];
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const XML_OPEN_TAG = /<([A-Za-z_][\w.:-]*)(?:\s[^>]*?)?(\/?)>/y;
+
+/**
+ * Throw a parse error for a response body
+ * @private
+ */
+function parseError(format, detail, text) {
+	throw new BlacklistAllianceError(`Could not parse ${format} response: ${detail}`, null, text);
+}
+
+/**
+ * Decode XML character and entity references
+ * @private
+ */
+function decodeEntities(value) {
+	return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+		if (entity[0] === "#") {
+			const hex = entity[1] === "x" || entity[1] === "X";
+			return String.fromCodePoint(parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10));
+		}
+		return XML_ENTITIES[entity] ?? match;
+	});
+}
+
+/**
+ * Parse an XML document into plain objects: elements with children become
+ * objects (repeated children become arrays), other elements their text.
+ * Attributes, comments and processing instructions are ignored.
+ * @private
+ */
+function parseXml(text) {
+	const source = String(text ?? "");
+	let pos = 0;
+
+	const endOf = (marker) => {
+		const end = source.indexOf(marker, pos);
+		if (end === -1) parseError("xml", `missing ${marker}`, text);
+		return end + marker.length;
+	};
+
+	// Whitespace, the XML declaration, comments and the doctype
+	const skipProlog = () => {
+		for (;;) {
+			while (pos < source.length && /\s/.test(source[pos])) pos++;
+			if (source.startsWith("<?", pos)) pos = endOf("?>");
+			else if (source.startsWith("<!--", pos)) pos = endOf("-->");
+			else if (source.startsWith("<!DOCTYPE", pos)) pos = endOf(">");
+			else return;
+		}
+	};
+
+	const parseElement = () => {
+		XML_OPEN_TAG.lastIndex = pos;
+		const open = XML_OPEN_TAG.exec(source);
+		if (!open) parseError("xml", `expected an element at offset ${pos}`, text);
+		pos = XML_OPEN_TAG.lastIndex;
+		const name = open[1];
+		if (open[2]) return { name, value: "" };
+
+		let content = "";
+		const children = [];
+		for (;;) {
+			if (pos >= source.length) parseError("xml", `unclosed <${name}>`, text);
+			if (source.startsWith("</", pos)) {
+				const end = endOf(">");
+				const closing = source.slice(pos + 2, end - 1).trim();
+				if (closing !== name) parseError("xml", `expected </${name}>, found </${closing}>`, text);
+				pos = end;
+				break;
+			}
+			if (source.startsWith("<![CDATA[", pos)) {
+				const end = endOf("]]>");
+				content += source.slice(pos + 9, end - 3);
+				pos = end;
+			} else if (source.startsWith("<!--", pos)) {
+				pos = endOf("-->");
+			} else if (source[pos] === "<") {
+				children.push(parseElement());
+			} else {
+				const next = source.indexOf("<", pos);
+				const end = next === -1 ? source.length : next;
+				content += decodeEntities(source.slice(pos, end));
+				pos = end;
+			}
+		}
+
+		if (children.length === 0) return { name, value: content.trim() };
+		const value = {};
+		const repeated = new Set();
+		for (const child of children) {
+			if (child.name === "__proto__") continue;
+			if (repeated.has(child.name)) {
+				value[child.name].push(child.value);
+			} else if (Object.hasOwn(value, child.name)) {
+				value[child.name] = [value[child.name], child.value];
+				repeated.add(child.name);
+			} else {
+				value[child.name] = child.value;
+			}
+		}
+		return { name, value };
+	};
+
+	skipProlog();
+	const root = parseElement();
+	skipProlog();
+	if (pos < source.length) parseError("xml", "content after the root element", text);
+	return typeof root.value === "object" ? root.value : { [root.name]: root.value };
+}
+
+/**
+ * Parse a raw response: `key=value` or `key: value` pairs, one per line or
+ * joined with `&` (query string). Dotted keys (`carrier.name`) become nested
+ * objects. A JSON body is parsed as JSON.
+ * @private
+ */
+function parseRaw(text) {
+	const source = String(text ?? "").trim();
+	if (source.startsWith("{")) {
+		try {
+			return JSON.parse(source);
+		} catch {
+			parseError("raw", "invalid JSON", text);
+		}
+	}
+
+	const entries = [];
+	if (!/\n/.test(source) && source.includes("=")) {
+		entries.push(...new URLSearchParams(source));
+	} else {
+		for (const rawLine of source.split(/\r?\n/)) {
+			const line = rawLine.trim();
+			if (!line) continue;
+			const match = /^([\w.-]+)\s*[=:]\s*(.*)$/.exec(line);
+			if (!match) parseError("raw", `unexpected line: ${line}`, text);
+			entries.push([match[1], match[2].trim()]);
+		}
+	}
+	if (entries.length === 0) parseError("raw", "empty response", text);
+
+	const result = {};
+	for (const [key, value] of entries) {
+		const path = key.split(".");
+		if (path.includes("__proto__")) continue;
+		let target = result;
+		for (const part of path.slice(0, -1)) {
+			if (typeof target[part] !== "object" || target[part] === null) target[part] = {};
+			target = target[part];
+		}
+		target[path[path.length - 1]] = value;
+	}
+	return result;
+}
+
+/**
+ * Coerce text values to the types the JSON format uses
+ * @private
+ */
+function toLookupResult(fields) {
+	const result = { ...fields };
+	for (const field of NUMERIC_FIELDS) {
+		if (typeof result[field] === "string" && result[field].trim() !== "" && !isNaN(result[field])) {
+			result[field] = Number(result[field]);
+		}
+	}
+	if (typeof result.scrubs === "string") {
+		result.scrubs = result.scrubs === "true" || result.scrubs === "1";
+	}
+	// Empty <carrier/> or <ocn_info/> elements mean "not returned"
+	for (const field of ["carrier", "ocn_info"]) {
+		if (result[field] === "") delete result[field];
+	}
+	for (const ocn of [result.ocn_info, result.carrier?.ocn_info]) {
+		if (ocn && typeof ocn.is_voip === "string") {
+			ocn.is_voip = ocn.is_voip === "true" || ocn.is_voip === "1";
+		}
+	}
+	return result;
+}
+
+/**
+ * Parse a single lookup response in XML or raw format into the same shape
+ * as the JSON format (numeric fields as numbers, `scrubs` as a boolean)
+ *
+ * @param {string} text - Response body
+ * @param {'xml'|'raw'} format - Response format it was requested in
+ * @returns {SingleLookupResult}
+ * @throws {BlacklistAllianceError} If the body can't be parsed
+ *
+ * @example
+ * parseLookupResponse('<response><message>Good</message><results>0</results></response>', 'xml');
+ * // { message: 'Good', results: 0 }
+ */
+function parseLookupResponse(text, format) {
+	if (format === "xml") return toLookupResult(parseXml(text));
+	if (format === "raw") return toLookupResult(parseRaw(text));
+	throw new Error(`Unknown response format: ${format}`);
+}
+
+module.exports = { parsePhonecode, mergePhonecode, parseLookupResponse };
@@ -0,0 +1,361 @@
+const { ValidationError } = require("./errors");
+
+/**
+ * NANP (North American Numbering Plan) phone normalization
+ *
+ * A NANP number is NPA-NXX-XXXX: a 3-digit area code (NPA), a 3-digit
+ * exchange (NXX) and a 4-digit line number. Neither NPA nor NXX may start
+ * with 0 or 1 or be an N11 service code (211, 311, ... 911).
+ */
+
+/**
+ * Reason codes set on `ValidationError.reason` by normalizePhone
+ * @enum {string}
+ */
+const PHONE_ERROR_REASONS = Object.freeze({
+	/** No digits at all */
+	EMPTY: "empty",
+	/** Fewer than 10 digits */
+	TOO_SHORT: "too-short",
+	/** More than 11 digits */
+	TOO_LONG: "too-long",
+	/** 11 digits that don't start with country code 1 */
+	INVALID_COUNTRY_CODE: "invalid-country-code",
+	/** Area code starts with 0 or 1 */
+	INVALID_AREA_CODE: "invalid-area-code",
+	/** Area code is an N11 service code */
+	N11_AREA_CODE: "n11-area-code",
+	/** Exchange starts with 0 or 1 */
+	INVALID_EXCHANGE: "invalid-exchange",
+	/** Exchange is an N11 service code */
+	N11_EXCHANGE: "n11-exchange",
+	/** 555-0100 through 555-0199, reserved for fiction */
+	FICTIONAL_NUMBER: "fictional-number",
+	/** Free text contained no phone number (parsePhone) */
+	NOT_FOUND: "not-found",
+});
+
+/**
+ * Throw a ValidationError for a phone number
+ * @private
+ */
+function invalid(phone, detail, reason) {
+	throw new ValidationError(`Invalid phone number: ${phone}. ${detail}`, 422, null, reason);
+}
+
+/**
+ * Whether a 3-digit code is an N11 service code (211, 311, ... 911)
+ * @private
+ */
+function isN11(code) {
+	return code[1] === "1" && code[2] === "1";
+}
+
+/**
+ * Normalize and validate a NANP phone number
+ * @param {string|number} phone - Phone number in any common format
+ *   (e.g. '(222) 333-4444', '+1 222-333-4444', '12223334444')
+ * @returns {NormalizedPhone}
+ * @throws {ValidationError} With `reason` set to one of PHONE_ERROR_REASONS
+ *
+ * @example
+ * normalizePhone('+1 (222) 333-4444');
+ * // { digits: '2223334444', e164: '+12223334444', npa: '222', nxx: '333', line: '4444' }
+ */
+function normalizePhone(phone) {
+	let digits = String(phone ?? "").replace(/\D/g, "");
+
+	if (digits.length === 0) {
+		invalid(phone, "No digits found.", PHONE_ERROR_REASONS.EMPTY);
+	}
+	if (digits.length < 10) {
+		invalid(phone, "Expected 10 digits.", PHONE_ERROR_REASONS.TOO_SHORT);
+	}
+	if (digits.length > 11) {
+		invalid(phone, "Expected 10 digits.", PHONE_ERROR_REASONS.TOO_LONG);
+	}
+	if (digits.length === 11) {
+		if (digits[0] !== "1") {
+			invalid(phone, "11-digit numbers must start with country code 1.", PHONE_ERROR_REASONS.INVALID_COUNTRY_CODE);
+		}
+		digits = digits.slice(1);
+	}
+
+	const npa = digits.slice(0, 3);
+	const nxx = digits.slice(3, 6);
+	const line = digits.slice(6);
+
+	if (npa[0] === "0" || npa[0] === "1") {
+		invalid(phone, "Area code cannot start with 0 or 1.", PHONE_ERROR_REASONS.INVALID_AREA_CODE);
+	}
+	if (isN11(npa)) {
+		invalid(phone, `Area code ${npa} is a service code.`, PHONE_ERROR_REASONS.N11_AREA_CODE);
+	}
+	if (nxx[0] === "0" || nxx[0] === "1") {
+		invalid(phone, "Exchange cannot start with 0 or 1.", PHONE_ERROR_REASONS.INVALID_EXCHANGE);
+	}
+	if (isN11(nxx)) {
+		invalid(phone, `Exchange ${nxx} is a service code.`, PHONE_ERROR_REASONS.N11_EXCHANGE);
+	}
+	if (nxx === "555" && line.startsWith("01")) {
+		invalid(phone, "555-01XX numbers are reserved for fictional use.", PHONE_ERROR_REASONS.FICTIONAL_NUMBER);
+	}
+
+	return { digits, e164: `+1${digits}`, npa, nxx, line };
+}
+
+// ============================================
+// FREE-TEXT EXTRACTION
+// ============================================
+
+/** Telephone keypad letters */
+const KEYPAD = {
+	A: "2", B: "2", C: "2", D: "3", E: "3", F: "3", G: "4", H: "4", I: "4",
+	J: "5", K: "5", L: "5", M: "6", N: "6", O: "6", P: "7", Q: "7", R: "7", S: "7",
+	T: "8", U: "8", V: "8", W: "9", X: "9", Y: "9", Z: "9",
+};
+
+/** Characters allowed between digit groups of one number ('/', ',' and ';' separate numbers) */
+const SEPARATORS = " .-()\t";
+const MAX_SEPARATOR_RUN = 3;
+const EXTENSION = /^\s*,?\s*(?:ext(?:ension)?\.?|x|#)\s*:?\s*(\d{1,6})(?!\d)/i;
+
+const isDigit = (c) => c !== undefined && c >= "0" && c <= "9";
+const isLetter = (c) => c !== undefined && /[A-Za-z]/.test(c);
+const isAlnum = (c) => isDigit(c) || isLetter(c);
+
+/**
+ * Number of keys (digits + vanity letters) a number starting with `keys` needs,
+ * or null while it can't be told yet (leading 0 of a possible 001 prefix)
+ * @private
+ */
+function targetLength(keys, plus) {
+	if (plus || keys[0] === "1") return 11;
+	if (keys[0] === "0") {
+		if (keys.length < 3) return null;
+		return keys.startsWith("001") ? 13 : 10;
+	}
+	return 10;
+}
+
+/**
+ * Whether a number can start at position i (not in the middle of a word)
+ * @private
+ */
+function isCandidateStart(text, i) {
+	if (isAlnum(text[i - 1])) return false;
+	const c = text[i];
+	return isDigit(c) || ((c === "+" || c === "(") && isDigit(text[i + 1]));
+}
+
+/**
+ * Whether the keys start with a 1-8xx toll-free prefix
+ * @private
+ */
+const isTollFree = (keys) => keys[0] === "1" && keys[1] === "8";
+
+/**
+ * Whether a letter at position j can start the vanity part of a number whose
+ * digits so far are `keys`: right after a 1-8xx prefix; after NPA-NXX when a
+ * single dash or nothing separates exactly 4 letters (222-333-HOME); or after
+ * an area code when exactly 7 letters without spaces fill the local number
+ * (so words like "Suite 300 BEST WAY" or "Room 234 567 today" aren't read as one)
+ * @private
+ */
+function vanityStart(text, j, keys, target) {
+	const local = target - 7;
+	if (keys.length === local && isTollFree(keys)) return true;
+	if (keys.length === target - 4) {
+		const joined = isDigit(text[j - 1]) || (text[j - 1] === "-" && isDigit(text[j - 2]));
+		return joined && /^[A-Za-z]{4}(?![A-Za-z])/.test(text.slice(j));
+	}
+	return keys.length === local && /^[A-Za-z]{7}(?![A-Za-z])/.test(text.slice(j));
+}
+
+/**
+ * Read one number starting at `start`
+ * @private
+ * @returns {{end: number, keys: string, plus: boolean, vanity: boolean}|null}
+ *   null if the digits there don't form a number
+ */
+function readCandidate(text, start) {
+	let j = start;
+	const plus = text[j] === "+";
+	if (plus) j++;
+
+	// International number outside NANP: take all of it so no part is misread as NANP
+	if (plus && text[j] !== "1") {
+		let keys = "";
+		let end = j;
+		for (let k = j; k < text.length && (isDigit(text[k]) || SEPARATORS.includes(text[k])); k++) {
+			if (isDigit(text[k])) {
+				keys += text[k];
+				end = k + 1;
+			}
+		}
+		return { end, keys, plus, vanity: false };
+	}
+
+	// An unbroken run of 10+ digits is one number, even if malformed
+	let run = j;
+	while (isDigit(text[run])) run++;
+	if (run - j >= 10) {
+		return { end: run, keys: text.slice(j, run), plus, vanity: false };
+	}
+
+	let keys = "";
+	let vanity = false;
+	let separatorRun = 0;
+	while (j < text.length) {
+		const c = text[j];
+		const target = keys.length > 0 ? targetLength(keys, plus) : null;
+		// Vanity letters only stand in for the local number, and run without
+		// separators (toll-free letters may be split by single dashes: 1-800-GOT-JUNK)
+		const letterAllowed =
+			isLetter(c) &&
+			target !== null &&
+			(vanity ? isAlnum(text[j - 1]) || text[j - 1] === "-" : vanityStart(text, j, keys, target));
+
+		if (isDigit(c) || letterAllowed) {
+			keys += isDigit(c) ? c : KEYPAD[c.toUpperCase()];
+			vanity = vanity || !isDigit(c);
+			separatorRun = 0;
+			j++;
+
+			const needed = targetLength(keys, plus);
+			if (needed !== null && keys.length === needed) {
+				// Ending inside a digit group means these weren't one number
+				if (isDigit(text[j])) return null;
+				// Extra vanity letters (1-800-FLOWERSHOP) belong to the number
+				if (!isDigit(c)) while (isLetter(text[j])) j++;
+				return { end: j, keys, plus, vanity };
+			}
+		} else if (!vanity && SEPARATORS.includes(c) && separatorRun < MAX_SEPARATOR_RUN) {
+			separatorRun++;
+			j++;
+		} else if (vanity && c === "-" && isTollFree(keys) && isLetter(text[j - 1]) && isLetter(text[j + 1])) {
+			j++;
+		} else {
+			return null;
+		}
+	}
+	return null;
+}
+
+/**
+ * Build a ParsedPhone from a matched candidate
+ * @private
+ */
+function toParsedPhone(input, raw, candidate, extension) {
+	const result = {
+		input,
+		raw,
+		digits: null,
+		e164: null,
+		extension,
+		vanity: candidate.vanity,
+		valid: false,
+		reason: null,
+	};
+
+	let keys = candidate.keys;
+	if (candidate.plus && keys[0] !== "1") {
+		result.reason = PHONE_ERROR_REASONS.INVALID_COUNTRY_CODE;
+		return result;
+	}
+	// 001 = international dialing prefix + country code 1
+	if (!candidate.plus && keys.length === 13 && keys.startsWith("001")) {
+		keys = keys.slice(2);
+	}
+
+	try {
+		const normalized = normalizePhone(keys);
+		result.digits = normalized.digits;
+		result.e164 = normalized.e164;
+		result.valid = true;
+	} catch (error) {
+		result.reason = error.reason;
+	}
+	return result;
+}
+
+/**
+ * Extract every phone number from free text (lead form fields, notes, ...)
+ *
+ * Handles separators and parentheses, leading +1 / 1 / 001 prefixes,
+ * vanity letters (1-800-FLOWERS), extensions (x123, ext. 9, #12) and
+ * several numbers in one string. Each number is validated with
+ * normalizePhone; invalid ones are returned with `valid: false` and a reason.
+ *
+ * @param {string} text
+ * @returns {ParsedPhone[]} In order of appearance
+ *
+ * @example
+ * extractPhones('+1 (800) FLOWERS x123 or 222.333.4444');
+ * // [{ digits: '8003569377', extension: '123', vanity: true, ... },
+ * //  { digits: '2223334444', extension: null, vanity: false, ... }]
+ */
+function extractPhones(text) {
+	const input = String(text ?? "");
+	const results = [];
+
+	let i = 0;
+	while (i < input.length) {
+		if (!isCandidateStart(input, i)) {
+			i++;
+			continue;
+		}
+
+		const candidate = readCandidate(input, i);
+		if (!candidate) {
+			// Skip the rest of this digit group and try the next one
+			i++;
+			while (isAlnum(input[i])) i++;
+			continue;
+		}
+
+		let end = candidate.end;
+		let extension = null;
+		const match = EXTENSION.exec(input.slice(end));
+		if (match) {
+			extension = match[1];
+			end += match[0].length;
+		}
+
+		results.push(toParsedPhone(input, input.slice(i, end).trim(), candidate, extension));
+		i = end;
+	}
+	return results;
+}
+
+/**
+ * Parse the phone number in a free-text value.
+ * Returns the first valid number, else the first invalid one, else a
+ * `not-found` result - never throws. The result can be passed straight to
+ * lookupSingle, lookup and the bulk methods.
+ *
+ * @param {string} text
+ * @returns {ParsedPhone}
+ *
+ * @example
+ * const phone = parsePhone('222.333.4444 ext 9');
+ * if (phone.valid) await client.lookupSingle(phone);
+ */
+function parsePhone(text) {
+	const results = extractPhones(text);
+	return (
+		results.find((result) => result.valid) ||
+		results[0] || {
+			input: String(text ?? ""),
+			raw: "",
+			digits: null,
+			e164: null,
+			extension: null,
+			vanity: false,
+			valid: false,
+			reason: PHONE_ERROR_REASONS.NOT_FOUND,
+		}
+	);
+}
+
+module.exports = { normalizePhone, extractPhones, parsePhone, PHONE_ERROR_REASONS };
@@ -0,0 +1,162 @@
+const { ValidationError } = require("./errors");
+const { REASON_CATALOG, REASON_SEVERITIES, describeReasons } = require("./reasons");
+
+/**
+ * Compliance policy engine
+ *
+ * A policy is a list of rules, each a condition and the decision to make
+ * when it matches. Every matching rule is reported, and the most restrictive
+ * decision wins (deny over review over allow). If no rule matches, the
+ * policy's default decision applies.
+ */
+
+/**
+ * Policy decisions, least restrictive first
+ * @enum {string}
+ */
+const POLICY_DECISIONS = Object.freeze({
+	ALLOW: "allow",
+	REVIEW: "review",
+	DENY: "deny",
+});
+
+const DECISION_ORDER = Object.values(POLICY_DECISIONS);
+const SEVERITY_ORDER = Object.values(REASON_SEVERITIES);
+
+/**
+ * Lowercased values of a condition list
+ * @private
+ */
+function lowerSet(values) {
+	return new Set(values.map((value) => String(value).toLowerCase()));
+}
+
+/**
+ * Throw a ValidationError for a policy
+ * @private
+ */
+function invalidPolicy(detail) {
+	throw new ValidationError(`Invalid policy: ${detail}`, 400, null);
+}
+
+/**
+ * Compile a `when` condition object into a predicate. Every field given must
+ * match; fields the result doesn't include (e.g. wireless before v3) never match.
+ * @private
+ */
+function compileCondition(when, name) {
+	if (typeof when === "function") return when;
+	if (!when || typeof when !== "object") invalidPolicy(`rule ${name} needs a when condition`);
+
+	const checks = [];
+	for (const [field, expected] of Object.entries(when)) {
+		switch (field) {
+			case "blacklisted":
+			case "wireless":
+			case "voip": {
+				if (typeof expected !== "boolean") invalidPolicy(`rule ${name}: ${field} must be a boolean`);
+				const value = {
+					blacklisted: (r) => r.blacklisted,
+					// Normalized results already count a wireless carrier; this covers results built by hand
+					wireless: (r) => (r.carrier?.wireless === true ? true : r.wireless ?? r.carrier?.wireless),
+					voip: (r) => r.ocnInfo?.isVoip,
+				}[field];
+				checks.push((r) => value(r) === expected);
+				break;
+			}
+			case "codes":
+			case "categories":
+			case "lineTypes":
+			case "campaignTypes": {
+				if (!Array.isArray(expected)) invalidPolicy(`rule ${name}: ${field} must be an array`);
+				const allowed = lowerSet(expected);
+				const values = {
+					codes: (r) => r.reasonDetails.map((d) => d.code),
+					categories: (r) => r.reasonDetails.map((d) => d.category),
+					lineTypes: (r) => [r.ocnInfo?.lineType ?? r.carrier?.type],
+					campaignTypes: (r, context) => [context.campaignType],
+				}[field];
+				checks.push((r, context) =>
+					values(r, context).some((value) => value !== undefined && value !== null && allowed.has(String(value).toLowerCase()))
+				);
+				break;
+			}
+			case "minSeverity": {
+				const min = SEVERITY_ORDER.indexOf(expected);
+				if (min === -1) invalidPolicy(`rule ${name}: unknown minSeverity ${expected}`);
+				checks.push((r) => r.reasonDetails.some((d) => SEVERITY_ORDER.indexOf(d.severity) >= min));
+				break;
+			}
+			case "test":
+				if (typeof expected !== "function") invalidPolicy(`rule ${name}: test must be a function`);
+				checks.push(expected);
+				break;
+			default:
+				invalidPolicy(`rule ${name}: unknown condition ${field}`);
+		}
+	}
+	return (result, context) => checks.every((check) => check(result, context));
+}
+
+/**
+ * Validate a policy and compile it into an evaluator
+ *
+ * @param {Policy} policy
+ * @returns {(result: PolicySubject, context: Object) => PolicyDecision}
+ * @throws {ValidationError} If the policy is malformed
+ */
+function compilePolicy(policy) {
+	if (!policy || !Array.isArray(policy.rules)) invalidPolicy("rules must be an array");
+	const defaultDecision = policy.default ?? POLICY_DECISIONS.ALLOW;
+	if (!DECISION_ORDER.includes(defaultDecision)) invalidPolicy(`unknown default decision ${defaultDecision}`);
+
+	const rules = policy.rules.map((rule, index) => {
+		const name = rule?.name;
+		if (!name) invalidPolicy(`rule ${index} needs a name`);
+		if (!DECISION_ORDER.includes(rule.decision)) invalidPolicy(`rule ${name}: unknown decision ${rule.decision}`);
+		return { name, decision: rule.decision, matches: compileCondition(rule.when, name) };
+	});
+
+	return (result, context) => {
+		const matchedRules = rules
+			.filter((rule) => rule.matches(result, context))
+			.map(({ name, decision }) => ({ name, decision }));
+		const decision =
+			matchedRules.length === 0
+				? defaultDecision
+				: matchedRules.reduce(
+						(worst, rule) => (DECISION_ORDER.indexOf(rule.decision) > DECISION_ORDER.indexOf(worst) ? rule.decision : worst),
+						POLICY_DECISIONS.ALLOW
+					);
+		return { decision, matchedRules, result };
+	};
+}
+
+/**
+ * Result with `reasonDetails`, as policy conditions see it
+ * @private
+ */
+function toSubject(result, catalog) {
+	return { ...result, reasonDetails: describeReasons(result.reasons, catalog) };
+}
+
+/**
+ * Evaluate a policy against a lookup result you already have
+ *
+ * @param {NormalizedPhoneResult|NormalizedLookupResult} result - Normalized result
+ * @param {Policy} policy
+ * @param {Object} [options]
+ * @param {Object} [options.context] - Passed to predicates; `campaignType` is matched by `campaignTypes`
+ * @param {Readonly<Record<string, ReasonCatalogEntry>>} [options.catalog=REASON_CATALOG]
+ * @returns {PolicyDecision}
+ * @throws {ValidationError} If the policy is malformed
+ *
+ * @example
+ * evaluatePolicy(result, { rules: [{ name: 'litigators', when: { categories: ['litigator'] }, decision: 'deny' }] });
+ * // { decision: 'deny', matchedRules: [{ name: 'litigators', decision: 'deny' }], result: { ... } }
+ */
+function evaluatePolicy(result, policy, options = {}) {
+	return compilePolicy(policy)(toSubject(result, options.catalog ?? REASON_CATALOG), options.context ?? {});
+}
+
+module.exports = { POLICY_DECISIONS, compilePolicy, evaluatePolicy, toSubject };
@@ -0,0 +1,108 @@
+const { TimeoutError } = require("./errors");
+
+/**
+ * Client-side token-bucket rate limiter
+ *
+ * Holds up to `burst` tokens, refilled at `requestsPerSecond`. Each request
+ * takes one token; when none are left, callers queue (FIFO) instead of
+ * being rejected. One instance can be shared by several clients so they
+ * draw from the same budget.
+ */
+class RateLimiter {
+	/**
+	 * @param {Object} options
+	 * @param {number} options.requestsPerSecond - Sustained request rate
+	 * @param {number} [options.burst=requestsPerSecond] - Max requests allowed at once after idling
+	 */
+	constructor(options = {}) {
+		if (!(options.requestsPerSecond > 0)) {
+			throw new Error("requestsPerSecond must be a positive number");
+		}
+		this.requestsPerSecond = options.requestsPerSecond;
+		this.burst = Math.max(1, options.burst ?? Math.ceil(options.requestsPerSecond));
+		this._tokens = this.burst;
+		this._lastRefill = Date.now();
+		this._queue = [];
+		this._timer = null;
+	}
+
+	/**
+	 * Number of callers waiting for a token
+	 * @returns {number}
+	 */
+	get queueDepth() {
+		return this._queue.length;
+	}
+
+	/**
+	 * Wait for a token
+	 * @param {AbortSignal} [signal] - Leaves the queue and rejects when aborted
+	 * @returns {Promise<{waitMs: number, queueDepth: number}>} Time spent waiting and
+	 *   number of callers that were queued ahead of this one
+	 */
+	acquire(signal) {
+		if (signal?.aborted) {
+			return Promise.reject(new TimeoutError("Request aborted", null));
+		}
+
+		const enqueuedAt = Date.now();
+		const queueDepth = this._queue.length;
+
+		return new Promise((resolve, reject) => {
+			const waiter = {
+				resolve: () => resolve({ waitMs: Date.now() - enqueuedAt, queueDepth }),
+			};
+			if (signal) {
+				waiter.signal = signal;
+				waiter.onAbort = () => {
+					const index = this._queue.indexOf(waiter);
+					if (index !== -1) this._queue.splice(index, 1);
+					if (this._queue.length === 0) {
+						clearTimeout(this._timer);
+						this._timer = null;
+					}
+					reject(new TimeoutError("Request aborted", null));
+				};
+				signal.addEventListener("abort", waiter.onAbort, { once: true });
+			}
+			this._queue.push(waiter);
+			this._drain();
+		});
+	}
+
+	/**
+	 * Add tokens for time elapsed since last refill
+	 * @private
+	 */
+	_refill() {
+		const now = Date.now();
+		const elapsed = now - this._lastRefill;
+		this._tokens = Math.min(this.burst, this._tokens + (elapsed * this.requestsPerSecond) / 1000);
+		this._lastRefill = now;
+	}
+
+	/**
+	 * Hand out available tokens in FIFO order and schedule the next drain
+	 * @private
+	 */
+	_drain() {
+		this._refill();
+
+		while (this._queue.length > 0 && this._tokens >= 1) {
+			this._tokens -= 1;
+			const waiter = this._queue.shift();
+			waiter.signal?.removeEventListener("abort", waiter.onAbort);
+			waiter.resolve();
+		}
+
+		if (this._queue.length > 0 && !this._timer) {
+			const waitMs = Math.ceil(((1 - this._tokens) * 1000) / this.requestsPerSecond);
+			this._timer = setTimeout(() => {
+				this._timer = null;
+				this._drain();
+			}, waitMs);
+		}
+	}
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,183 @@
+/**
+ * Blacklist reason-code catalog
+ *
+ * Maps the reason codes the API returns (`code` on single lookups, `reasons`
+ * on bulk results) to a description, a category and a severity. Clients can
+ * add codes or override entries with the `reasonCatalog` option.
+ */
+
+/**
+ * Reason categories used by the built-in catalog (custom entries may use others)
+ * @enum {string}
+ */
+const REASON_CATEGORIES = Object.freeze({
+	/** Known litigators and pre-litigation activity */
+	LITIGATOR: "litigator",
+	/** National Do Not Call Registry */
+	FEDERAL_DNC: "federal-dnc",
+	/** State Do Not Call lists */
+	STATE_DNC: "state-dnc",
+	/** Your own suppression lists */
+	INTERNAL: "internal",
+	/** Code missing from the catalog */
+	UNKNOWN: "unknown",
+});
+
+/**
+ * Reason severities, lowest first
+ * @enum {string}
+ */
+const REASON_SEVERITIES = Object.freeze({
+	LOW: "low",
+	MEDIUM: "medium",
+	HIGH: "high",
+	CRITICAL: "critical",
+});
+
+/** Severity of codes missing from the catalog - treated as serious until described */
+const UNKNOWN_SEVERITY = REASON_SEVERITIES.HIGH;
+
+/**
+ * Built-in catalog, keyed by lowercase reason code
+ * @type {Readonly<Record<string, ReasonCatalogEntry>>}
+ */
+const REASON_CATALOG = Object.freeze({
+	litigator: Object.freeze({
+		description: "Known TCPA litigator",
+		category: REASON_CATEGORIES.LITIGATOR,
+		severity: REASON_SEVERITIES.CRITICAL,
+	}),
+	tcpa: Object.freeze({
+		description: "Plaintiff in TCPA lawsuits",
+		category: REASON_CATEGORIES.LITIGATOR,
+		severity: REASON_SEVERITIES.CRITICAL,
+	}),
+	prelitigation1: Object.freeze({
+		description: "Sent pre-litigation demand letters",
+		category: REASON_CATEGORIES.LITIGATOR,
+		severity: REASON_SEVERITIES.HIGH,
+	}),
+	"federal-dnc": Object.freeze({
+		description: "Registered on the National Do Not Call Registry",
+		category: REASON_CATEGORIES.FEDERAL_DNC,
+		severity: REASON_SEVERITIES.HIGH,
+	}),
+	"state-dnc": Object.freeze({
+		description: "Registered on a state Do Not Call list",
+		category: REASON_CATEGORIES.STATE_DNC,
+		severity: REASON_SEVERITIES.HIGH,
+	}),
+	internal: Object.freeze({
+		description: "On an internal suppression list",
+		category: REASON_CATEGORIES.INTERNAL,
+		severity: REASON_SEVERITIES.HIGH,
+	}),
+});
+
+/**
+ * Build a catalog from the built-in one plus overrides. Overrides for a
+ * built-in code are merged into its entry; new codes need a category and
+ * severity.
+ * @param {Record<string, Partial<ReasonCatalogEntry>>} [overrides]
+ * @returns {Readonly<Record<string, ReasonCatalogEntry>>}
+ * @throws {Error} If an entry is incomplete or has an unknown severity
+ */
+function createReasonCatalog(overrides) {
+	if (!overrides) return REASON_CATALOG;
+
+	const catalog = { ...REASON_CATALOG };
+	for (const [rawCode, entry] of Object.entries(overrides)) {
+		const code = rawCode.trim().toLowerCase();
+		if (code === "__proto__") continue;
+		const merged = { ...(Object.hasOwn(REASON_CATALOG, code) ? REASON_CATALOG[code] : {}), ...entry };
+		if (!merged.category || !merged.severity) {
+			throw new Error(`Reason catalog entry ${rawCode} needs a category and severity`);
+		}
+		if (!Object.values(REASON_SEVERITIES).includes(merged.severity)) {
+			throw new Error(`Unknown reason severity for ${rawCode}: ${merged.severity}`);
+		}
+		catalog[code] = Object.freeze({ ...merged, description: merged.description ?? null });
+	}
+	return Object.freeze(catalog);
+}
+
+/**
+ * Reason codes from an array or a comma-separated `code` string ('none' means no codes)
+ * @private
+ */
+function reasonCodes(codes) {
+	const list = Array.isArray(codes) ? codes : String(codes ?? "").split(",");
+	return list.map((code) => String(code).trim()).filter((code) => code && code.toLowerCase() !== "none");
+}
+
+/**
+ * Describe reason codes
+ *
+ * @param {string[]|string} codes - Codes, or a comma-separated `code` string
+ * @param {Readonly<Record<string, ReasonCatalogEntry>>} [catalog=REASON_CATALOG]
+ * @returns {ReasonDetails[]} One per code, in order. Codes missing from the
+ *   catalog get category 'unknown', severity 'high' and `known: false`
+ *
+ * @example
+ * describeReasons('prelitigation1,federal-dnc');
+ * // [{ code: 'prelitigation1', description: 'Sent pre-litigation demand letters',
+ * //    category: 'litigator', severity: 'high', known: true }, ...]
+ */
+function describeReasons(codes, catalog = REASON_CATALOG) {
+	return reasonCodes(codes).map((code) => {
+		const key = code.toLowerCase();
+		if (!Object.hasOwn(catalog, key)) {
+			return { code, description: null, category: REASON_CATEGORIES.UNKNOWN, severity: UNKNOWN_SEVERITY, known: false };
+		}
+		const { description, category, severity } = catalog[key];
+		return { code, description: description ?? null, category, severity, known: true };
+	});
+}
+
+/**
+ * Add `reasonDetails` to a lookup result
+ *
+ * Single results get an array (from `code`, or from `reasons` for per-phone
+ * and normalized results); merged bulk results an object of phone to array.
+ * Array-wrapped results, byPhone Maps, normalized `results` and dedupe `rows`
+ * are enriched item by item. The input is not modified.
+ *
+ * @template T
+ * @param {T} result - Any lookup result
+ * @param {Readonly<Record<string, ReasonCatalogEntry>>} [catalog=REASON_CATALOG]
+ * @returns {T} Copy with `reasonDetails` added (strings are returned as-is)
+ *
+ * @example
+ * const { reasonDetails } = enrichReasons(await client.lookupSingle('2223334444'));
+ */
+function enrichReasons(result, catalog = REASON_CATALOG) {
+	if (result instanceof Map) {
+		return new Map([...result].map(([phone, value]) => [phone, enrichReasons(value, catalog)]));
+	}
+	if (Array.isArray(result)) return result.map((item) => enrichReasons(item, catalog));
+	if (result === null || typeof result !== "object") return result;
+
+	const enriched = { ...result };
+	if (Array.isArray(result.reasons)) {
+		enriched.reasonDetails = describeReasons(result.reasons, catalog);
+	} else if (result.reasons && typeof result.reasons === "object") {
+		enriched.reasonDetails = Object.fromEntries(
+			Object.entries(result.reasons).map(([phone, codes]) => [phone, describeReasons(codes, catalog)])
+		);
+	} else if ("code" in result || "message" in result) {
+		enriched.reasonDetails = describeReasons(result.code, catalog);
+	}
+	if (Array.isArray(result.results)) enriched.results = enrichReasons(result.results, catalog);
+	if (Array.isArray(result.rows)) enriched.rows = result.rows.map((row) => row && enrichReasons(row, catalog));
+	return enriched;
+}
+
+module.exports = {
+	REASON_CATEGORIES,
+	REASON_SEVERITIES,
+	REASON_CATALOG,
+	createReasonCatalog,
+	describeReasons,
+	enrichReasons,
+	reasonCodes,
+};
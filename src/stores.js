@@ -0,0 +1,205 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Persistent cache store contract used by the `cacheStore` client option.
+ *
+ * Any object implementing these async methods can be used (e.g. a thin
+ * Redis wrapper using GET/SET PX/DEL). getMany/setMany are optional; when
+ * present the client uses them for bulk calls instead of one call per item.
+ *
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<*>} get - Resolve stored value, or undefined
+ * @property {function(string, *, number=): Promise<void>} set - Store value (optional TTL in ms)
+ * @property {function(string): Promise<void>} delete - Remove value
+ * @property {function(string[]): Promise<Array<*>>} [getMany] - Values in key order (undefined for misses)
+ * @property {function(Array<[string, *]>, number=): Promise<void>} [setMany] - Store several values
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a stored record is still valid
+ * @private
+ */
+function isFresh(record, now) {
+	return record && (record.expiresAt === null || record.expiresAt > now);
+}
+
+/**
+ * Compute absolute expiry from a TTL (0 or Infinity = never expires)
+ * @private
+ */
+function expiresAt(ttlMs) {
+	return ttlMs > 0 && Number.isFinite(ttlMs) ? Date.now() + ttlMs : null;
+}
+
+/**
+ * In-memory cache store (per process, lost on restart)
+ *
+ * Mainly useful for tests and as a reference for the store contract.
+ */
+class MemoryCacheStore {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.ttlMs=86400000] - Default TTL in ms (0 = never expire)
+	 */
+	constructor(options = {}) {
+		this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+		this._records = new Map();
+	}
+
+	async get(key) {
+		const record = this._records.get(key);
+		if (!isFresh(record, Date.now())) {
+			if (record) this._records.delete(key);
+			return undefined;
+		}
+		return record.value;
+	}
+
+	async set(key, value, ttlMs = this.ttlMs) {
+		this._records.set(key, { value, expiresAt: expiresAt(ttlMs) });
+	}
+
+	async delete(key) {
+		this._records.delete(key);
+	}
+
+	async getMany(keys) {
+		return Promise.all(keys.map((key) => this.get(key)));
+	}
+
+	async setMany(entries, ttlMs = this.ttlMs) {
+		for (const [key, value] of entries) {
+			await this.set(key, value, ttlMs);
+		}
+	}
+
+	async clear() {
+		this._records.clear();
+	}
+}
+
+/**
+ * File-backed cache store (reference adapter)
+ *
+ * Keeps all records in a single JSON file. The file is re-read whenever
+ * another process has modified it, and writes go through a temp file +
+ * rename so readers never see a partial file. Suitable for a handful of
+ * workers on one machine; use a Redis-backed store for heavier sharing.
+ */
+class FileCacheStore {
+	/**
+	 * @param {string} filePath - Path to the JSON cache file (created if missing)
+	 * @param {Object} [options]
+	 * @param {number} [options.ttlMs=86400000] - Default TTL in ms (0 = never expire)
+	 */
+	constructor(filePath, options = {}) {
+		if (!filePath) {
+			throw new Error("filePath is required");
+		}
+		this.filePath = filePath;
+		this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+		this._records = {};
+		this._mtimeMs = null;
+		// Serialize read-modify-write cycles within this process
+		this._queue = Promise.resolve();
+	}
+
+	/**
+	 * Reload records from disk if the file changed since last read
+	 * @private
+	 */
+	async _load() {
+		let stat;
+		try {
+			stat = await fs.promises.stat(this.filePath);
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				this._records = {};
+				this._mtimeMs = null;
+				return;
+			}
+			throw error;
+		}
+		if (stat.mtimeMs === this._mtimeMs) return;
+
+		const content = await fs.promises.readFile(this.filePath, "utf8");
+		this._records = content ? JSON.parse(content) : {};
+		this._mtimeMs = stat.mtimeMs;
+	}
+
+	/**
+	 * Write records to disk atomically, dropping expired ones
+	 * @private
+	 */
+	async _save() {
+		const now = Date.now();
+		for (const key of Object.keys(this._records)) {
+			if (!isFresh(this._records[key], now)) delete this._records[key];
+		}
+
+		await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+		const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+		await fs.promises.writeFile(tmpPath, JSON.stringify(this._records));
+		await fs.promises.rename(tmpPath, this.filePath);
+		this._mtimeMs = (await fs.promises.stat(this.filePath)).mtimeMs;
+	}
+
+	/**
+	 * Run a read-modify-write cycle after any pending ones
+	 * @private
+	 */
+	_update(mutate) {
+		const run = this._queue.then(async () => {
+			await this._load();
+			mutate(this._records);
+			await this._save();
+		});
+		// Keep the queue alive even if this update fails
+		this._queue = run.catch(() => {});
+		return run;
+	}
+
+	async get(key) {
+		return (await this.getMany([key]))[0];
+	}
+
+	async set(key, value, ttlMs = this.ttlMs) {
+		return this.setMany([[key, value]], ttlMs);
+	}
+
+	async delete(key) {
+		return this._update((records) => {
+			delete records[key];
+		});
+	}
+
+	async getMany(keys) {
+		await this._queue;
+		await this._load();
+		const now = Date.now();
+		return keys.map((key) => {
+			const record = this._records[key];
+			return isFresh(record, now) ? record.value : undefined;
+		});
+	}
+
+	async setMany(entries, ttlMs = this.ttlMs) {
+		const expiry = expiresAt(ttlMs);
+		return this._update((records) => {
+			for (const [key, value] of entries) {
+				records[key] = { value, expiresAt: expiry };
+			}
+		});
+	}
+
+	async clear() {
+		return this._update((records) => {
+			for (const key of Object.keys(records)) delete records[key];
+		});
+	}
+}
+
+module.exports = { MemoryCacheStore, FileCacheStore };
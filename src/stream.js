@@ -0,0 +1,117 @@
+const { Transform } = require("stream");
+
+/**
+ * Streaming bulk lookups
+ *
+ * Both helpers read items into batches of `batchSize`, run up to
+ * `concurrency` batch lookups at once and emit per-item results in input
+ * order. At most `concurrency` batches are held in memory, so memory use
+ * does not grow with the size of the input.
+ */
+
+/**
+ * Skip blank input items (e.g. trailing newlines from a file)
+ * @private
+ */
+function isBlank(item) {
+	return item === undefined || item === null || item === "";
+}
+
+/**
+ * Start a batch lookup without letting an early rejection go unhandled
+ * while earlier batches are still being awaited
+ * @private
+ */
+function startBatch(inFlight, lookupBatch, batch) {
+	const promise = lookupBatch(batch);
+	promise.catch(() => {});
+	inFlight.push(promise);
+}
+
+/**
+ * Look up items from an (async) iterable and yield per-item results
+ * @private
+ * @param {AsyncIterable<string>|Iterable<string>} source
+ * @param {function(string[]): Promise<Array>} lookupBatch - Resolves one result per item, in order
+ * @param {Object} options
+ * @param {number} options.batchSize
+ * @param {number} options.concurrency
+ * @returns {AsyncGenerator}
+ */
+async function* lookupIterable(source, lookupBatch, { batchSize, concurrency }) {
+	const inFlight = [];
+	let batch = [];
+
+	for await (const item of source) {
+		if (isBlank(item)) continue;
+		batch.push(item);
+		if (batch.length < batchSize) continue;
+
+		startBatch(inFlight, lookupBatch, batch);
+		batch = [];
+		if (inFlight.length >= concurrency) {
+			yield* await inFlight.shift();
+		}
+	}
+
+	if (batch.length > 0) startBatch(inFlight, lookupBatch, batch);
+	while (inFlight.length > 0) {
+		yield* await inFlight.shift();
+	}
+}
+
+/**
+ * Object-mode Transform that looks up written items in batches.
+ * Writes are held back while `concurrency` batches are in flight and
+ * while the readable side is full, so a slow consumer slows the producer.
+ */
+class BatchLookupTransform extends Transform {
+	/**
+	 * @param {function(string[]): Promise<Array>} lookupBatch - Resolves one result per item, in order
+	 * @param {Object} options
+	 * @param {number} options.batchSize
+	 * @param {number} options.concurrency
+	 */
+	constructor(lookupBatch, { batchSize, concurrency }) {
+		super({ objectMode: true });
+		this._lookupBatch = lookupBatch;
+		this._batchSize = batchSize;
+		this._concurrency = concurrency;
+		this._batch = [];
+		this._inFlight = [];
+	}
+
+	/**
+	 * Wait for the oldest batch and push its results
+	 * @private
+	 */
+	async _pushOldest() {
+		for (const result of await this._inFlight.shift()) {
+			this.push(result);
+		}
+	}
+
+	_transform(item, encoding, callback) {
+		if (isBlank(item)) return callback();
+		this._batch.push(item);
+		if (this._batch.length < this._batchSize) return callback();
+
+		startBatch(this._inFlight, this._lookupBatch, this._batch);
+		this._batch = [];
+		if (this._inFlight.length < this._concurrency) return callback();
+		this._pushOldest().then(() => callback(), callback);
+	}
+
+	_flush(callback) {
+		if (this._batch.length > 0) {
+			startBatch(this._inFlight, this._lookupBatch, this._batch);
+			this._batch = [];
+		}
+		const drain = async () => {
+			while (this._inFlight.length > 0) await this._pushOldest();
+		};
+		drain().then(() => callback(), callback);
+	}
+}
+
+module.exports = { lookupIterable, BatchLookupTransform };
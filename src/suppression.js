@@ -0,0 +1,278 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ValidationError } = require("./errors");
+
+/**
+ * Local (internal) suppression list used by the `localSuppression` client option
+ *
+ * Holds phones, emails and email MD5 hashes. The client checks it before
+ * each API call: matches are never sent and are reported as blacklisted
+ * with the `internal` reason code.
+ */
+
+/** Reason code reported for locally suppressed phones and emails */
+const INTERNAL_REASON = "internal";
+
+/** A 32-character hex MD5 hash (as sent for hashed emails) */
+const MD5_HASH = /^[a-f0-9]{32}$/i;
+
+/**
+ * MD5 of an email, sanitized the same way as the `hashEmails` option
+ * @private
+ */
+function hashEmail(email) {
+	const sanitized = String(email).replace(/[\r\n]/g, "").toLowerCase().trim();
+	return crypto.createHash("md5").update(sanitized).digest("hex");
+}
+
+/**
+ * Canonical 10-digit form of a phone, or null if it isn't 10 digits (+ optional 1)
+ * @private
+ */
+function canonicalPhone(phone) {
+	const digits = String(phone ?? "").replace(/\D/g, "");
+	if (digits.length === 11 && digits[0] === "1") return digits.slice(1);
+	return digits.length === 10 ? digits : null;
+}
+
+/**
+ * Stored form of an entry: lowercased email or hash, or canonical phone
+ * @private
+ * @throws {ValidationError} If the entry is none of those
+ */
+function canonicalEntry(entry) {
+	const value = String(entry ?? "").trim();
+	if (value.includes("@")) return value.toLowerCase();
+	if (MD5_HASH.test(value)) return value.toLowerCase();
+	const phone = canonicalPhone(value);
+	if (!phone) {
+		throw new ValidationError(`Invalid suppression entry: ${entry}. Expected a phone, email or MD5 hash.`, 422, null);
+	}
+	return phone;
+}
+
+class SuppressionList {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.filePath] - Text file with one phone, email or MD5 hash per
+	 *   line (# starts a comment). Loaded on first use; add/remove write it back,
+	 *   keeping comments and blank lines.
+	 * @param {string[]} [options.entries] - Initial entries (merged with the file's)
+	 */
+	constructor(options = {}) {
+		this.filePath = options.filePath || null;
+		this._entries = new Set();
+		// Email matching is by hash, so hashes of stored emails are kept too
+		this._emailHashes = new Set();
+		// Lines read from the file, so writes keep its comments and order
+		this._lines = [];
+		this._loading = null;
+		// Serialize writes within this process
+		this._queue = Promise.resolve();
+		for (const entry of options.entries || []) this._insert(canonicalEntry(entry));
+	}
+
+	/**
+	 * Number of entries
+	 * @type {number}
+	 */
+	get size() {
+		return this._entries.size;
+	}
+
+	/**
+	 * Load the file (once; later calls return the same promise).
+	 * A missing file is treated as empty. If loading fails, nothing is added
+	 * and the next call tries again.
+	 * @returns {Promise<SuppressionList>}
+	 * @throws {ValidationError} If a line isn't a phone, email or MD5 hash
+	 */
+	load() {
+		if (!this._loading) {
+			this._loading = this._read().then(
+				() => this,
+				(error) => {
+					// Let a later call try again (e.g. once the file is fixed)
+					this._loading = null;
+					throw error;
+				}
+			);
+		}
+		return this._loading;
+	}
+
+	/**
+	 * Read entries from the file
+	 * @private
+	 */
+	async _read() {
+		if (!this.filePath) return;
+		let content;
+		try {
+			content = await fs.promises.readFile(this.filePath, "utf8");
+		} catch (error) {
+			if (error.code === "ENOENT") return;
+			throw error;
+		}
+		const texts = content.split(/\r?\n/);
+		if (texts[texts.length - 1] === "") texts.pop();
+		// Parse every line before applying any, so a bad line leaves the list unchanged
+		const lines = texts.map((text) => {
+			const line = text.replace(/#.*$/, "").trim();
+			return { text, entry: line ? canonicalEntry(line) : null };
+		});
+		for (const { entry } of lines) {
+			if (entry !== null) this._insert(entry);
+		}
+		this._lines = lines;
+	}
+
+	/**
+	 * Add a canonical entry
+	 * @private
+	 */
+	_insert(entry) {
+		if (this._entries.has(entry)) return false;
+		this._entries.add(entry);
+		if (entry.includes("@")) this._emailHashes.add(hashEmail(entry));
+		else if (MD5_HASH.test(entry)) this._emailHashes.add(entry);
+		return true;
+	}
+
+	/**
+	 * Add phones, emails or MD5 hashes (written to the file, if any)
+	 * @param {string|string[]} entries
+	 * @returns {Promise<number>} Number of entries that weren't on the list yet
+	 * @throws {ValidationError} If an entry isn't a phone, email or MD5 hash
+	 */
+	async add(entries) {
+		const canonical = [].concat(entries).map(canonicalEntry);
+		await this.load();
+		const added = canonical.filter((entry) => this._insert(entry)).length;
+		if (added > 0) await this.save();
+		return added;
+	}
+
+	/**
+	 * Remove phones, emails or MD5 hashes (written to the file, if any)
+	 * @param {string|string[]} entries
+	 * @returns {Promise<number>} Number of entries removed
+	 */
+	async remove(entries) {
+		await this.load();
+		let removed = 0;
+		for (const entry of [].concat(entries)) {
+			let canonical;
+			try {
+				canonical = canonicalEntry(entry);
+			} catch {
+				continue;
+			}
+			if (this._entries.delete(canonical)) removed++;
+		}
+		if (removed > 0) {
+			this._emailHashes = new Set();
+			for (const entry of this._entries) {
+				if (entry.includes("@")) this._emailHashes.add(hashEmail(entry));
+				else if (MD5_HASH.test(entry)) this._emailHashes.add(entry);
+			}
+			await this.save();
+		}
+		return removed;
+	}
+
+	/**
+	 * Remove every entry (written to the file, if any)
+	 * @returns {Promise<void>}
+	 */
+	async clear() {
+		await this.load();
+		this._entries.clear();
+		this._emailHashes.clear();
+		await this.save();
+	}
+
+	/**
+	 * Whether a phone is on the list (any common format; call load() first)
+	 * @param {string} phone
+	 * @returns {boolean}
+	 */
+	hasPhone(phone) {
+		const canonical = canonicalPhone(phone);
+		return canonical !== null && this._entries.has(canonical);
+	}
+
+	/**
+	 * Whether an email or MD5 hash is on the list, as an email or its hash
+	 * (case-insensitive; call load() first)
+	 * @param {string} email - Email address or MD5 hash
+	 * @returns {boolean}
+	 */
+	hasEmail(email) {
+		const value = String(email ?? "").trim();
+		return this._emailHashes.has(MD5_HASH.test(value) ? value.toLowerCase() : hashEmail(value));
+	}
+
+	/**
+	 * Whether a phone, email or MD5 hash is on the list (call load() first)
+	 * @param {string} value
+	 * @returns {boolean}
+	 */
+	has(value) {
+		const text = String(value ?? "");
+		return text.includes("@") || MD5_HASH.test(text.trim()) ? this.hasEmail(text) : this.hasPhone(text);
+	}
+
+	/**
+	 * Entries in their stored form (10-digit phones, lowercased emails and hashes)
+	 * @returns {string[]}
+	 */
+	values() {
+		return [...this._entries];
+	}
+
+	/**
+	 * Lines to write: the file's comment and blank lines, the lines of entries
+	 * still on the list (inline comments included), then new entries
+	 * @private
+	 */
+	_linesToWrite() {
+		const written = new Set();
+		const lines = [];
+		for (const line of this._lines) {
+			if (line.entry === null) {
+				lines.push(line);
+			} else if (this._entries.has(line.entry) && !written.has(line.entry)) {
+				lines.push(line);
+				written.add(line.entry);
+			}
+		}
+		for (const entry of this._entries) {
+			if (!written.has(entry)) lines.push({ text: entry, entry });
+		}
+		return lines;
+	}
+
+	/**
+	 * Write the list to the file atomically (no-op without a filePath).
+	 * Comment and blank lines read from the file are kept.
+	 * @returns {Promise<void>}
+	 */
+	save() {
+		if (!this.filePath) return Promise.resolve();
+		const run = this._queue.then(async () => {
+			await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+			const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+			this._lines = this._linesToWrite();
+			const lines = this._lines.map((line) => line.text);
+			await fs.promises.writeFile(tmpPath, lines.length > 0 ? `${lines.join("\n")}\n` : "");
+			await fs.promises.rename(tmpPath, this.filePath);
+		});
+		// Keep the queue alive even if this write fails
+		this._queue = run.catch(() => {});
+		return run;
+	}
+}
+
+module.exports = { SuppressionList, INTERNAL_REASON, MD5_HASH, canonicalEntry, canonicalPhone, hashEmail };
@@ -0,0 +1,390 @@
+const { ValidationError } = require("./errors");
+const { canonicalPhone } = require("./suppression");
+
+/**
+ * Offline area code (NPA) to state and time zone data, and calling-window checks
+ *
+ * Local time is worked out with IANA time zones through Intl, so DST (and
+ * zones without it, like Arizona and Saskatchewan) is handled by the runtime.
+ * Area codes that span more than one time zone list all of them, and a
+ * window check only passes if the time is inside the window in every zone.
+ */
+
+/**
+ * Geographic area codes by state/province and the time zone most of the
+ * state uses. Toll-free, non-geographic and non-US/Canada NANP codes are
+ * left out on purpose.
+ * @private
+ */
+const AREA_CODES_BY_STATE = {
+	AL: ["America/Chicago", [205, 251, 256, 334, 659, 938]],
+	AK: ["America/Anchorage", [907]],
+	AZ: ["America/Phoenix", [480, 520, 602, 623, 928]],
+	AR: ["America/Chicago", [327, 479, 501, 870]],
+	CA: ["America/Los_Angeles", [
+		209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650,
+		657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 837, 840, 858, 909, 916, 925, 949, 951,
+	]],
+	CO: ["America/Denver", [303, 719, 720, 970, 983]],
+	CT: ["America/New_York", [203, 475, 860, 959]],
+	DE: ["America/New_York", [302]],
+	DC: ["America/New_York", [202, 771]],
+	FL: ["America/New_York", [
+		239, 305, 321, 324, 352, 386, 407, 448, 561, 645, 656, 689, 727, 728, 754, 772, 786, 813, 850,
+		863, 904, 941, 954,
+	]],
+	GA: ["America/New_York", [229, 404, 470, 478, 678, 706, 762, 770, 912, 943]],
+	HI: ["Pacific/Honolulu", [808]],
+	ID: ["America/Boise", [208, 986]],
+	IL: ["America/Chicago", [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872]],
+	IN: ["America/Indiana/Indianapolis", [219, 260, 317, 463, 574, 765, 812, 930]],
+	IA: ["America/Chicago", [319, 515, 563, 641, 712]],
+	KS: ["America/Chicago", [316, 620, 785, 913]],
+	KY: ["America/New_York", [270, 364, 502, 606, 859]],
+	LA: ["America/Chicago", [225, 318, 337, 504, 985]],
+	ME: ["America/New_York", [207]],
+	MD: ["America/New_York", [227, 240, 301, 410, 443, 667]],
+	MA: ["America/New_York", [339, 351, 413, 508, 617, 774, 781, 857, 978]],
+	MI: ["America/Detroit", [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989]],
+	MN: ["America/Chicago", [218, 320, 507, 612, 651, 763, 924, 952]],
+	MS: ["America/Chicago", [228, 601, 662, 769]],
+	MO: ["America/Chicago", [235, 314, 417, 557, 573, 636, 660, 816, 975]],
+	MT: ["America/Denver", [406]],
+	NE: ["America/Chicago", [308, 402, 531]],
+	NV: ["America/Los_Angeles", [702, 725, 775]],
+	NH: ["America/New_York", [603]],
+	NJ: ["America/New_York", [201, 551, 609, 640, 732, 848, 856, 862, 908, 973]],
+	NM: ["America/Denver", [505, 575]],
+	NY: ["America/New_York", [
+		212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914,
+		917, 929, 934,
+	]],
+	NC: ["America/New_York", [252, 336, 472, 704, 743, 828, 910, 919, 980, 984]],
+	ND: ["America/Chicago", [701]],
+	OH: ["America/New_York", [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937]],
+	OK: ["America/Chicago", [405, 539, 572, 580, 918]],
+	OR: ["America/Los_Angeles", [458, 503, 541, 971]],
+	PA: ["America/New_York", [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878]],
+	RI: ["America/New_York", [401]],
+	SC: ["America/New_York", [803, 839, 843, 854, 864]],
+	SD: ["America/Chicago", [605]],
+	TN: ["America/Chicago", [423, 615, 629, 731, 865, 901, 931]],
+	TX: ["America/Chicago", [
+		210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830,
+		832, 903, 915, 936, 940, 945, 956, 972, 979,
+	]],
+	UT: ["America/Denver", [385, 435, 801]],
+	VT: ["America/New_York", [802]],
+	VA: ["America/New_York", [276, 434, 540, 571, 686, 703, 757, 804, 826, 948]],
+	WA: ["America/Los_Angeles", [206, 253, 360, 425, 509, 564]],
+	WV: ["America/New_York", [304, 681]],
+	WI: ["America/Chicago", [262, 274, 353, 414, 534, 608, 715, 920]],
+	WY: ["America/Denver", [307]],
+	PR: ["America/Puerto_Rico", [787, 939]],
+	VI: ["America/St_Thomas", [340]],
+	GU: ["Pacific/Guam", [671]],
+	MP: ["Pacific/Saipan", [670]],
+	AS: ["Pacific/Pago_Pago", [684]],
+	AB: ["America/Edmonton", [368, 403, 587, 780, 825]],
+	BC: ["America/Vancouver", [236, 250, 604, 672, 778]],
+	MB: ["America/Winnipeg", [204, 431, 584]],
+	NB: ["America/Moncton", [428, 506]],
+	NL: ["America/St_Johns", [709, 879]],
+	NS: ["America/Halifax", [782, 902]],
+	ON: ["America/Toronto", [
+		226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 807, 905, 942,
+	]],
+	QC: ["America/Toronto", [263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873]],
+	SK: ["America/Regina", [306, 474, 639]],
+};
+
+/**
+ * Area codes spanning more than one time zone (all of them listed),
+ * or using a different zone than the rest of their state
+ * @private
+ */
+const TIME_ZONE_EXCEPTIONS = {
+	// AK: Aleutian Islands
+	907: ["America/Anchorage", "America/Adak"],
+	// AZ: the Navajo Nation observes DST
+	928: ["America/Phoenix", "America/Denver"],
+	// FL: western panhandle
+	448: ["America/New_York", "America/Chicago"],
+	850: ["America/New_York", "America/Chicago"],
+	// ID: northern panhandle
+	208: ["America/Boise", "America/Los_Angeles"],
+	986: ["America/Boise", "America/Los_Angeles"],
+	// IN: northwest and southwest corners
+	219: ["America/Chicago"],
+	574: ["America/Indiana/Indianapolis", "America/Chicago"],
+	812: ["America/Indiana/Indianapolis", "America/Chicago"],
+	930: ["America/Indiana/Indianapolis", "America/Chicago"],
+	// KS: western counties
+	620: ["America/Chicago", "America/Denver"],
+	785: ["America/Chicago", "America/Denver"],
+	// KY: west of the Eastern/Central line
+	270: ["America/Chicago", "America/New_York"],
+	364: ["America/Chicago", "America/New_York"],
+	606: ["America/New_York", "America/Chicago"],
+	// MI: counties bordering Wisconsin
+	906: ["America/Detroit", "America/Menominee"],
+	// NE, ND, SD: western counties
+	308: ["America/Chicago", "America/Denver"],
+	701: ["America/Chicago", "America/Denver"],
+	605: ["America/Chicago", "America/Denver"],
+	// NV: West Wendover
+	775: ["America/Los_Angeles", "America/Denver"],
+	// OR: Malheur County
+	458: ["America/Los_Angeles", "America/Boise"],
+	541: ["America/Los_Angeles", "America/Boise"],
+	// TN: East Tennessee
+	423: ["America/New_York", "America/Chicago"],
+	865: ["America/New_York"],
+	931: ["America/Chicago", "America/New_York"],
+	// TX: El Paso and Hudspeth; Culberson keeps Mountain time in practice
+	915: ["America/Denver"],
+	432: ["America/Chicago", "America/Denver"],
+	// BC: Kootenays and Peace River
+	236: ["America/Vancouver", "America/Edmonton", "America/Dawson_Creek"],
+	250: ["America/Vancouver", "America/Edmonton", "America/Dawson_Creek"],
+	672: ["America/Vancouver", "America/Edmonton", "America/Dawson_Creek"],
+	778: ["America/Vancouver", "America/Edmonton", "America/Dawson_Creek"],
+	// NL: Labrador
+	709: ["America/St_Johns", "America/Goose_Bay"],
+	879: ["America/St_Johns", "America/Goose_Bay"],
+	// ON: northwestern Ontario
+	807: ["America/Toronto", "America/Winnipeg"],
+	// QC: Magdalen Islands and the Lower North Shore
+	367: ["America/Toronto", "America/Halifax", "America/Blanc-Sablon"],
+	418: ["America/Toronto", "America/Halifax", "America/Blanc-Sablon"],
+	581: ["America/Toronto", "America/Halifax", "America/Blanc-Sablon"],
+	// SK: Lloydminster
+	306: ["America/Regina", "America/Edmonton"],
+	474: ["America/Regina", "America/Edmonton"],
+	639: ["America/Regina", "America/Edmonton"],
+};
+
+/**
+ * Area code data: state/province (null if the code spans several) and time zones
+ * @type {Readonly<Record<string, {state: string|null, timeZones: string[]}>>}
+ */
+const AREA_CODE_TIME_ZONES = (() => {
+	const data = {};
+	for (const [state, [timeZone, npas]] of Object.entries(AREA_CODES_BY_STATE)) {
+		for (const npa of npas) {
+			data[npa] = Object.freeze({
+				state,
+				timeZones: Object.freeze(TIME_ZONE_EXCEPTIONS[npa] || [timeZone]),
+			});
+		}
+	}
+	// Yukon, Northwest Territories and Nunavut share one area code
+	data[867] = Object.freeze({
+		state: null,
+		timeZones: Object.freeze([
+			"America/Whitehorse",
+			"America/Yellowknife",
+			"America/Cambridge_Bay",
+			"America/Rankin_Inlet",
+			"America/Iqaluit",
+		]),
+	});
+	return Object.freeze(data);
+})();
+
+/**
+ * Time zones used in each state/province (union of its area codes')
+ * @type {Readonly<Record<string, string[]>>}
+ */
+const STATE_TIME_ZONES = (() => {
+	const zones = {};
+	for (const { state, timeZones } of Object.values(AREA_CODE_TIME_ZONES)) {
+		if (!state) continue;
+		zones[state] = [...new Set([...(zones[state] || []), ...timeZones])];
+	}
+	for (const state of Object.keys(zones)) Object.freeze(zones[state]);
+	return Object.freeze(zones);
+})();
+
+/**
+ * Calling window used when none are given: 8am to 9pm local time every day (TCPA)
+ * @type {ReadonlyArray<CallingWindow>}
+ */
+const DEFAULT_CALLING_WINDOWS = Object.freeze([Object.freeze({ start: "08:00", end: "21:00" })]);
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+/**
+ * Throw a ValidationError for a calling window
+ * @private
+ */
+function invalidWindow(detail) {
+	throw new ValidationError(`Invalid calling window: ${detail}`, 400, null);
+}
+
+/**
+ * Minutes since midnight of an 'HH:MM' time
+ * @private
+ */
+function toMinutes(time, index) {
+	const match = TIME.exec(String(time));
+	const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+	if (!(minutes <= 24 * 60)) invalidWindow(`window ${index} has an invalid time ${time} (expected HH:MM)`);
+	return minutes;
+}
+
+/**
+ * Validate calling windows and compile them into a predicate
+ *
+ * @param {CallingWindow[]} [windows=DEFAULT_CALLING_WINDOWS]
+ * @returns {(day: string, minutes: number) => boolean}
+ * @throws {ValidationError} If a window is malformed
+ */
+function compileCallingWindows(windows = DEFAULT_CALLING_WINDOWS) {
+	if (!Array.isArray(windows) || windows.length === 0) invalidWindow("windows must be a non-empty array");
+	const compiled = windows.map((window, index) => {
+		if (!window || typeof window !== "object") invalidWindow(`window ${index} must be an object`);
+		const start = toMinutes(window.start, index);
+		const end = toMinutes(window.end, index);
+		if (start >= end) invalidWindow(`window ${index} must end after it starts`);
+		let days = null;
+		if (window.days !== undefined) {
+			if (!Array.isArray(window.days)) invalidWindow(`window ${index}: days must be an array`);
+			days = new Set(
+				window.days.map((day) => {
+					const key = String(day).slice(0, 3).toLowerCase();
+					if (!DAYS.includes(key)) invalidWindow(`window ${index}: unknown day ${day}`);
+					return key;
+				})
+			);
+		}
+		return { start, end, days };
+	});
+	return (day, minutes) =>
+		compiled.some((w) => (w.days === null || w.days.has(day)) && minutes >= w.start && minutes < w.end);
+}
+
+/** @private */
+const formatters = new Map();
+
+/**
+ * Day of week and time of `date` in an IANA time zone
+ * @private
+ * @returns {{day: string, time: string, minutes: number}}
+ */
+function localTime(timeZone, date) {
+	let formatter = formatters.get(timeZone);
+	if (!formatter) {
+		formatter = new Intl.DateTimeFormat("en-US", {
+			timeZone,
+			weekday: "short",
+			hour: "2-digit",
+			minute: "2-digit",
+			hourCycle: "h23",
+		});
+		formatters.set(timeZone, formatter);
+	}
+	const parts = Object.fromEntries(formatter.formatToParts(date).map((part) => [part.type, part.value]));
+	const hour = Number(parts.hour) % 24;
+	return {
+		day: parts.weekday.toLowerCase(),
+		time: `${String(hour).padStart(2, "0")}:${parts.minute}`,
+		minutes: hour * 60 + Number(parts.minute),
+	};
+}
+
+/**
+ * Time zones a phone may be in. The carrier's state is used when it differs
+ * from the area code's (or the area code is unknown); otherwise the area
+ * code's zones are more specific.
+ *
+ * @param {string} phone - 10-digit phone (any common format, optional leading 1)
+ * @param {Object} [options]
+ * @param {string} [options.state] - Two-letter state/province from carrier data
+ * @returns {{npa: string|null, state: string|null, timeZones: string[], source: 'area-code'|'carrier-state'|null}}
+ *
+ * @example
+ * timeZonesForPhone('(850) 555-0100');
+ * // { npa: '850', state: 'FL', timeZones: ['America/New_York', 'America/Chicago'], source: 'area-code' }
+ */
+function timeZonesForPhone(phone, options = {}) {
+	const digits = canonicalPhone(phone);
+	const npa = digits ? digits.slice(0, 3) : null;
+	const info = npa ? AREA_CODE_TIME_ZONES[npa] : undefined;
+	const carrierState = typeof options.state === "string" ? options.state.trim().toUpperCase() : null;
+
+	if (carrierState && STATE_TIME_ZONES[carrierState] && carrierState !== info?.state) {
+		return { npa, state: carrierState, timeZones: [...STATE_TIME_ZONES[carrierState]], source: "carrier-state" };
+	}
+	if (info) return { npa, state: info.state, timeZones: [...info.timeZones], source: "area-code" };
+	return { npa, state: null, timeZones: [], source: null };
+}
+
+/**
+ * Whether it's inside a calling window in every time zone a phone may be in
+ * (offline; no blacklist lookup)
+ *
+ * @param {string} phone - 10-digit phone (any common format, optional leading 1)
+ * @param {Object} [options]
+ * @param {CallingWindow[]} [options.windows=DEFAULT_CALLING_WINDOWS] - Allowed local times
+ * @param {Date|number} [options.now=new Date()] - Time to check
+ * @param {string} [options.state] - Two-letter state/province from carrier data
+ * @returns {CallingWindowCheck}
+ * @throws {ValidationError} If a window is malformed
+ *
+ * @example
+ * checkCallingWindow('2125550100', { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '20:00' }] });
+ * // { inWindow: true, timeZones: ['America/New_York'], localTimes: [{ timeZone: 'America/New_York', day: 'tue', time: '10:15', inWindow: true }], ... }
+ */
+function checkCallingWindow(phone, options = {}) {
+	return callingWindowCheck(compileCallingWindows(options.windows), phone, options);
+}
+
+/**
+ * checkCallingWindow with compiled windows
+ * @private
+ */
+function callingWindowCheck(inWindow, phone, { now = new Date(), state } = {}) {
+	const date = new Date(now);
+	const zones = timeZonesForPhone(phone, { state });
+	const localTimes = zones.timeZones.map((timeZone) => {
+		const { day, time, minutes } = localTime(timeZone, date);
+		return { timeZone, day, time, inWindow: inWindow(day, minutes) };
+	});
+	return {
+		...zones,
+		localTimes,
+		inWindow: localTimes.length > 0 && localTimes.every((local) => local.inWindow),
+	};
+}
+
+/**
+ * Whether a looked-up phone may be called: not blacklisted, and inside a
+ * calling window in every time zone it may be in (unknown area codes fail)
+ *
+ * @param {(day: string, minutes: number) => boolean} inWindow - From compileCallingWindows
+ * @param {string} phone - Phone as sent
+ * @param {NormalizedPhoneResult|NormalizedLookupResult} result - Its normalized lookup result
+ * @param {Date|number} [now=new Date()]
+ * @returns {CallDecision}
+ */
+function callDecision(inWindow, phone, result, now) {
+	const check = callingWindowCheck(inWindow, phone, { now, state: result.carrier?.state });
+	const blockedBy = [];
+	if (result.blacklisted) blockedBy.push("blacklisted");
+	if (check.timeZones.length === 0) blockedBy.push("unknown-time-zone");
+	else if (!check.inWindow) blockedBy.push("outside-window");
+	return { phone, allowed: blockedBy.length === 0, blockedBy, ...check, result };
+}
+
+module.exports = {
+	AREA_CODE_TIME_ZONES,
+	STATE_TIME_ZONES,
+	DEFAULT_CALLING_WINDOWS,
+	compileCallingWindows,
+	timeZonesForPhone,
+	checkCallingWindow,
+	callingWindowCheck,
+	callDecision,
+};
@@ -0,0 +1,221 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { run } = require('../src/cli');
+
+describe('CLI', () => {
+  let dir;
+  let originalFetch;
+  let requests;
+
+  // Blacklists phones ending in 9 and emails starting with "bad"
+  const mockFetch = async (url, options) => {
+    requests.push(url);
+    if (!options.body) {
+      const phone = new URL(url).searchParams.get('phone');
+      const blacklisted = phone.endsWith('9');
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({
+          status: 'success',
+          message: blacklisted ? 'Blacklisted' : 'Good',
+          code: blacklisted ? 'federal-dnc' : 'none',
+          phone,
+          wireless: 1,
+        }),
+      };
+    }
+    const body = JSON.parse(options.body);
+    if (body.emails) {
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ good: body.emails.filter((e) => !e.startsWith('bad')) }),
+      };
+    }
+    const bad = body.phones.filter((p) => p.endsWith('9'));
+    return {
+      ok: true,
+      headers: { get: () => 'application/json' },
+      json: async () => ([{
+        status: 'success',
+        numbers: body.phones.length,
+        count: body.phones.length,
+        phones: body.phones.filter((p) => !bad.includes(p)),
+        supression: bad,
+        wireless: [],
+        reasons: Object.fromEntries(bad.map((p) => [p, 'federal-dnc'])),
+        carrier: {},
+      }]),
+    };
+  };
+
+  const capture = () => {
+    const stream = { output: '', isTTY: false };
+    stream.write = (chunk) => {
+      stream.output += chunk;
+      return true;
+    };
+    return stream;
+  };
+
+  const cli = async (argv, stdinText = '') => {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await run(argv, {
+      stdout,
+      stderr,
+      stdin: Readable.from([stdinText]),
+      env: { BLACKLIST_API_KEY: 'test-key' },
+    });
+    return { code, stdout: stdout.output, stderr: stderr.output };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ba-cli-'));
+    originalFetch = global.fetch;
+    global.fetch = mockFetch;
+    requests = [];
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should exit 0 for a clean lookup and 1 for a blacklisted one', async () => {
+    const clean = await cli(['lookup', '2223334444']);
+    assert.strictEqual(clean.code, 0);
+    assert.match(clean.stdout, /^PHONE\s+STATUS\s+REASONS\s+WIRELESS\s+CARRIER\n2223334444\s+Good\s+Y\n$/);
+
+    const blacklisted = await cli(['lookup', '2223334449', '--format', 'ndjson']);
+    assert.strictEqual(blacklisted.code, 1);
+    assert.deepStrictEqual(JSON.parse(blacklisted.stdout), {
+      phone: '2223334449',
+      blacklisted: true,
+      reasons: ['federal-dnc'],
+      wireless: true,
+      carrier: null,
+    });
+  });
+
+  it('should pass --version to the API', async () => {
+    const { code, stdout } = await cli(['lookup', '2223334444', '--version', 'v3', '--format', 'json']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(JSON.parse(stdout).message, 'Good');
+    assert.strictEqual(new URL(requests[0]).searchParams.get('ver'), 'v3');
+  });
+
+  it('should bulk look up phones from a file with progress on stderr', async () => {
+    const file = path.join(dir, 'phones.txt');
+    fs.writeFileSync(file, '2223334444\n\n5556667779\n');
+
+    const { code, stdout, stderr } = await cli(['bulk', file, '--format', 'ndjson']);
+
+    assert.strictEqual(code, 1);
+    const lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(lines.map((r) => [r.phone, r.blacklisted]), [
+      ['2223334444', false],
+      ['5556667779', true],
+    ]);
+    assert.strictEqual(stderr, 'Batch 1/1 (2/2)\n');
+  });
+
+  it('should validate formatted bulk lines and show results by the phone sent', async () => {
+    const file = path.join(dir, 'phones.txt');
+    fs.writeFileSync(file, '(222) 333-4449\n1-555-666-7777\n');
+
+    const { code, stdout } = await cli(['bulk', file, '--quiet']);
+    assert.strictEqual(code, 1);
+    assert.match(stdout, /\n2223334449\s+Blacklisted\s+federal-dnc\s+N\n5556667777\s+Good\s+N\n$/);
+
+    const invalid = await cli(['bulk', '-', '--quiet'], '2223334444\nnot a phone\n');
+    assert.strictEqual(invalid.code, 2);
+  });
+
+  it('should read bulk input from stdin and print the merged result as json', async () => {
+    const { code, stdout, stderr } = await cli(['bulk', '-', '--format', 'json', '--quiet'], '2223334444\n');
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout).phones, ['2223334444']);
+    assert.strictEqual(stderr, '');
+  });
+
+  it('should check emails, hashing with --hash', async () => {
+    const file = path.join(dir, 'emails.txt');
+    fs.writeFileSync(file, 'ok@example.com\nbad@example.com\n');
+
+    const plain = await cli(['email', file, '--quiet']);
+    assert.strictEqual(plain.code, 1);
+    assert.match(plain.stdout, /bad@example\.com\s+Blacklisted/);
+    assert.match(plain.stdout, /ok@example\.com\s+Good/);
+
+    // Hashes never start with "bad", so nothing is blacklisted
+    const hashed = await cli(['email', file, '--hash', '--quiet']);
+    assert.strictEqual(hashed.code, 0);
+    assert.match(hashed.stdout, /bad@example\.com\s+Good/);
+  });
+
+  it('should not call the API with --dry-run', async () => {
+    global.fetch = async () => { throw new Error('should not be called'); };
+    const { code, stdout } = await cli(['lookup', '2223334449', '--dry-run', '--format', 'ndjson']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(JSON.parse(stdout).blacklisted, false);
+  });
+
+  it('should report ping status', async () => {
+    const ok = await cli(['ping']);
+    assert.strictEqual(ok.code, 0);
+    assert.strictEqual(ok.stdout, 'OK\n');
+
+    global.fetch = async () => { throw new TypeError('fetch failed'); };
+    const down = await cli(['ping', '--format', 'json']);
+    assert.strictEqual(down.code, 3);
+    assert.deepStrictEqual(JSON.parse(down.stdout), { ok: false });
+  });
+
+  it('should scrub a CSV file', async () => {
+    const file = path.join(dir, 'leads.csv');
+    fs.writeFileSync(file, 'name,phone\na,2223334444\nb,2223334449\n');
+
+    const { code, stdout } = await cli(['scrub-csv', file, '--phone-column', '1', '--format', 'json', '--quiet']);
+
+    assert.strictEqual(code, 1);
+    const summary = JSON.parse(stdout);
+    assert.strictEqual(summary.clean, 1);
+    assert.strictEqual(summary.suppressed, 1);
+    assert.ok(fs.existsSync(path.join(dir, 'suppressed.csv')));
+  });
+
+  it('should exit 2 on usage errors', async () => {
+    assert.strictEqual((await cli([])).code, 2);
+    assert.strictEqual((await cli(['frobnicate'])).code, 2);
+    assert.strictEqual((await cli(['lookup'])).code, 2);
+    assert.strictEqual((await cli(['lookup', '123'])).code, 2);
+    assert.strictEqual((await cli(['lookup', '2223334444', '--format', 'xml'])).code, 2);
+    assert.strictEqual((await cli(['lookup', '2223334444', '--version', 'v9'])).code, 2);
+    assert.strictEqual((await cli(['lookup', '2223334444', '--bogus'])).code, 2);
+
+    const stderr = capture();
+    const code = await run(['ping'], { stdout: capture(), stderr, env: {} });
+    assert.strictEqual(code, 2);
+    assert.match(stderr.output, /Missing API key/);
+  });
+
+  it('should exit 3 on API errors', async () => {
+    global.fetch = async () => ({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: { get: () => 'application/json' },
+      json: async () => ({ message: 'Invalid API key' }),
+    });
+
+    const { code, stderr } = await cli(['lookup', '2223334444']);
+    assert.strictEqual(code, 3);
+    assert.match(stderr, /^Error: /);
+  });
+});
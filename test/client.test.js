@@ -10,6 +10,9 @@ const {
   NetworkError,
   ServerError,
   CircuitBreakerError,
+  LookupCache,
+  MemoryCacheStore,
+  RateLimiter,
 } = require('../src');
 
 describe('BlacklistAlliance', () => {
@@ -519,6 +522,179 @@ describe('BlacklistAlliance', () => {
     });
   });
 
+  describe('retry policy', () => {
+    const failingThenOk = (failures, failure) => {
+      let attemptCount = 0;
+      const times = [];
+      const fetch = async () => {
+        attemptCount++;
+        times.push(Date.now());
+        if (attemptCount <= failures) return failure();
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success' }),
+        };
+      };
+      return { fetch, times, count: () => attemptCount };
+    };
+
+    it('should parse Retry-After seconds and HTTP-dates', () => {
+      const client = new BlacklistAlliance('test-key');
+      assert.strictEqual(client._parseRetryAfter('120'), 120);
+      assert.strictEqual(client._parseRetryAfter(null), undefined);
+      assert.strictEqual(client._parseRetryAfter('soon'), undefined);
+      const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+      assert.ok([4, 5].includes(client._parseRetryAfter(inFiveSeconds)));
+      assert.strictEqual(client._parseRetryAfter(new Date(Date.now() - 5000).toUTCString()), 0);
+    });
+
+    it('should wait for Retry-After on 429', async () => {
+      const client = new BlacklistAlliance('test-key', {
+        retries: 1,
+        retryPolicy: { baseDelayMs: 1, jitter: 'none' },
+      });
+      const mock = failingThenOk(1, () => ({
+        ok: false,
+        status: 429,
+        statusText: 'Too Many Requests',
+        headers: { get: (name) => (name === 'retry-after' ? '1' : 'application/json') },
+        json: async () => ({}),
+      }));
+
+      const originalFetch = global.fetch;
+      global.fetch = mock.fetch;
+
+      await client.lookupSingle('2223334444');
+      assert.strictEqual(mock.count(), 2);
+      assert.ok(mock.times[1] - mock.times[0] >= 990);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should expose Retry-After on 503 ServerError', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: { get: (name) => (name === 'retry-after' ? '30' : 'application/json') },
+        json: async () => ({}),
+      });
+
+      await assert.rejects(
+        () => client.lookupSingle('2223334444'),
+        (err) => err instanceof ServerError && err.retryAfter === 30
+      );
+
+      global.fetch = originalFetch;
+    });
+
+    it('should use base delay, max delay and jitter from the policy', () => {
+      const client = new BlacklistAlliance('test-key', {
+        retries: 5,
+        retryPolicy: { baseDelayMs: 50, maxDelayMs: 150, jitter: 'none' },
+      });
+      const error = new ServerError('fail', 500, null);
+      const now = Date.now();
+      assert.deepStrictEqual(
+        [1, 2, 3, 4].map((attempt) => client._getRetryDelay(error, attempt, now)),
+        [50, 100, 150, 150]
+      );
+      assert.strictEqual(client._getRetryDelay(error, 6, now), null);
+
+      const full = new BlacklistAlliance('test-key', { retryPolicy: { baseDelayMs: 100, jitter: 'full' } });
+      const delay = full._getRetryDelay(error, 1, now);
+      assert.ok(delay >= 0 && delay <= 100);
+    });
+
+    it('should reject unknown jitter strategies', () => {
+      assert.throws(
+        () => new BlacklistAlliance('test-key', { retryPolicy: { jitter: 'random' } }),
+        /Unknown retry jitter strategy/
+      );
+    });
+
+    it('should use a custom shouldRetry predicate', async () => {
+      const calls = [];
+      const client = new BlacklistAlliance('test-key', {
+        retries: 3,
+        retryPolicy: {
+          baseDelayMs: 1,
+          shouldRetry: (error, attempt) => {
+            calls.push([error.statusCode, attempt]);
+            return error.statusCode === 403 && attempt < 2;
+          },
+        },
+      });
+      const mock = failingThenOk(5, () => ({
+        ok: false,
+        status: 403,
+        statusText: 'Forbidden',
+        headers: { get: () => 'application/json' },
+        json: async () => ({}),
+      }));
+
+      const originalFetch = global.fetch;
+      global.fetch = mock.fetch;
+
+      await assert.rejects(() => client.lookupSingle('2223334444'), AuthenticationError);
+      assert.strictEqual(mock.count(), 2);
+      assert.deepStrictEqual(calls, [[403, 1], [403, 2]]);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should stop retrying when maxRetryTimeMs would be exceeded', async () => {
+      const client = new BlacklistAlliance('test-key', {
+        retries: 10,
+        retryPolicy: { baseDelayMs: 20, jitter: 'none', maxRetryTimeMs: 50 },
+      });
+      const mock = failingThenOk(10, () => ({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        headers: { get: () => 'application/json' },
+        json: async () => ({}),
+      }));
+
+      const originalFetch = global.fetch;
+      global.fetch = mock.fetch;
+
+      await assert.rejects(() => client.lookupSingle('2223334444'), ServerError);
+      // 20ms + 40ms backoff would exceed 50ms
+      assert.strictEqual(mock.count(), 2);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should wake from backoff when aborted', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 1 });
+      const controller = new AbortController();
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: false,
+        status: 429,
+        statusText: 'Too Many Requests',
+        headers: { get: (name) => (name === 'retry-after' ? '60' : 'application/json') },
+        json: async () => ({}),
+      });
+
+      setTimeout(() => controller.abort(), 20);
+      const start = Date.now();
+      await assert.rejects(
+        () => client.lookupSingle('2223334444', { signal: controller.signal }),
+        /Request aborted/
+      );
+      assert.ok(Date.now() - start < 1000);
+
+      global.fetch = originalFetch;
+    });
+  });
+
   describe('request/response hooks', () => {
     it('should call onRequest hook before request', async () => {
       let hookCalled = false;
@@ -678,6 +854,1270 @@ describe('BlacklistAlliance', () => {
     });
   });
 
+  describe('result cache', () => {
+    it('should be disabled by default', () => {
+      const client = new BlacklistAlliance('test-key');
+      assert.strictEqual(client.cache, null);
+    });
+
+    it('should serve repeated lookups from cache', async () => {
+      const client = new BlacklistAlliance('test-key', { cache: { ttlMs: 60000 } });
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success', message: 'Blacklisted', code: 'federal-dnc,litigator' }),
+        };
+      };
+
+      await client.lookupSingle('(222) 333-4444');
+      await client.lookupSingle('222-333-4444');
+      assert.strictEqual(await client.isBlacklisted('2223334444'), true);
+      assert.deepStrictEqual(await client.getBlacklistReasons('2223334444'), ['federal-dnc', 'litigator']);
+
+      assert.strictEqual(fetchCount, 1);
+      assert.deepStrictEqual(
+        { hits: client.cache.stats().hits, misses: client.cache.stats().misses },
+        { hits: 3, misses: 1 }
+      );
+
+      global.fetch = originalFetch;
+    });
+
+    it('should key by endpoint, version and response format', async () => {
+      const client = new BlacklistAlliance('test-key', { cache: true });
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success' }),
+        };
+      };
+
+      await client.lookupSingle('2223334444');
+      await client.lookupSingle('2223334444', { version: 'v3' });
+      await client.lookupSingle('2223334444', { responseFormat: 'raw' });
+      // Standard API results are kept apart from Simple API ones
+      await client.lookup('2223334444');
+      assert.strictEqual(fetchCount, 4);
+
+      // The leading country code doesn't make a new entry
+      await client.lookupSingle('12223334444');
+      await client.lookup('+1 (222) 333-4444');
+      assert.strictEqual(fetchCount, 4);
+      assert.strictEqual(client.cache.invalidate('12223334444'), 4);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not cache failed requests', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0, cache: true });
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        headers: { get: () => 'application/json' },
+        json: async () => ({}),
+      });
+
+      await assert.rejects(() => client.lookupSingle('2223334444'));
+      assert.strictEqual(client.cache.size, 0);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should invalidate and clear entries', async () => {
+      const client = new BlacklistAlliance('test-key', { cache: true });
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success' }),
+        };
+      };
+
+      await client.lookupSingle('2223334444');
+      await client.lookupSingle('2223334444', { version: 'v3' });
+      await client.lookupSingle('5556667777');
+
+      assert.strictEqual(client.cache.invalidate('(222) 333-4444'), 2);
+      await client.lookupSingle('2223334444');
+      assert.strictEqual(fetchCount, 4);
+
+      client.cache.clear();
+      assert.strictEqual(client.cache.size, 0);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should expire entries after ttlMs', async () => {
+      const cache = new LookupCache({ ttlMs: 20 });
+      cache.set('2223334444', 'v5', 'json', { status: 'success' });
+      assert.ok(cache.get('2223334444', 'v5', 'json'));
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      assert.strictEqual(cache.get('2223334444', 'v5', 'json'), undefined);
+    });
+
+    it('should evict least recently used entries', () => {
+      const cache = new LookupCache({ maxEntries: 2 });
+      cache.set('1111111111', 'v5', 'json', 'a');
+      cache.set('2222222222', 'v5', 'json', 'b');
+      cache.get('1111111111', 'v5', 'json');
+      cache.set('3333333333', 'v5', 'json', 'c');
+
+      assert.strictEqual(cache.get('2222222222', 'v5', 'json'), undefined);
+      assert.strictEqual(cache.get('1111111111', 'v5', 'json'), 'a');
+      assert.strictEqual(cache.stats().evictions, 1);
+    });
+  });
+
+  describe('persistent cache store', () => {
+    it('should read single lookups through the store', async () => {
+      const cacheStore = new MemoryCacheStore();
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success', message: 'Good' }),
+        };
+      };
+
+      await new BlacklistAlliance('test-key', { cacheStore }).lookupSingle('2223334444');
+      // New client (e.g. after restart) shares the store
+      const result = await new BlacklistAlliance('test-key', { cacheStore }).lookupSingle('2223334444');
+
+      assert.strictEqual(fetchCount, 1);
+      assert.strictEqual(result.message, 'Good');
+      assert.ok(await cacheStore.get('lookup:simple:v5:json:2223334444'));
+
+      // Same number with the country code; Standard API results are stored apart
+      await new BlacklistAlliance('test-key', { cacheStore }).lookupSingle('12223334444');
+      assert.strictEqual(fetchCount, 1);
+      await new BlacklistAlliance('test-key', { cacheStore }).lookup('2223334444');
+      assert.strictEqual(fetchCount, 2);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should only send uncached phones in bulk and merge in input order', async () => {
+      const cacheStore = new MemoryCacheStore();
+      const client = new BlacklistAlliance('test-key', { cacheStore });
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        const { phones } = JSON.parse(options.body);
+        sent.push(phones);
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ([{
+            status: 'success',
+            numbers: phones.length,
+            count: phones.length,
+            phones: phones.filter(p => p !== '2223334444'),
+            supression: phones.filter(p => p === '2223334444'),
+            wireless: phones.filter(p => p === '5556667777'),
+            reasons: phones.includes('2223334444') ? { '2223334444': 'federal-dnc' } : {},
+            carrier: {},
+          }]),
+        };
+      };
+
+      await client.bulkLookupSimple(['2223334444', '5556667777']);
+      const result = await client.bulkLookupSimple(['3334445555', '2223334444', '5556667777']);
+
+      assert.deepStrictEqual(sent, [['2223334444', '5556667777'], ['3334445555']]);
+      assert.strictEqual(result.numbers, 3);
+      assert.deepStrictEqual(result.phones, ['3334445555', '5556667777']);
+      assert.deepStrictEqual(result.supression, ['2223334444']);
+      assert.deepStrictEqual(result.wireless, ['5556667777']);
+      assert.deepStrictEqual(result.reasons, { '2223334444': 'federal-dnc' });
+
+      // Fully cached - no request at all
+      await client.bulkLookupSimple(['5556667777']);
+      assert.strictEqual(sent.length, 2);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should only send uncached emails', async () => {
+      const cacheStore = new MemoryCacheStore();
+      const client = new BlacklistAlliance('test-key', { cacheStore });
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        const { emails } = JSON.parse(options.body);
+        sent.push(emails);
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ good: emails.filter(e => e !== 'bad@test.com') }),
+        };
+      };
+
+      await client.emailBulk(['bad@test.com', 'a@test.com']);
+      const result = await client.emailBulk(['b@test.com', 'BAD@test.com', 'a@test.com']);
+
+      assert.deepStrictEqual(sent, [['bad@test.com', 'a@test.com'], ['b@test.com']]);
+      assert.deepStrictEqual(result.good, ['b@test.com', 'a@test.com']);
+      assert.deepStrictEqual(result.bad, ['BAD@test.com']);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should bypass the store when cacheStore is false per call', async () => {
+      const cacheStore = new MemoryCacheStore();
+      const client = new BlacklistAlliance('test-key', { cacheStore });
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ good: [] }),
+        };
+      };
+
+      await client.emailBulk(['a@test.com']);
+      await client.emailBulk(['a@test.com'], { cacheStore: false });
+      assert.strictEqual(fetchCount, 2);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should treat store errors as misses', async () => {
+      const cacheStore = {
+        get: async () => { throw new Error('store down'); },
+        set: async () => { throw new Error('store down'); },
+        delete: async () => {},
+      };
+      const client = new BlacklistAlliance('test-key', { cacheStore });
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ status: 'success' }),
+      });
+
+      const result = await client.lookupSingle('2223334444');
+      assert.strictEqual(result.status, 'success');
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not cache ping probes', async () => {
+      const cacheStore = new MemoryCacheStore();
+      const client = new BlacklistAlliance('test-key', { cacheStore, cache: true, retries: 0 });
+      let up = true;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        if (!up) throw new Error('ECONNREFUSED');
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success', message: 'Good' }),
+        };
+      };
+
+      assert.strictEqual(await client.ping(), true);
+      assert.strictEqual(await cacheStore.get('lookup:simple:v5:json:0000000000'), undefined);
+
+      // API goes down: ping must not answer from a cache
+      up = false;
+      assert.strictEqual(await client.ping(), false);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not write dry run results to the store', async () => {
+      const cacheStore = new MemoryCacheStore();
+      const client = new BlacklistAlliance('test-key', { cacheStore, dryRun: true });
+
+      await client.bulkLookupSimple(['2223334444']);
+      assert.strictEqual(await cacheStore.get('bulk:v5:2223334444'), undefined);
+    });
+  });
+
+  describe('request coalescing', () => {
+    it('should share one request between concurrent identical lookups', async () => {
+      const client = new BlacklistAlliance('test-key');
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success', message: 'Good' }),
+        };
+      };
+
+      const results = await Promise.all([
+        client.lookupSingle('2223334444'),
+        client.lookupSingle('(222) 333-4444'),
+        client.isBlacklisted('2223334444'),
+        client.lookupSingle('2223334444', { version: 'v3' }),
+      ]);
+
+      assert.strictEqual(fetchCount, 2);
+      assert.strictEqual(results[0], results[1]);
+      assert.strictEqual(results[2], false);
+
+      // Settled requests are not reused
+      await client.lookupSingle('2223334444');
+      assert.strictEqual(fetchCount, 3);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not cancel other callers when one aborts', async () => {
+      const client = new BlacklistAlliance('test-key');
+      const controller = new AbortController();
+      let fetchSignal;
+
+      const originalFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        fetchSignal = options.signal;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success' }),
+        };
+      };
+
+      const aborted = client.lookupSingle('2223334444', { signal: controller.signal });
+      const other = client.lookupSingle('2223334444');
+      setTimeout(() => controller.abort(), 10);
+
+      await assert.rejects(aborted, /Request aborted/);
+      const result = await other;
+      assert.strictEqual(result.status, 'success');
+      assert.strictEqual(fetchSignal.aborted, false);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should cancel the shared request once every caller aborts', async () => {
+      const client = new BlacklistAlliance('test-key', { timeout: 60000 });
+      const a = new AbortController();
+      const b = new AbortController();
+      let fetchSignal;
+
+      const originalFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        fetchSignal = options.signal;
+        return new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => {
+            const error = new Error('Aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        });
+      };
+
+      const first = client.lookupSingle('2223334444', { signal: a.signal });
+      const second = client.lookupSingle('2223334444', { signal: b.signal });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      a.abort();
+      assert.strictEqual(fetchSignal.aborted, false);
+      b.abort();
+      assert.strictEqual(fetchSignal.aborted, true);
+
+      await assert.rejects(first, /Request aborted/);
+      await assert.rejects(second, /Request aborted/);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not share requests between the Simple and Standard APIs', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const urls = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = async (url) => {
+        urls.push(url);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const standard = url.includes('/standard/');
+        return {
+          ok: true,
+          headers: { get: () => 'text/plain' },
+          text: async () => (standard ? 'message=Good&results=0' : 'Good'),
+        };
+      };
+
+      const [simple, standard] = await Promise.all([
+        client.lookupSingle('2223334444', { responseFormat: 'raw' }),
+        client.lookup('2223334444', { responseFormat: 'raw' }),
+      ]);
+
+      assert.strictEqual(urls.length, 2);
+      assert.strictEqual(simple, 'Good');
+      assert.deepStrictEqual(standard, { message: 'Good', results: 0 });
+
+      global.fetch = originalFetch;
+    });
+
+    it('should be disabled with coalesceRequests: false', async () => {
+      const client = new BlacklistAlliance('test-key', { coalesceRequests: false });
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success' }),
+        };
+      };
+
+      await Promise.all([client.lookupSingle('2223334444'), client.lookupSingle('2223334444')]);
+      assert.strictEqual(fetchCount, 2);
+
+      global.fetch = originalFetch;
+    });
+  });
+
+  describe('micro-batching', () => {
+    const mockBulkFetch = (sent) => async (url, options) => {
+      const { phones } = JSON.parse(options.body);
+      sent.push({ url, phones });
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ([{
+          status: 'success',
+          numbers: phones.length,
+          count: phones.length,
+          phones: phones.filter(p => p !== '2223334444'),
+          supression: phones.filter(p => p === '2223334444'),
+          wireless: phones.filter(p => p === '5556667777'),
+          reasons: { '2223334444': 'federal-dnc, litigator' },
+          carrier: { '5556667777': { name: 'AT&T', state: 'CA', ocn_info: { is_voip: false, carrier: 'AT&T', line_type: 'mobile' } } },
+        }]),
+      };
+    };
+
+    it('should send concurrent checks as one bulk request', async () => {
+      const client = new BlacklistAlliance('test-key', { microBatch: { maxWaitMs: 20 } });
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = mockBulkFetch(sent);
+
+      const [a, b, reasons, dup] = await Promise.all([
+        client.isBlacklisted('2223334444'),
+        client.isBlacklisted('5556667777'),
+        client.getBlacklistReasons('(222) 333-4444'),
+        client.isBlacklisted('2223334444'),
+      ]);
+
+      assert.strictEqual(sent.length, 1);
+      assert.ok(sent[0].url.includes('/bulklookup'));
+      assert.deepStrictEqual(sent[0].phones, ['2223334444', '5556667777']);
+      assert.strictEqual(a, true);
+      assert.strictEqual(b, false);
+      assert.strictEqual(dup, true);
+      assert.deepStrictEqual(reasons, ['federal-dnc', 'litigator']);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should send every format of a phone once', async () => {
+      const client = new BlacklistAlliance('test-key', { microBatch: { maxWaitMs: 20 } });
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = mockBulkFetch(sent);
+
+      const results = await Promise.all([
+        client.lookupBatched('12223334444'),
+        client.lookupBatched('(222) 333-4444'),
+        client.lookupBatched('+1 222 333 4444'),
+      ]);
+      assert.deepStrictEqual(sent.map((s) => s.phones), [['2223334444']]);
+      assert.ok(results.every((r) => r.phone === '2223334444' && r.blacklisted));
+
+      global.fetch = originalFetch;
+    });
+
+    it('should return no reasons for clean phones with or without micro-batching', async () => {
+      const originalFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        if (options?.body) return mockBulkFetch([])(url, options);
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success', message: 'Good', code: 'none', results: 0 }),
+        };
+      };
+
+      const batched = new BlacklistAlliance('test-key', { microBatch: true });
+      const single = new BlacklistAlliance('test-key');
+      assert.deepStrictEqual(await batched.getBlacklistReasons('5556667777'), []);
+      assert.deepStrictEqual(await single.getBlacklistReasons('5556667777'), []);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should build per-phone results from the bulk maps', async () => {
+      const client = new BlacklistAlliance('test-key', { microBatch: true });
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = mockBulkFetch(sent);
+
+      const result = await client.lookupBatched('5556667777');
+      assert.deepStrictEqual(result, {
+        phone: '5556667777',
+        blacklisted: false,
+        reasons: [],
+        wireless: true,
+        carrier: { name: 'AT&T', state: 'CA', ocn_info: { is_voip: false, carrier: 'AT&T', line_type: 'mobile' } },
+        ocnInfo: { is_voip: false, carrier: 'AT&T', line_type: 'mobile' },
+      });
+
+      global.fetch = originalFetch;
+    });
+
+    it('should flush early when maxSize is reached', async () => {
+      const client = new BlacklistAlliance('test-key', { microBatch: { maxWaitMs: 1000, maxSize: 2 } });
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = mockBulkFetch(sent);
+
+      await Promise.all([
+        client.isBlacklisted('2223334444'),
+        client.isBlacklisted('5556667777'),
+      ]);
+      assert.strictEqual(sent.length, 1);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should reject every caller in a failed batch', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0, microBatch: true });
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        headers: { get: () => 'application/json' },
+        json: async () => ({}),
+      });
+
+      const results = await Promise.allSettled([
+        client.isBlacklisted('2223334444'),
+        client.isBlacklisted('5556667777'),
+      ]);
+      assert.ok(results.every(r => r.status === 'rejected' && r.reason instanceof ServerError));
+
+      global.fetch = originalFetch;
+    });
+
+    it('should drop aborted callers without cancelling the batch', async () => {
+      const client = new BlacklistAlliance('test-key', { microBatch: { maxWaitMs: 20 } });
+      const controller = new AbortController();
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = mockBulkFetch(sent);
+
+      const aborted = client.isBlacklisted('2223334444', { signal: controller.signal });
+      const other = client.isBlacklisted('5556667777');
+      controller.abort();
+
+      await assert.rejects(aborted, /Request aborted/);
+      assert.strictEqual(await other, false);
+      assert.deepStrictEqual(sent[0].phones, ['5556667777']);
+
+      global.fetch = originalFetch;
+    });
+  });
+
+  describe('parallel batches', () => {
+    it('should run batches concurrently and merge in input order', async () => {
+      const client = new BlacklistAlliance('test-key');
+      const phones = Array.from({ length: 12000 }, (_, i) => String(2000000000 + i));
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const progress = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        const batch = JSON.parse(options.body).phones;
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // First batch finishes last
+        await new Promise(resolve => setTimeout(resolve, batch[0] === phones[0] ? 40 : 10));
+        inFlight--;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ([{ status: 'success', numbers: batch.length, count: batch.length, phones: batch, supression: [], wireless: [], reasons: {}, carrier: {} }]),
+        };
+      };
+
+      const result = await client.bulkLookupSimple(phones, {
+        concurrency: 3,
+        onProgress: (info) => progress.push(info),
+      });
+
+      assert.strictEqual(maxInFlight, 3);
+      assert.deepStrictEqual(result.phones, phones);
+      assert.strictEqual(result.numbers, 12000);
+      assert.deepStrictEqual(progress.map(p => p.batch), [2, 3, 1]);
+      assert.deepStrictEqual(progress.map(p => p.completed), [5000, 7000, 12000]);
+      assert.deepStrictEqual(progress.map(p => p.completedBatches), [1, 2, 3]);
+      assert.ok(progress.every(p => p.total === 12000 && p.totalBatches === 3));
+
+      global.fetch = originalFetch;
+    });
+
+    it('should limit emailBulk batches in flight', async () => {
+      const client = new BlacklistAlliance('test-key');
+      const emails = Array.from({ length: 15001 }, (_, i) => `user${i}@test.com`);
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        const batch = JSON.parse(options.body).emails;
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight--;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ good: batch.filter(e => e !== 'user3@test.com') }),
+        };
+      };
+
+      const result = await client.emailBulk(emails, { concurrency: 2 });
+
+      assert.strictEqual(maxInFlight, 2);
+      assert.strictEqual(result.good.length, 15000);
+      assert.deepStrictEqual(result.bad, ['user3@test.com']);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should stop starting batches after a failure', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const phones = Array.from({ length: 20000 }, (_, i) => String(2000000000 + i));
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: false,
+          status: 500,
+          statusText: 'Internal Server Error',
+          headers: { get: () => 'application/json' },
+          json: async () => ({}),
+        };
+      };
+
+      await assert.rejects(
+        () => client.bulkLookup(phones, { concurrency: 2 }),
+        (err) => err instanceof ServerError
+      );
+      assert.strictEqual(fetchCount, 2);
+
+      global.fetch = originalFetch;
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should queue requests beyond the burst', async () => {
+      const client = new BlacklistAlliance('test-key', {
+        rateLimit: { requestsPerSecond: 50, burst: 2 },
+      });
+      const startTimes = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        startTimes.push(Date.now());
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success' }),
+        };
+      };
+
+      const start = Date.now();
+      await Promise.all([
+        client.lookupSingle('2223334444'),
+        client.lookupSingle('2223334445'),
+        client.lookupSingle('2223334446'),
+        client.lookupSingle('2223334447'),
+      ]);
+
+      assert.strictEqual(startTimes.length, 4);
+      // 2 immediately, then one every 20ms
+      assert.ok(startTimes[1] - start < 15);
+      assert.ok(startTimes[3] - start >= 35);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should expose wait time and queue depth to onRequest and logger', async () => {
+      const infos = [];
+      const logs = [];
+      const client = new BlacklistAlliance('test-key', {
+        rateLimit: { requestsPerSecond: 100, burst: 1 },
+        onRequest: (url, info) => infos.push(info.rateLimit),
+        logger: { debug: (msg, meta) => logs.push({ msg, meta }) },
+      });
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ status: 'success' }),
+      });
+
+      await Promise.all([client.lookupSingle('2223334444'), client.lookupSingle('5556667777')]);
+
+      assert.deepStrictEqual(infos.map(i => i.queueDepth).sort(), [0, 0]);
+      assert.ok(infos.some(i => i.waitMs >= 5));
+      assert.ok(logs.some(l => l.msg === 'Rate limit wait' && l.meta.waitMs > 0));
+
+      global.fetch = originalFetch;
+    });
+
+    it('should share one limiter between clients', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1 });
+      const a = new BlacklistAlliance('key-a', { rateLimit: limiter });
+      const b = new BlacklistAlliance('key-b', { rateLimit: limiter });
+      assert.strictEqual(a.rateLimiter, b.rateLimiter);
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => ({
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ status: 'success' }),
+      });
+
+      const start = Date.now();
+      await Promise.all([a.lookupSingle('2223334444'), b.lookupSingle('2223334444')]);
+      assert.ok(Date.now() - start >= 45);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should leave the queue when aborted', async () => {
+      const client = new BlacklistAlliance('test-key', {
+        retries: 3,
+        rateLimit: { requestsPerSecond: 1, burst: 1 },
+      });
+      const controller = new AbortController();
+      let fetchCount = 0;
+
+      const originalFetch = global.fetch;
+      global.fetch = async () => {
+        fetchCount++;
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ status: 'success' }),
+        };
+      };
+
+      await client.lookupSingle('2223334444');
+      const queued = client.lookupSingle('5556667777', { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.strictEqual(client.rateLimiter.queueDepth, 1);
+
+      controller.abort();
+      await assert.rejects(queued, /Request aborted/);
+      assert.strictEqual(client.rateLimiter.queueDepth, 0);
+      assert.strictEqual(fetchCount, 1);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should reject invalid rate limit options', () => {
+      assert.throws(
+        () => new BlacklistAlliance('test-key', { rateLimit: { requestsPerSecond: 0 } }),
+        /requestsPerSecond must be a positive number/
+      );
+    });
+  });
+
+  describe('partial results', () => {
+    const failSecondBatch = (sentBatches) => async (url, options) => {
+      const body = JSON.parse(options.body);
+      const items = body.phones || body.emails;
+      sentBatches.push(items);
+      if (sentBatches.length === 2) {
+        return {
+          ok: false,
+          status: 500,
+          statusText: 'Internal Server Error',
+          headers: { get: () => 'application/json' },
+          json: async () => ({}),
+        };
+      }
+      if (body.emails) {
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ good: items.slice(1) }),
+        };
+      }
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ([{ status: 'success', numbers: items.length, count: items.length, phones: items.slice(1), supression: [items[0]], wireless: [], reasons: { [items[0]]: 'dnc' }, carrier: {} }]),
+      };
+    };
+
+    it('should return successful batches and failedBatches for bulkLookupSimple', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const phones = Array.from({ length: 12000 }, (_, i) => String(2000000000 + i));
+      const sent = [];
+      const progress = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = failSecondBatch(sent);
+
+      const result = await client.bulkLookupSimple(phones, {
+        partial: true,
+        onProgress: (info) => progress.push(info),
+      });
+
+      assert.strictEqual(sent.length, 3);
+      assert.strictEqual(result.numbers, 7000);
+      assert.deepStrictEqual(result.supression, [phones[0], phones[10000]]);
+      assert.strictEqual(result.failedBatches.length, 1);
+      assert.strictEqual(result.failedBatches[0].batch, 2);
+      assert.strictEqual(result.failedBatches[0].offset, 5000);
+      assert.deepStrictEqual(result.failedBatches[0].items, phones.slice(5000, 10000));
+      assert.ok(result.failedBatches[0].error instanceof ServerError);
+      assert.deepStrictEqual(progress.map(p => [p.completed, p.failed]), [[5000, 0], [5000, 5000], [7000, 5000]]);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not count emails from failed batches as bad', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const emails = Array.from({ length: 10001 }, (_, i) => `user${i}@test.com`);
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = failSecondBatch(sent);
+
+      const result = await client.emailBulk(emails, { partial: true });
+
+      assert.deepStrictEqual(result.bad, ['user0@test.com', 'user10000@test.com']);
+      assert.strictEqual(result.good.length, 4999);
+      assert.deepStrictEqual(result.failedBatches.map(b => b.items.length), [5000]);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should return an empty failedBatches list when all batches succeed', async () => {
+      const client = new BlacklistAlliance('test-key', { dryRun: true });
+      const result = await client.bulkLookup(['2223334444'], { partial: true });
+      assert.deepStrictEqual(result.failedBatches, []);
+      assert.deepStrictEqual(result.phones, ['2223334444']);
+    });
+
+    it('should still throw without partial mode', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const phones = Array.from({ length: 12000 }, (_, i) => String(2000000000 + i));
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = failSecondBatch(sent);
+
+      await assert.rejects(() => client.bulkLookupSimple(phones), ServerError);
+      assert.strictEqual(sent.length, 2);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not store phones from failed batches', async () => {
+      const cacheStore = new MemoryCacheStore();
+      const client = new BlacklistAlliance('test-key', { retries: 0, cacheStore });
+      const phones = Array.from({ length: 12000 }, (_, i) => String(2000000000 + i));
+      const sent = [];
+
+      const originalFetch = global.fetch;
+      global.fetch = failSecondBatch(sent);
+
+      const result = await client.bulkLookupSimple(phones, { partial: true });
+      assert.strictEqual(result.failedBatches.length, 1);
+      assert.strictEqual(result.phones.length + result.supression.length, 7000);
+      assert.strictEqual(await cacheStore.get(`bulk:v5:${phones[5000]}`), undefined);
+      assert.ok(await cacheStore.get(`bulk:v5:${phones[0]}`));
+
+      global.fetch = originalFetch;
+    });
+  });
+
+  describe('collecting invalid items', () => {
+    const recordBodies = (bodies) => async (url, options) => {
+      const body = JSON.parse(options.body);
+      bodies.push(body);
+      if (body.emails) {
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ good: body.emails.slice(1) }),
+        };
+      }
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ([{ status: 'success', numbers: body.phones.length, count: body.phones.length, phones: body.phones, supression: [], wireless: [], reasons: {}, carrier: {} }]),
+      };
+    };
+
+    it('should send only valid phones and report invalid ones with index and reason', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const bodies = [];
+      const originalFetch = global.fetch;
+      global.fetch = recordBodies(bodies);
+
+      const result = await client.bulkLookupSimple(
+        ['(222) 333-4444', '12345', '', '555-666-7777', '1234567890123'],
+        { invalid: 'collect' }
+      );
+
+      assert.deepStrictEqual(bodies, [{ phones: ['2223334444', '5556667777'] }]);
+      assert.deepStrictEqual(result.phones, ['2223334444', '5556667777']);
+      assert.deepStrictEqual(result.invalid, [
+        { input: '12345', index: 1, reason: 'too-short' },
+        { input: '', index: 2, reason: 'empty' },
+        { input: '1234567890123', index: 4, reason: 'too-long' },
+      ]);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should use NANP reasons and parsed-phone reasons', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0, phoneValidation: 'nanp' });
+      const bodies = [];
+      const originalFetch = global.fetch;
+      global.fetch = recordBodies(bodies);
+
+      const result = await client.bulkLookup(
+        ['2223334444', '1234567890', client.parsePhone('n/a')],
+        { invalid: 'collect' }
+      );
+
+      assert.deepStrictEqual(bodies, [{ phones: ['2223334444'] }]);
+      assert.deepStrictEqual(result.invalid.map((item) => [item.index, item.reason]), [
+        [1, 'invalid-area-code'],
+        [2, 'not-found'],
+      ]);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should not call the API when every item is invalid', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const originalFetch = global.fetch;
+      global.fetch = async () => { throw new Error('should not be called'); };
+
+      const result = await client.bulkLookupSimple(['123'], { invalid: 'collect', partial: true });
+      assert.deepStrictEqual(result.phones, []);
+      assert.deepStrictEqual(result.failedBatches, []);
+      assert.deepStrictEqual(result.invalid, [{ input: '123', index: 0, reason: 'too-short' }]);
+
+      const emails = await client.emailBulk(['nope'], { invalid: 'collect' });
+      assert.deepStrictEqual(emails, { good: [], bad: [], invalid: [{ input: 'nope', index: 0, reason: 'invalid-format' }] });
+
+      global.fetch = originalFetch;
+    });
+
+    it('should collect invalid emails and hash only the valid ones', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const bodies = [];
+      const originalFetch = global.fetch;
+      global.fetch = recordBodies(bodies);
+
+      const result = await client.emailBulk(
+        [' A@example.com ', 'not-an-email', 'b@example.com'],
+        { invalid: 'collect', hashEmails: true }
+      );
+
+      assert.deepStrictEqual(bodies[0].emails, [client._hashEmail('a@example.com'), client._hashEmail('b@example.com')]);
+      assert.deepStrictEqual(result.bad, [client._hashEmail('a@example.com')]);
+      assert.deepStrictEqual(result.invalid, [{ input: 'not-an-email', index: 1, reason: 'invalid-format' }]);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should require the JSON response format', async () => {
+      const client = new BlacklistAlliance('test-key', { dryRun: true });
+      await assert.rejects(
+        () => client.bulkLookupSimple(['2223334444'], { invalid: 'collect', responseFormat: 'phonecode' }),
+        /requires responseFormat 'json'/
+      );
+    });
+
+    it('should keep throwing on the first invalid item by default', async () => {
+      const client = new BlacklistAlliance('test-key', { dryRun: true });
+      await assert.rejects(
+        () => client.emailBulk(['ok@example.com', 'nope']),
+        (error) => error instanceof ValidationError && error.reason === 'invalid-format'
+      );
+    });
+  });
+
+  describe('deduplication', () => {
+    // Blacklists phones ending in 9 and emails starting with "bad"
+    const recordBodies = (bodies) => async (url, options) => {
+      const body = JSON.parse(options.body);
+      bodies.push(body);
+      if (body.emails) {
+        return {
+          ok: true,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ good: body.emails.filter((e) => !e.startsWith('bad')) }),
+        };
+      }
+      const bad = body.phones.filter((p) => p.endsWith('9'));
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ([{
+          status: 'success',
+          numbers: body.phones.length,
+          count: body.phones.length,
+          phones: body.phones.filter((p) => !bad.includes(p)),
+          supression: bad,
+          wireless: [],
+          reasons: Object.fromEntries(bad.map((p) => [p, 'federal-dnc,tcpa'])),
+          carrier: Object.fromEntries(body.phones.map((p) => [p, { name: 'Carrier' }])),
+        }]),
+      };
+    };
+
+    it('should send each phone once and map results back to every input', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const bodies = [];
+      const originalFetch = global.fetch;
+      global.fetch = recordBodies(bodies);
+
+      const phones = ['(222) 333-4449', '5556667777', '12223334449', '222.333.4449'];
+      const result = await client.bulkLookupSimple(phones, { dedupe: true });
+
+      assert.deepStrictEqual(bodies, [{ phones: ['2223334449', '5556667777'] }]);
+      assert.strictEqual(result.numbers, 2);
+      assert.strictEqual(result.rows.length, 4);
+      assert.deepStrictEqual(result.rows.map((row) => [row.index, row.input, row.phone, row.blacklisted]), [
+        [0, '(222) 333-4449', '2223334449', true],
+        [1, '5556667777', '5556667777', false],
+        [2, '12223334449', '2223334449', true],
+        [3, '222.333.4449', '2223334449', true],
+      ]);
+      assert.deepStrictEqual(result.rows[2].reasons, ['federal-dnc', 'tcpa']);
+      assert.deepStrictEqual(result.rows[3].carrier, { name: 'Carrier' });
+
+      global.fetch = originalFetch;
+    });
+
+    it('should combine with invalid: collect and leave invalid rows null', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const bodies = [];
+      const originalFetch = global.fetch;
+      global.fetch = recordBodies(bodies);
+
+      const result = await client.bulkLookup(['2223334444', 'n/a', '+1 222 333 4444'], {
+        dedupe: true,
+        invalid: 'collect',
+      });
+
+      assert.deepStrictEqual(bodies, [{ phones: ['2223334444'] }]);
+      assert.strictEqual(result.rows[1], null);
+      assert.deepStrictEqual(result.rows.map((row) => row && row.phone), ['2223334444', null, '2223334444']);
+      assert.deepStrictEqual(result.invalid, [{ input: 'n/a', index: 1, reason: 'empty' }]);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should throw on invalid phones without invalid: collect', async () => {
+      const client = new BlacklistAlliance('test-key', { dryRun: true });
+      await assert.rejects(
+        () => client.bulkLookupSimple(['2223334444', '123'], { dedupe: true }),
+        (error) => error instanceof ValidationError && error.reason === 'too-short'
+      );
+      await assert.rejects(
+        () => client.bulkLookupSimple(['2223334444'], { dedupe: true, responseFormat: 'phonecode' }),
+        /dedupe requires responseFormat 'json'/
+      );
+    });
+
+    it('should leave rows of failed batches null in partial mode', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const phones = Array.from({ length: 6000 }, (_, i) => String(2000000000 + (i % 5500)));
+      let calls = 0;
+
+      const originalFetch = global.fetch;
+      const bodies = [];
+      const succeed = recordBodies(bodies);
+      global.fetch = async (url, options) => {
+        calls++;
+        if (calls === 2) {
+          return {
+            ok: false,
+            status: 500,
+            statusText: 'Internal Server Error',
+            headers: { get: () => 'application/json' },
+            json: async () => ({}),
+          };
+        }
+        return succeed(url, options);
+      };
+
+      const result = await client.bulkLookupSimple(phones, { dedupe: true, partial: true });
+
+      assert.strictEqual(calls, 2);
+      assert.deepStrictEqual(bodies.map((b) => b.phones.length), [5000]);
+      assert.strictEqual(result.failedBatches[0].items.length, 500);
+      assert.strictEqual(result.rows[5500].phone, '2000000000');
+      assert.strictEqual(result.rows[5499], null);
+      assert.strictEqual(result.rows[5999].phone, '2000000499');
+
+      global.fetch = originalFetch;
+    });
+
+    it('should dedupe emails case-insensitively, hashed or not', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const bodies = [];
+      const originalFetch = global.fetch;
+      global.fetch = recordBodies(bodies);
+
+      const result = await client.emailBulk(['Bad@Example.com', 'ok@example.com', ' bad@example.com'], { dedupe: true });
+      assert.deepStrictEqual(bodies[0], { emails: ['bad@example.com', 'ok@example.com'] });
+      assert.deepStrictEqual(result.rows.map((row) => [row.input, row.email, row.blacklisted]), [
+        ['Bad@Example.com', 'bad@example.com', true],
+        ['ok@example.com', 'ok@example.com', false],
+        [' bad@example.com', 'bad@example.com', true],
+      ]);
+
+      const hashed = await client.emailBulk(['A@example.com', 'a@example.com'], { dedupe: true, hashEmails: true });
+      assert.deepStrictEqual(bodies[1], { emails: [client._hashEmail('a@example.com')] });
+      assert.deepStrictEqual(hashed.rows.map((row) => row.email), [client._hashEmail('a@example.com'), client._hashEmail('a@example.com')]);
+
+      global.fetch = originalFetch;
+    });
+  });
+
+  describe('byPhone result shape', () => {
+    const respondWith = (body) => async () => ({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      json: async () => body,
+    });
+
+    it('should return a Map of phone to per-phone results', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const originalFetch = global.fetch;
+      global.fetch = respondWith([{
+        status: 'success',
+        numbers: 2,
+        count: 2,
+        phones: ['5556667777'],
+        supression: ['2223334444'],
+        wireless: ['5556667777'],
+        reasons: { 2223334444: 'prelitigation1,federal-dnc' },
+        carrier: { 5556667777: { name: 'AT&T', ocn_info: { is_voip: false } } },
+      }]);
+
+      const byPhone = await client.bulkLookupSimple([client.parsePhone('222-333-4444'), '5556667777'], { shape: 'byPhone' });
+
+      assert.ok(byPhone instanceof Map);
+      assert.deepStrictEqual([...byPhone.keys()], ['2223334444', '5556667777']);
+      assert.deepStrictEqual(byPhone.get('2223334444'), {
+        phone: '2223334444',
+        blacklisted: true,
+        reasons: ['prelitigation1', 'federal-dnc'],
+        wireless: false,
+        carrier: null,
+        ocnInfo: null,
+      });
+      assert.strictEqual(byPhone.get('5556667777').wireless, true);
+      assert.deepStrictEqual(byPhone.get('5556667777').ocnInfo, { is_voip: false });
+
+      global.fetch = originalFetch;
+    });
+
+    it('should give the same view for older API versions', async () => {
+      const client = new BlacklistAlliance('test-key', { retries: 0 });
+      const originalFetch = global.fetch;
+      // Numeric phones, no wireless list, carrier marks wireless
+      global.fetch = respondWith({
+        status: 'success',
+        phones: [5556667777],
+        supression: [2223334444],
+        reasons: { 2223334444: 'tcpa' },
+        carrier: { 5556667777: { name: 'Verizon', wireless: 'Y' } },
+      });
+
+      const byPhone = await client.bulkLookup(['2223334444', '5556667777'], { shape: 'byPhone', version: 'v1' });
+
+      assert.deepStrictEqual(byPhone.get('2223334444').reasons, ['tcpa']);
+      assert.strictEqual(byPhone.get('2223334444').blacklisted, true);
+      assert.strictEqual(byPhone.get('5556667777').wireless, true);
+      assert.strictEqual(byPhone.get('5556667777').blacklisted, false);
+
+      global.fetch = originalFetch;
+    });
+
+    it('should reject unsupported combinations and unknown shapes', async () => {
+      const client = new BlacklistAlliance('test-key', { dryRun: true });
+      await assert.rejects(() => client.bulkLookupSimple(['2223334444'], { shape: 'byPhone', partial: true }), /use toPhoneMap/);
+      await assert.rejects(() => client.bulkLookupSimple(['2223334444'], { shape: 'byPhone', responseFormat: 'phonecode' }), /requires responseFormat 'json'/);
+      await assert.rejects(() => client.bulkLookup(['2223334444'], { shape: 'rows' }), /Unknown result shape: rows/);
+    });
+
+    it('should build the same Map from an existing result with toPhoneMap', () => {
+      const client = new BlacklistAlliance('test-key');
+      const map = client.toPhoneMap({ phones: ['5556667777'], supression: ['2223334444'], reasons: { 2223334444: 'dnc' } });
+      assert.deepStrictEqual([...map.keys()], ['5556667777', '2223334444']);
+      assert.deepStrictEqual(map.get('2223334444').reasons, ['dnc']);
+      assert.strictEqual(client.toPhoneMap({}, ['2223334444']).get('2223334444').blacklisted, false);
+    });
+  });
+
   describe('circuit breaker', () => {
     it('should open circuit after threshold failures', async () => {
       const client = new BlacklistAlliance('test-key', {
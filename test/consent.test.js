@@ -0,0 +1,198 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { BlacklistAlliance, ConsentList, ValidationError } = require('../src');
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+const future = '2099-01-01T00:00:00.000Z';
+
+describe('ConsentList', () => {
+  it('should match phones in any format and emails as address or hash', () => {
+    const list = new ConsentList([
+      { value: '+1 (222) 333-4444', codes: ['federal-dnc'], basis: 'express-consent' },
+      { value: 'Customer@Example.com', codes: '*' },
+    ]);
+
+    assert.strictEqual(list.size, 2);
+    assert.strictEqual(list.get('12223334444').basis, 'express-consent');
+    assert.ok(list.get(md5('customer@example.com')));
+    assert.strictEqual(list.get('5556667777'), null);
+  });
+
+  it('should split codes into overridden and remaining', () => {
+    const list = new ConsentList([
+      { value: '2223334444', codes: ['Federal-DNC'] },
+      { value: '5556667777', codes: '*' },
+    ]);
+
+    assert.deepStrictEqual(list.match('2223334444', ['federal-dnc', 'litigator']).remaining, ['litigator']);
+    assert.strictEqual(list.match('2223334444', ['litigator']), null);
+    // '*' never overrides a local opt-out
+    const all = list.match('5556667777', ['tcpa', 'internal']);
+    assert.deepStrictEqual([all.overridden, all.remaining], [['tcpa'], ['internal']]);
+  });
+
+  it('should ignore and prune expired entries', () => {
+    const list = new ConsentList([
+      { value: '2223334444', codes: '*', expiresAt: '2020-01-01' },
+      { value: '5556667777', codes: '*', expiresAt: future },
+    ]);
+
+    assert.strictEqual(list.get('2223334444'), null);
+    assert.ok(list.get('2223334444', new Date('2019-06-01')));
+    assert.strictEqual(list.prune(), 1);
+    assert.strictEqual(list.size, 1);
+    assert.strictEqual(list.remove(['5556667777', 'bogus']), 1);
+  });
+
+  it('should reject malformed entries', () => {
+    assert.throws(() => new ConsentList([{ value: '123', codes: '*' }]), ValidationError);
+    assert.throws(() => new ConsentList([{ value: '2223334444', codes: [] }]), /needs codes/);
+    assert.throws(() => new ConsentList([{ value: '2223334444', codes: '*', expiresAt: 'soon' }]), /invalid expiresAt/);
+  });
+});
+
+describe('consentOverrides option', () => {
+  let originalFetch;
+  let requests;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    requests = [];
+    global.fetch = async (url, options) => {
+      const body = options?.body ? JSON.parse(options.body) : null;
+      requests.push({ url, body });
+      let json;
+      if (body?.emails) {
+        // Hashed emails are always flagged
+        json = { good: body.emails.filter((email) => !email.startsWith('flagged') && !/^[a-f0-9]{32}$/.test(email)) };
+      } else if (body?.phones) {
+        json = [
+          {
+            status: 'success',
+            numbers: body.phones.length,
+            count: body.phones.length,
+            phones: [],
+            supression: body.phones,
+            wireless: [],
+            reasons: Object.fromEntries(body.phones.map((phone) => [phone, 'federal-dnc,tcpa'])),
+            carrier: {},
+          },
+        ];
+      } else {
+        json = { status: 'success', message: 'Blacklisted', code: 'federal-dnc', phone: '2223334444', results: 1 };
+      }
+      return { ok: true, headers: { get: () => 'application/json' }, json: async () => json };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should clear fully overridden single lookups and mark them', async () => {
+    const client = new BlacklistAlliance('test-key', {
+      retries: 0,
+      consentOverrides: [{ value: '2223334444', codes: ['federal-dnc'], basis: 'ebr', expiresAt: future }],
+    });
+
+    assert.deepStrictEqual(await client.lookupSingle('2223334444'), {
+      status: 'success',
+      message: 'Good',
+      code: 'none',
+      phone: '2223334444',
+      results: 0,
+      override: {
+        codes: ['federal-dnc'],
+        basis: 'ebr',
+        note: null,
+        expiresAt: future,
+        originalMessage: 'Blacklisted',
+        originalCode: 'federal-dnc',
+      },
+    });
+    assert.strictEqual(await client.isBlacklisted('2223334444'), false);
+
+    const normalized = await client.lookup('2223334444', { normalize: true });
+    assert.strictEqual(normalized.blacklisted, false);
+    assert.deepStrictEqual(normalized.override.codes, ['federal-dnc']);
+
+    assert.strictEqual((await client.lookupSingle('2223334444', { consentOverrides: false })).message, 'Blacklisted');
+  });
+
+  it('should keep codes the entry does not allow', async () => {
+    const client = new BlacklistAlliance('test-key', {
+      retries: 0,
+      consentOverrides: [{ value: '2223334444', codes: ['federal-dnc'] }],
+    });
+
+    const result = await client.bulkLookupSimple(['2223334444', '5556667777']);
+    assert.deepStrictEqual(result[0].supression, ['2223334444', '5556667777']);
+    assert.deepStrictEqual(result[0].reasons, { 2223334444: 'tcpa', 5556667777: 'federal-dnc,tcpa' });
+    assert.deepStrictEqual(result[0].overrides['2223334444'].codes, ['federal-dnc']);
+    assert.strictEqual(result[0].overrides['2223334444'].originalReasons, 'federal-dnc,tcpa');
+  });
+
+  it('should move fully overridden phones to phones in bulk results', async () => {
+    const client = new BlacklistAlliance('test-key', {
+      retries: 0,
+      consentOverrides: [{ value: '2223334444', codes: '*' }],
+    });
+
+    const result = await client.bulkLookup(['2223334444', '5556667777'], { partial: true });
+    assert.deepStrictEqual(result.phones, ['2223334444']);
+    assert.deepStrictEqual(result.supression, ['5556667777']);
+    assert.deepStrictEqual(Object.keys(result.reasons), ['5556667777']);
+    assert.deepStrictEqual(result.failedBatches, []);
+
+    const byPhone = await client.bulkLookupSimple(['2223334444', '5556667777'], { shape: 'byPhone' });
+    assert.strictEqual(byPhone.get('2223334444').blacklisted, false);
+    assert.deepStrictEqual(byPhone.get('2223334444').override.codes, ['federal-dnc', 'tcpa']);
+    assert.strictEqual(byPhone.get('5556667777').override, undefined);
+
+    const deduped = await client.bulkLookupSimple(['2223334444', '12223334444'], { dedupe: true, normalize: true });
+    assert.deepStrictEqual(deduped.clean, ['2223334444']);
+    assert.ok(deduped.overrides['2223334444']);
+    assert.deepStrictEqual(deduped.rows.map((row) => row.blacklisted), [false, false]);
+  });
+
+  it('should not override the internal reason unless listed', async () => {
+    const client = new BlacklistAlliance('test-key', {
+      retries: 0,
+      localSuppression: ['2223334444', '5556667777'],
+      consentOverrides: [
+        { value: '2223334444', codes: '*' },
+        { value: '5556667777', codes: ['internal'] },
+      ],
+    });
+
+    assert.strictEqual((await client.lookupSingle('2223334444')).code, 'internal');
+    const result = await client.bulkLookupSimple(['2223334444', '5556667777']);
+    assert.deepStrictEqual(result.supression, ['2223334444']);
+    assert.deepStrictEqual(result.phones, ['5556667777']);
+    assert.strictEqual(requests.length, 0);
+  });
+
+  it('should move overridden emails from bad to good', async () => {
+    const client = new BlacklistAlliance('test-key', {
+      retries: 0,
+      localSuppression: ['flagged.local@example.com'],
+      consentOverrides: [
+        { value: 'flagged.api@example.com', codes: '*', note: 'signed form' },
+        { value: 'flagged.local@example.com', codes: ['internal'] },
+        { value: 'flagged.other@example.com', codes: ['federal-dnc'] },
+      ],
+    });
+
+    const emails = ['ok@example.com', 'flagged.api@example.com', 'flagged.local@example.com', 'flagged.other@example.com'];
+    const result = await client.emailBulk(emails);
+    assert.deepStrictEqual(result.good, ['ok@example.com', 'flagged.api@example.com', 'flagged.local@example.com']);
+    assert.deepStrictEqual(result.bad, ['flagged.other@example.com']);
+    assert.deepStrictEqual(result.reasons, {});
+    assert.strictEqual(result.overrides['flagged.api@example.com'].note, 'signed form');
+    assert.strictEqual(result.overrides['flagged.local@example.com'].originalReasons, 'internal');
+
+    const hashed = await client.emailBulk(['flagged.api@example.com'], { hashEmails: true, localSuppression: false });
+    assert.deepStrictEqual(Object.keys(hashed.overrides), [md5('flagged.api@example.com')]);
+  });
+});
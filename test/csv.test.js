@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlacklistAlliance, ValidationError } = require('../src');
+const { parseCsv, formatCsvRow } = require('../src/csv');
+
+describe('scrubCsv', () => {
+  let dir;
+  let originalFetch;
+  let requests;
+
+  // Blacklists phones ending in 9 and emails starting with "bad"
+  const mockFetch = async (url, options) => {
+    const body = JSON.parse(options.body);
+    requests.push(body);
+    if (body.emails) {
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ good: body.emails.filter((e) => !e.startsWith('bad')) }),
+      };
+    }
+    const bad = body.phones.filter((p) => p.endsWith('9'));
+    return {
+      ok: true,
+      headers: { get: () => 'application/json' },
+      json: async () => ([{
+        status: 'success',
+        numbers: body.phones.length,
+        count: body.phones.length,
+        phones: body.phones.filter((p) => !bad.includes(p)),
+        supression: bad,
+        wireless: body.phones.filter((p) => p.startsWith('5')),
+        reasons: Object.fromEntries(bad.map((p) => [p, 'prelitigation1,federal-dnc'])),
+        carrier: Object.fromEntries(body.phones.map((p) => [p, { name: 'AT&T, Inc.' }])),
+      }]),
+    };
+  };
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+  const read = (name) => fs.readFileSync(path.join(dir, name), 'utf8');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ba-csv-'));
+    originalFetch = global.fetch;
+    global.fetch = mockFetch;
+    requests = [];
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should split rows into clean and suppressed files with added columns', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const input = write('leads.csv', [
+      'Name,Phone,Notes',
+      'Alice,(222) 333-4444,"likes ""quotes"", commas"',
+      'Bob,555-666-7779,"multi',
+      'line"',
+      '',
+    ].join('\r\n'));
+
+    const summary = await client.scrubCsv(input, { phoneColumn: 'phone' });
+
+    assert.deepStrictEqual(requests, [{ phones: ['2223334444', '5556667779'] }]);
+    assert.strictEqual(summary.total, 2);
+    assert.strictEqual(summary.clean, 1);
+    assert.strictEqual(summary.suppressed, 1);
+    assert.strictEqual(summary.outputs.clean, path.join(dir, 'clean.csv'));
+
+    assert.strictEqual(read('clean.csv'), [
+      'Name,Phone,Notes,blacklist_reasons,wireless,carrier',
+      'Alice,(222) 333-4444,"likes ""quotes"", commas",,N,"AT&T, Inc."',
+      '',
+    ].join('\n'));
+    assert.strictEqual(read('suppressed.csv'), [
+      'Name,Phone,Notes,blacklist_reasons,wireless,carrier',
+      'Bob,555-666-7779,"multi\r\nline","prelitigation1,federal-dnc",Y,"AT&T, Inc."',
+      '',
+    ].join('\n'));
+  });
+
+  it('should detect a missing header when columns are given by index', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const input = write('leads.csv', '2223334444,a\n2223334449,b\n');
+    const outputs = { clean: path.join(dir, 'out', 'ok.csv'), suppressed: path.join(dir, 'out', 'dnc.csv') };
+
+    const summary = await client.scrubCsv(input, { phoneColumn: 0, outputs });
+
+    assert.strictEqual(summary.total, 2);
+    assert.strictEqual(fs.readFileSync(outputs.clean, 'utf8'), '2223334444,a,,N,"AT&T, Inc."\n');
+    assert.strictEqual(fs.readFileSync(outputs.suppressed, 'utf8').split(',')[0], '2223334449');
+  });
+
+  it('should treat a non-phone first row as a header when columns are given by index', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const input = write('leads.csv', 'phone_number\n2223334444\n');
+
+    const summary = await client.scrubCsv(input, { phoneColumn: 0 });
+
+    assert.strictEqual(summary.total, 1);
+    assert.match(read('clean.csv'), /^phone_number,blacklist_reasons,wireless,carrier\n2223334444,/);
+  });
+
+  it('should suppress rows without a valid phone as invalid', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const input = write('leads.csv', 'name,phone\na,2223334444\nb,12345\nc,\n');
+
+    const summary = await client.scrubCsv(input, { phoneColumn: 'phone' });
+
+    assert.strictEqual(summary.clean, 1);
+    assert.strictEqual(summary.suppressed, 2);
+    assert.strictEqual(summary.invalid, 2);
+    assert.strictEqual(read('suppressed.csv').split('\n')[1], 'b,12345,invalid,,');
+    assert.deepStrictEqual(requests, [{ phones: ['2223334444'] }]);
+  });
+
+  it('should check the email column and add an email_blacklisted column', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const input = write('leads.csv', 'phone,email\n2223334444,ok@example.com\n2223334445,bad@example.com\n');
+
+    const summary = await client.scrubCsv(input, { phoneColumn: 'phone', emailColumn: 'email' });
+
+    assert.strictEqual(summary.clean, 1);
+    assert.strictEqual(summary.suppressed, 1);
+    assert.match(read('clean.csv'), /^phone,email,blacklist_reasons,wireless,carrier,email_blacklisted\n/);
+    assert.strictEqual(read('suppressed.csv').split('\n')[1], '2223334445,bad@example.com,,N,"AT&T, Inc.",Y');
+  });
+
+  it('should batch rows and report progress', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const lines = ['phone'];
+    for (let i = 0; i < 25; i++) lines.push(String(2000000000 + i));
+    const input = write('leads.csv', lines.join('\n'));
+    const progress = [];
+
+    const summary = await client.scrubCsv(input, {
+      phoneColumn: 'phone',
+      batchSize: 10,
+      onProgress: (info) => progress.push(info),
+    });
+
+    assert.deepStrictEqual(requests.map((r) => r.phones.length), [10, 10, 5]);
+    assert.strictEqual(summary.total, 25);
+    assert.deepStrictEqual(progress, [{ rows: 25, clean: 23, suppressed: 2 }]);
+  });
+
+  it('should reject unknown columns and missing column options', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const input = write('leads.csv', 'name,phone\na,2223334444\n');
+
+    await assert.rejects(() => client.scrubCsv(input, { phoneColumn: 'mobile' }), ValidationError);
+    await assert.rejects(() => client.scrubCsv(input, {}), /phoneColumn or emailColumn is required/);
+  });
+
+  it('should parse quoted fields split across chunks', async () => {
+    async function* chunks() {
+      yield '﻿a,"b ""x';
+      yield '"", c",d\r';
+      yield '\ne,f';
+    }
+
+    const rows = [];
+    for await (const row of parseCsv(chunks(), ',')) rows.push(row);
+
+    assert.deepStrictEqual(rows, [['a', 'b "x", c', 'd'], ['e', 'f']]);
+    assert.strictEqual(formatCsvRow(rows[0], ','), 'a,"b ""x"", c",d\n');
+  });
+});
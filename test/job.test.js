@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlacklistAlliance, ServerError, ValidationError } = require('../src');
+
+describe('ScrubJob', () => {
+  const phones = Array.from({ length: 12000 }, (_, i) => String(2000000000 + i));
+  let dir;
+  let checkpointPath;
+  let originalFetch;
+
+  const bulkFetch = (sent, failOn) => async (url, options) => {
+    const batch = JSON.parse(options.body).phones;
+    sent.push(batch[0]);
+    if (failOn && failOn(batch)) {
+      return {
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        headers: { get: () => 'application/json' },
+        json: async () => ({}),
+      };
+    }
+    return {
+      ok: true,
+      headers: { get: () => 'application/json' },
+      json: async () => ([{
+        status: 'success',
+        numbers: batch.length,
+        count: batch.length,
+        phones: batch.filter((p, i) => i % 2),
+        supression: batch.filter((p, i) => !(i % 2)),
+        wireless: [],
+        reasons: { [batch[0]]: 'federal-dnc' },
+        carrier: {},
+      }]),
+    };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bla-job-'));
+    checkpointPath = path.join(dir, 'scrub.ckpt');
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require a checkpoint path and items', () => {
+    const client = new BlacklistAlliance('test-key');
+    assert.throws(() => client.createScrubJob(phones, {}), /checkpointPath is required/);
+    assert.throws(() => client.createScrubJob([], { checkpointPath }), ValidationError);
+  });
+
+  it('should produce the same output as bulkLookupSimple and remove the checkpoint', async () => {
+    const client = new BlacklistAlliance('test-key');
+    global.fetch = bulkFetch([]);
+
+    const expected = await client.bulkLookupSimple(phones);
+    const result = await client.createScrubJob(phones, { checkpointPath }).run();
+
+    assert.deepStrictEqual(result, expected);
+    assert.strictEqual(fs.existsSync(checkpointPath), false);
+  });
+
+  it('should resume from the last checkpoint after a failure', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const sent = [];
+    global.fetch = bulkFetch(sent, (batch) => batch[0] === phones[5000]);
+
+    await assert.rejects(() => client.createScrubJob(phones, { checkpointPath }).run(), ServerError);
+    assert.deepStrictEqual(sent, [phones[0], phones[5000]]);
+
+    const lines = fs.readFileSync(checkpointPath, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.deepStrictEqual(Object.keys(JSON.parse(lines[1])), ['batch', 'result']);
+    assert.strictEqual(JSON.parse(lines[1]).batch, 0);
+
+    // "Restart": new client, same items and checkpoint
+    sent.length = 0;
+    global.fetch = bulkFetch(sent);
+    const progress = [];
+    const job = new BlacklistAlliance('test-key').createScrubJob(phones, {
+      checkpointPath,
+      onProgress: (info) => progress.push(info),
+    });
+    const result = await job.run();
+
+    assert.deepStrictEqual(sent, [phones[5000], phones[10000]]);
+    assert.strictEqual(job.resumedBatches, 1);
+    assert.deepStrictEqual(progress.map(p => p.completed), [10000, 12000]);
+    assert.deepStrictEqual(progress.map(p => p.completedBatches), [2, 3]);
+
+    const expected = await new BlacklistAlliance('test-key').bulkLookupSimple(phones);
+    assert.deepStrictEqual(result, expected);
+  });
+
+  it('should ignore a truncated last checkpoint line', async () => {
+    const client = new BlacklistAlliance('test-key');
+    const sent = [];
+    global.fetch = bulkFetch(sent);
+
+    await client.createScrubJob(phones, { checkpointPath, keepCheckpoint: true }).run();
+    const lines = fs.readFileSync(checkpointPath, 'utf8').split('\n');
+    // Keep header + first batch, then a half-written second batch
+    fs.writeFileSync(checkpointPath, `${lines[0]}\n${lines[1]}\n${lines[2].slice(0, 50)}`);
+
+    sent.length = 0;
+    const result = await client.createScrubJob(phones, { checkpointPath }).run();
+    assert.deepStrictEqual(sent, [phones[5000], phones[10000]]);
+    assert.strictEqual(result.numbers, 12000);
+  });
+
+  it('should start over when the header line was cut short', async () => {
+    const client = new BlacklistAlliance('test-key');
+    const sent = [];
+    global.fetch = bulkFetch(sent);
+
+    fs.writeFileSync(checkpointPath, '{"type":"hea');
+    const result = await client.createScrubJob(phones, { checkpointPath, keepCheckpoint: true }).run();
+    assert.deepStrictEqual(sent, [phones[0], phones[5000], phones[10000]]);
+    assert.strictEqual(result.numbers, 12000);
+    assert.strictEqual(JSON.parse(fs.readFileSync(checkpointPath, 'utf8').split('\n')[0]).type, 'header');
+  });
+
+  it('should refuse a checkpoint from a different list', async () => {
+    const client = new BlacklistAlliance('test-key');
+    global.fetch = bulkFetch([]);
+
+    await client.createScrubJob(phones, { checkpointPath, keepCheckpoint: true }).run();
+    await assert.rejects(
+      () => client.createScrubJob(phones.slice(1), { checkpointPath }).run(),
+      /belongs to a different item list/
+    );
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { BlacklistAlliance, normalizeLookupResult, normalizeBulkResult } = require('../src');
+
+const v1Lookup = {
+  sid: 'abc123',
+  status: 'success',
+  message: 'Blacklisted',
+  code: 'prelitigation1,federal-dnc',
+  offset: 0,
+  wireless: 0,
+  phone: '2223334444',
+  results: 1,
+  time: 0.01,
+  scrubs: true,
+};
+
+const v5Lookup = {
+  ...v1Lookup,
+  message: 'Good',
+  code: 'none',
+  wireless: 1,
+  results: 0,
+  carrier: {
+    did: '2223334444',
+    type: 'WIRELESS',
+    name: 'AT&T Mobility',
+    state: 'NY',
+    ratecenter: 'NEW YORK',
+    country: 'US',
+    clli: 'NYCMNY',
+    lata: 132,
+    wireless: 'Y',
+    lrn: '2223330000',
+    npa: 222,
+    nxx: 333,
+    nxxx: 3334,
+    ocn: 6214,
+    port_type: 'NONE',
+  },
+  ocn_info: { is_voip: false, carrier: 'AT&T', line_type: 'mobile' },
+};
+
+const v5Bulk = [
+  {
+    status: 'success',
+    numbers: 2,
+    count: 2,
+    phones: ['2223334444'],
+    supression: ['5556667777'],
+    wireless: ['2223334444'],
+    reasons: { 5556667777: 'federal-dnc, tcpa' },
+    carrier: { 2223334444: { name: 'Verizon', wireless: 'Y', ocn_info: { is_voip: 'true' } } },
+  },
+];
+
+describe('normalizeLookupResult', () => {
+  it('should map a v1 result and leave carrier and ocnInfo undefined', () => {
+    assert.deepStrictEqual(normalizeLookupResult(v1Lookup, 'v1'), {
+      version: 'v1',
+      phone: '2223334444',
+      blacklisted: true,
+      reasons: ['prelitigation1', 'federal-dnc'],
+      wireless: false,
+      carrier: undefined,
+      ocnInfo: undefined,
+      status: 'success',
+      message: 'Blacklisted',
+      sid: 'abc123',
+      offset: 0,
+      time: 0.01,
+      scrubs: true,
+    });
+  });
+
+  it('should map v5 carrier and OCN fields to camelCase with boolean flags', () => {
+    const result = normalizeLookupResult(v5Lookup, 'v5');
+    assert.strictEqual(result.blacklisted, false);
+    assert.deepStrictEqual(result.reasons, []);
+    assert.strictEqual(result.wireless, true);
+    assert.deepStrictEqual(result.carrier, {
+      did: '2223334444',
+      type: 'WIRELESS',
+      name: 'AT&T Mobility',
+      state: 'NY',
+      rateCenter: 'NEW YORK',
+      country: 'US',
+      clli: 'NYCMNY',
+      lata: '132',
+      wireless: true,
+      lrn: '2223330000',
+      npa: '222',
+      nxx: '333',
+      nxxx: '3334',
+      ocn: '6214',
+      portType: 'NONE',
+    });
+    assert.deepStrictEqual(result.ocnInfo, { isVoip: false, carrier: 'AT&T', lineType: 'mobile' });
+  });
+
+  it('should treat missing fields as undefined, not false', () => {
+    const result = normalizeLookupResult({ message: 'Good' }, 'v2');
+    assert.strictEqual(result.blacklisted, false);
+    assert.strictEqual(result.wireless, undefined);
+    assert.strictEqual(result.scrubs, undefined);
+    assert.strictEqual(result.phone, undefined);
+  });
+});
+
+describe('normalizeBulkResult', () => {
+  it('should unwrap, rename counts and build per-phone results', () => {
+    const result = normalizeBulkResult(v5Bulk, 'v5');
+    assert.strictEqual(result.submitted, 2);
+    assert.strictEqual(result.processed, 2);
+    assert.deepStrictEqual(result.clean, ['2223334444']);
+    assert.deepStrictEqual(result.suppressed, ['5556667777']);
+    assert.deepStrictEqual(
+      result.results.map((r) => [r.phone, r.blacklisted, r.reasons, r.wireless]),
+      [
+        ['2223334444', false, [], true],
+        ['5556667777', true, ['federal-dnc', 'tcpa'], false],
+      ]
+    );
+    assert.strictEqual(result.results[0].carrier.name, 'Verizon');
+    assert.strictEqual(result.results[0].ocnInfo.isVoip, true);
+  });
+
+  it('should leave wireless undefined when the version does not report it', () => {
+    const result = normalizeBulkResult({ status: 'success', phones: ['2223334444'], supression: [] }, 'v1');
+    assert.strictEqual(result.results[0].wireless, undefined);
+    assert.strictEqual(result.results[0].carrier, undefined);
+  });
+
+  it('should count phones whose carrier is marked wireless', () => {
+    const result = normalizeBulkResult({ ...v5Bulk[0], wireless: [], carrier: { 5556667777: { wireless: 'Y' } } }, 'v5');
+    assert.deepStrictEqual(result.results.map((r) => r.wireless), [false, true]);
+  });
+});
+
+describe('normalizeResults option', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    global.fetch = async (url, options) => {
+      const body = options?.body ? JSON.parse(options.body) : null;
+      const json = body
+        ? [{ ...v5Bulk[0], numbers: body.phones.length, count: body.phones.length }]
+        : v1Lookup;
+      return { ok: true, headers: { get: () => 'application/json' }, json: async () => json };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should return API results unless enabled', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    assert.deepStrictEqual(await client.lookupSingle('2223334444'), v1Lookup);
+    assert.strictEqual((await client.lookupSingle('2223334444', { normalize: true })).blacklisted, true);
+  });
+
+  it('should normalize single and bulk results client-wide', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0, normalizeResults: true, defaultVersion: 'v3' });
+
+    const single = await client.lookup('2223334444');
+    assert.strictEqual(single.version, 'v3');
+    assert.deepStrictEqual(single.reasons, ['prelitigation1', 'federal-dnc']);
+
+    const bulk = await client.bulkLookupSimple(['2223334444', '5556667777']);
+    assert.deepStrictEqual(bulk.suppressed, ['5556667777']);
+
+    assert.deepStrictEqual(await client.lookupSingle('2223334444', { normalize: false }), v1Lookup);
+    assert.strictEqual(await client.isBlacklisted('2223334444'), true);
+  });
+
+  it('should normalize byPhone values, dedupe rows and keep invalid items', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0, normalizeResults: true });
+
+    const byPhone = await client.bulkLookup(['5556667777'], { shape: 'byPhone' });
+    assert.deepStrictEqual(byPhone.get('5556667777').reasons, ['federal-dnc', 'tcpa']);
+    assert.strictEqual(byPhone.get('5556667777').ocnInfo, undefined);
+
+    const result = await client.bulkLookupSimple(['5556667777', '123', '15556667777'], {
+      invalid: 'collect',
+      dedupe: true,
+    });
+    assert.deepStrictEqual(result.invalid, [{ input: '123', index: 1, reason: 'too-short' }]);
+    assert.strictEqual(result.rows[1], null);
+    assert.strictEqual(result.rows[2].index, 2);
+    assert.strictEqual(result.rows[2].input, '15556667777');
+    assert.strictEqual(result.rows[2].blacklisted, true);
+    assert.ok(!('supression' in result.rows[2]));
+  });
+
+  it('should leave v1 wireless undefined however many batches there are', async () => {
+    global.fetch = async (url, options) => {
+      const { phones } = JSON.parse(options.body);
+      const json = [{ status: 'success', numbers: phones.length, count: phones.length, phones, supression: [] }];
+      return { ok: true, headers: { get: () => 'application/json' }, json: async () => json };
+    };
+    const client = new BlacklistAlliance('test-key', { retries: 0, normalizeResults: true, defaultVersion: 'v1' });
+    const phones = Array.from({ length: 5001 }, (_, i) => String(2000000000 + i));
+
+    const single = await client.bulkLookupSimple(phones.slice(0, 2));
+    assert.deepStrictEqual(single.results.map((r) => r.wireless), [undefined, undefined]);
+    // Two batches: the merged result has a wireless list, but v1 still reports nothing
+    const batched = await client.bulkLookupSimple(phones);
+    assert.ok(batched.results.every((r) => r.wireless === undefined));
+
+    const byPhone = await client.bulkLookupSimple(phones, { shape: 'byPhone' });
+    assert.strictEqual(byPhone.get(phones[5000]).wireless, undefined);
+  });
+});
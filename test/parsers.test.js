@@ -0,0 +1,249 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  BlacklistAlliance,
+  BlacklistAllianceError,
+  ServerError,
+  parsePhonecode,
+  parseLookupResponse,
+} = require('../src');
+const { mergePhonecode } = require('../src/parsers');
+
+describe('parsePhonecode', () => {
+  it('should parse phone:code lines into a bulk result', () => {
+    assert.deepStrictEqual(parsePhonecode('2223334444:none\r\n5556667779:federal-dnc, tcpa\n\n'), {
+      status: 'success',
+      numbers: 2,
+      count: 2,
+      phones: ['2223334444'],
+      supression: ['5556667779'],
+      wireless: [],
+      reasons: { 5556667779: 'federal-dnc,tcpa' },
+      carrier: {},
+    });
+  });
+
+  it('should treat empty, good and 0 codes as clean', () => {
+    assert.deepStrictEqual(parsePhonecode('2223334444:\n2223334445:Good\n2223334446:0').phones, [
+      '2223334444',
+      '2223334445',
+      '2223334446',
+    ]);
+  });
+
+  it('should throw on lines that are not phone:code pairs', () => {
+    assert.throws(
+      () => parsePhonecode('Invalid API key'),
+      (error) => error instanceof BlacklistAllianceError && /Unexpected phonecode line: Invalid API key/.test(error.message)
+    );
+  });
+
+  it('should join batches line by line', () => {
+    assert.strictEqual(mergePhonecode(['2223334444:none\n', '', '5556667779:tcpa']), '2223334444:none\n5556667779:tcpa');
+  });
+});
+
+describe('bulkLookupSimple with phonecode', () => {
+  let originalFetch;
+  let requests;
+
+  // Blacklists phones ending in 9; fails a request for the batch starting at failOffset
+  let failOffset;
+  const mockFetch = async (url, options) => {
+    const { phones } = JSON.parse(options.body);
+    requests.push({ format: new URL(url).searchParams.get('resp'), count: phones.length });
+    if (phones[0] === failOffset) {
+      return {
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        headers: { get: () => 'text/plain' },
+        text: async () => 'error',
+      };
+    }
+    return {
+      ok: true,
+      headers: { get: () => 'text/plain' },
+      text: async () => phones.map((p) => `${p}:${p.endsWith('9') ? 'federal-dnc' : 'none'}`).join('\n') + '\n',
+    };
+  };
+
+  const phoneList = (count) => Array.from({ length: count }, (_, i) => String(2000000000 + i));
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    global.fetch = mockFetch;
+    requests = [];
+    failOffset = null;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should auto-batch and join the text of large requests', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const phones = phoneList(12000);
+
+    const text = await client.bulkLookupSimple(phones, { responseFormat: 'phonecode' });
+
+    assert.deepStrictEqual(requests.map((r) => [r.format, r.count]), [['phonecode', 5000], ['phonecode', 5000], ['phonecode', 2000]]);
+    const lines = text.split('\n');
+    assert.strictEqual(lines.length, 12000);
+    assert.strictEqual(lines[5000], '2000005000:none');
+    assert.strictEqual(lines[11999], '2000011999:federal-dnc');
+  });
+
+  it('should return the text of a single batch as-is', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const text = await client.bulkLookupSimple(['2223334444'], { responseFormat: 'phonecode' });
+    assert.strictEqual(text, '2223334444:none\n');
+  });
+
+  it('should parse and merge batches with phonecodeOutput: parsed', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const phones = phoneList(6000);
+
+    const result = await client.bulkLookupSimple(phones, { responseFormat: 'phonecode', phonecodeOutput: 'parsed' });
+
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(result.numbers, 6000);
+    assert.strictEqual(result.supression.length, 600);
+    assert.strictEqual(result.reasons['2000005999'], 'federal-dnc');
+  });
+
+  it('should support JSON-mode options when parsed', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const options = { responseFormat: 'phonecode', phonecodeOutput: 'parsed' };
+
+    const byPhone = await client.bulkLookupSimple(['2223334449', '5556667777'], { ...options, shape: 'byPhone' });
+    assert.deepStrictEqual(byPhone.get('2223334449').reasons, ['federal-dnc']);
+
+    const collected = await client.bulkLookupSimple(['2223334444', '123'], { ...options, invalid: 'collect', dedupe: true });
+    assert.strictEqual(collected.rows[0].blacklisted, false);
+    assert.deepStrictEqual(collected.invalid, [{ input: '123', index: 1, reason: 'too-short' }]);
+
+    failOffset = '2000005000';
+    const partial = await client.bulkLookupSimple(phoneList(6000), { ...options, partial: true });
+    assert.strictEqual(partial.numbers, 5000);
+    assert.ok(partial.failedBatches[0].error instanceof ServerError);
+  });
+
+  it('should reject unknown phonecodeOutput values', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    await assert.rejects(
+      () => client.bulkLookupSimple(['2223334444'], { responseFormat: 'phonecode', phonecodeOutput: 'xml' }),
+      /Unknown phonecodeOutput: xml/
+    );
+  });
+});
+
+describe('parseLookupResponse', () => {
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<response>',
+    '  <sid>abc123</sid>',
+    '  <status>success</status>',
+    '  <message>Blacklisted</message>',
+    '  <code>prelitigation1,federal-dnc</code>',
+    '  <offset>0</offset>',
+    '  <wireless>1</wireless>',
+    '  <phone>2223334444</phone>',
+    '  <results>1</results>',
+    '  <time>0.02</time>',
+    '  <scrubs>true</scrubs>',
+    '  <carrier>',
+    '    <name>AT&amp;T <![CDATA[Mobility]]></name>',
+    '    <wireless>Y</wireless>',
+    '    <ocn_info><is_voip>false</is_voip><line_type>mobile</line_type></ocn_info>',
+    '  </carrier>',
+    '</response>',
+  ].join('\n');
+
+  it('should parse XML into the JSON result shape', () => {
+    assert.deepStrictEqual(parseLookupResponse(xml, 'xml'), {
+      sid: 'abc123',
+      status: 'success',
+      message: 'Blacklisted',
+      code: 'prelitigation1,federal-dnc',
+      offset: 0,
+      wireless: 1,
+      phone: '2223334444',
+      results: 1,
+      time: 0.02,
+      scrubs: true,
+      carrier: {
+        name: 'AT&T Mobility',
+        wireless: 'Y',
+        ocn_info: { is_voip: false, line_type: 'mobile' },
+      },
+    });
+  });
+
+  it('should drop empty carrier elements and collect repeated ones', () => {
+    const result = parseLookupResponse('<r><message>Good</message><carrier/><tag>a</tag><tag>b</tag></r>', 'xml');
+    assert.deepStrictEqual(result, { message: 'Good', tag: ['a', 'b'] });
+  });
+
+  it('should parse raw key/value lines and query strings', () => {
+    const lines = parseLookupResponse('message: Good\nresults: 0\nscrubs=1\ncarrier.name: Verizon\n', 'raw');
+    assert.deepStrictEqual(lines, { message: 'Good', results: 0, scrubs: true, carrier: { name: 'Verizon' } });
+
+    const query = parseLookupResponse('phone=2223334444&code=federal-dnc&carrier.name=AT%26T', 'raw');
+    assert.deepStrictEqual(query, { phone: '2223334444', code: 'federal-dnc', carrier: { name: 'AT&T' } });
+  });
+
+  it('should throw BlacklistAllianceError on malformed bodies', () => {
+    assert.throws(() => parseLookupResponse('<response><sid>1</response>', 'xml'), /expected <\/sid>, found <\/response>/);
+    assert.throws(() => parseLookupResponse('<response>', 'xml'), BlacklistAllianceError);
+    assert.throws(() => parseLookupResponse('Service unavailable', 'raw'), /unexpected line: Service unavailable/);
+  });
+});
+
+describe('lookup with xml and raw formats', () => {
+  let originalFetch;
+  let body;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    global.fetch = async () => ({
+      ok: true,
+      headers: { get: () => 'text/plain' },
+      text: async () => body,
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should parse xml responses by default', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    body = '<response><message>Good</message><code>none</code><results>0</results></response>';
+    assert.deepStrictEqual(await client.lookup('2223334444', { responseFormat: 'xml' }), {
+      message: 'Good',
+      code: 'none',
+      results: 0,
+    });
+  });
+
+  it('should return the body as-is with parse: false', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    body = 'message=Good&results=0';
+    assert.strictEqual(await client.lookup('2223334444', { responseFormat: 'raw', parse: false }), body);
+    assert.deepStrictEqual(await client.lookup('2223334444', { responseFormat: 'raw' }), { message: 'Good', results: 0 });
+  });
+
+  it('should cache the body and parse each hit into a fresh object', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0, cache: true });
+    body = '<response><message>Good</message></response>';
+
+    const first = await client.lookup('2223334444', { responseFormat: 'xml' });
+    first.message = 'changed';
+    body = 'unused';
+    const second = await client.lookup('2223334444', { responseFormat: 'xml' });
+
+    assert.strictEqual(second.message, 'Good');
+    assert.strictEqual(await client.lookup('2223334444', { responseFormat: 'xml', parse: false }), '<response><message>Good</message></response>');
+  });
+});
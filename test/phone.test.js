@@ -0,0 +1,241 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  BlacklistAlliance,
+  ValidationError,
+  normalizePhone,
+  parsePhone,
+  extractPhones,
+  PHONE_ERROR_REASONS,
+} = require('../src');
+
+describe('normalizePhone', () => {
+  const reasonOf = (phone) => {
+    try {
+      normalizePhone(phone);
+    } catch (error) {
+      assert.ok(error instanceof ValidationError);
+      assert.strictEqual(error.statusCode, 422);
+      return error.reason;
+    }
+    assert.fail(`expected ${phone} to be rejected`);
+  };
+
+  it('should return canonical 10-digit, E.164 and NANP parts', () => {
+    assert.deepStrictEqual(normalizePhone('(222) 333-4444'), {
+      digits: '2223334444',
+      e164: '+12223334444',
+      npa: '222',
+      nxx: '333',
+      line: '4444',
+    });
+  });
+
+  it('should strip the +1 country code', () => {
+    assert.strictEqual(normalizePhone('+1 222-333-4444').digits, '2223334444');
+    assert.strictEqual(normalizePhone('12223334444').e164, '+12223334444');
+    assert.strictEqual(normalizePhone(2223334444).digits, '2223334444');
+  });
+
+  it('should reject wrong lengths', () => {
+    assert.strictEqual(reasonOf(''), PHONE_ERROR_REASONS.EMPTY);
+    assert.strictEqual(reasonOf(null), 'empty');
+    assert.strictEqual(reasonOf('222-3334'), 'too-short');
+    assert.strictEqual(reasonOf('122233344445'), 'too-long');
+  });
+
+  it('should reject 11-digit numbers without country code 1', () => {
+    assert.strictEqual(reasonOf('22223334444'), 'invalid-country-code');
+  });
+
+  it('should reject area codes starting with 0 or 1 and N11 area codes', () => {
+    assert.strictEqual(reasonOf('0000000000'), 'invalid-area-code');
+    assert.strictEqual(reasonOf('1234567890'), 'invalid-area-code');
+    assert.strictEqual(reasonOf('9113334444'), 'n11-area-code');
+  });
+
+  it('should reject exchanges starting with 0 or 1 and N11 exchanges', () => {
+    assert.strictEqual(reasonOf('2220334444'), 'invalid-exchange');
+    assert.strictEqual(reasonOf('2221334444'), 'invalid-exchange');
+    assert.strictEqual(reasonOf('2224114444'), 'n11-exchange');
+  });
+
+  it('should reject 555-01XX fictional numbers but allow other 555 numbers', () => {
+    assert.strictEqual(reasonOf('2225550123'), 'fictional-number');
+    assert.strictEqual(normalizePhone('2225550200').digits, '2225550200');
+    assert.strictEqual(normalizePhone('5556667777').digits, '5556667777');
+  });
+
+  it('should include the input in the error message', () => {
+    assert.throws(() => normalizePhone('911-333-4444'), /Invalid phone number: 911-333-4444\. Area code 911 is a service code/);
+  });
+});
+
+describe('phoneValidation option', () => {
+  it('should keep basic validation by default', () => {
+    const client = new BlacklistAlliance('test-key');
+    assert.strictEqual(client._validatePhone('1234567890'), '1234567890');
+    assert.strictEqual(client._validatePhone('12223334444'), '12223334444');
+  });
+
+  it('should apply NANP rules and send the canonical form in nanp mode', async () => {
+    const originalFetch = global.fetch;
+    let requestedUrl;
+    global.fetch = async (url) => {
+      requestedUrl = url;
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ status: 'success', message: 'Good' }),
+      };
+    };
+
+    const client = new BlacklistAlliance('test-key', { phoneValidation: 'nanp', retries: 0 });
+    await client.lookupSingle('+1 (222) 333-4444');
+    assert.strictEqual(new URL(requestedUrl).searchParams.get('phone'), '2223334444');
+
+    await assert.rejects(
+      () => client.lookupSingle('1234567890'),
+      (error) => error instanceof ValidationError && error.reason === 'invalid-area-code'
+    );
+
+    global.fetch = originalFetch;
+  });
+
+  it('should reject unknown modes', () => {
+    assert.throws(
+      () => new BlacklistAlliance('test-key', { phoneValidation: 'strict' }),
+      /Unknown phone validation mode: strict/
+    );
+  });
+
+  it('should expose normalizePhone on the client', () => {
+    const client = new BlacklistAlliance('test-key');
+    assert.strictEqual(client.normalizePhone('222.333.4444').e164, '+12223334444');
+  });
+});
+
+describe('free-text phone extraction', () => {
+  const summarize = (text) => extractPhones(text).map((p) => [p.digits, p.extension, p.vanity]);
+
+  it('should parse extensions', () => {
+    assert.deepStrictEqual(summarize('222.333.4444 ext 9'), [['2223334444', '9', false]]);
+    assert.deepStrictEqual(summarize('(222) 333-4444 x123'), [['2223334444', '123', false]]);
+    assert.deepStrictEqual(summarize('222-333-4444, extension: 55'), [['2223334444', '55', false]]);
+    assert.deepStrictEqual(summarize('2223334444#7'), [['2223334444', '7', false]]);
+  });
+
+  it('should convert vanity letters', () => {
+    const phone = parsePhone('+1 (800) FLOWERS x123');
+    assert.strictEqual(phone.digits, '8003569377');
+    assert.strictEqual(phone.e164, '+18003569377');
+    assert.strictEqual(phone.extension, '123');
+    assert.strictEqual(phone.vanity, true);
+    assert.strictEqual(phone.raw, '+1 (800) FLOWERS x123');
+    assert.strictEqual(phone.input, '+1 (800) FLOWERS x123');
+
+    // Extra letters beyond 7 are ignored, lowercase works
+    assert.deepStrictEqual(summarize('1-800-flowershop'), [['8003569377', null, true]]);
+  });
+
+  it('should strip +1, 1 and 001 prefixes', () => {
+    assert.strictEqual(parsePhone('+1 222 333 4444').digits, '2223334444');
+    assert.strictEqual(parsePhone('1-222-333-4444').digits, '2223334444');
+    assert.strictEqual(parsePhone('001 222 333 4444').digits, '2223334444');
+    assert.strictEqual(parsePhone('0012223334444').digits, '2223334444');
+  });
+
+  it('should find multiple numbers in one string', () => {
+    assert.deepStrictEqual(summarize('222-333-4444 / 555-666-7777'), [
+      ['2223334444', null, false],
+      ['5556667777', null, false],
+    ]);
+    assert.deepStrictEqual(summarize('home 2223334444, cell (555) 666-7777 x2'), [
+      ['2223334444', null, false],
+      ['5556667777', '2', false],
+    ]);
+  });
+
+  it('should not glue unrelated digits onto a number', () => {
+    assert.deepStrictEqual(summarize('Apt 5 2223334444'), [['2223334444', null, false]]);
+    assert.deepStrictEqual(summarize('Zip 90210, phone 222 333 4444'), [['2223334444', null, false]]);
+    assert.deepStrictEqual(summarize('ID12345 2223334444'), [['2223334444', null, false]]);
+    assert.deepStrictEqual(summarize('call me after 5pm'), []);
+  });
+
+  it('should not read words after a digit run as vanity letters', () => {
+    assert.deepStrictEqual(summarize('Suite 300 BEST WAY Dallas'), []);
+    assert.deepStrictEqual(summarize('Unit 415 MAIN ST or 2223334444'), [['2223334444', null, false]]);
+    assert.strictEqual(parsePhone('Unit 415 MAIN ST or 2223334444').digits, '2223334444');
+    assert.deepStrictEqual(summarize('1-800-BEST WAY'), []);
+
+    // Letters right after NPA-NXX, or 7 letters filling the local number, still count
+    assert.deepStrictEqual(summarize('222-333-HELP'), [['2223334357', null, true]]);
+    assert.deepStrictEqual(summarize('(800) FLOWERS'), [['8003569377', null, true]]);
+  });
+
+  it('should only read 4 letters joined to NPA-NXX as the line number', () => {
+    assert.deepStrictEqual(summarize('Room 234 567 today'), []);
+    assert.deepStrictEqual(summarize('call 222-333-444 thanks'), []);
+    assert.deepStrictEqual(summarize('222 333 HOME'), []);
+    assert.deepStrictEqual(summarize('222-333-HOMES'), []);
+    assert.deepStrictEqual(summarize('222-333-HOME'), [['2223334663', null, true]]);
+    assert.deepStrictEqual(summarize('222333HOME'), [['2223334663', null, true]]);
+  });
+
+  it('should read toll-free letters split by dashes', () => {
+    assert.deepStrictEqual(summarize('1-800-GOT-JUNK'), [['8004685865', null, true]]);
+    assert.deepStrictEqual(summarize('+1 800-GOT-JUNK x5'), [['8004685865', '5', true]]);
+    assert.deepStrictEqual(summarize('800-GOT-JUNK'), []);
+  });
+
+  it('should return invalid numbers with a reason', () => {
+    const [intl, nanp] = extractPhones('+44 20 7946 0958 or 0003334444');
+    assert.strictEqual(intl.valid, false);
+    assert.strictEqual(intl.reason, 'invalid-country-code');
+    assert.strictEqual(intl.raw, '+44 20 7946 0958');
+    assert.strictEqual(nanp.reason, 'invalid-area-code');
+    assert.strictEqual(nanp.digits, null);
+  });
+
+  it('should prefer the first valid number and report not-found', () => {
+    assert.strictEqual(parsePhone('0003334444 or 2223334444').digits, '2223334444');
+    assert.strictEqual(parsePhone('0003334444').reason, 'invalid-area-code');
+
+    const none = parsePhone('n/a');
+    assert.strictEqual(none.valid, false);
+    assert.strictEqual(none.reason, PHONE_ERROR_REASONS.NOT_FOUND);
+    assert.strictEqual(none.input, 'n/a');
+  });
+
+  it('should accept parsed results in lookupSingle and bulk methods', async () => {
+    const originalFetch = global.fetch;
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, body: options.body });
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ status: 'success', message: 'Good', phones: [], supression: [] }),
+      };
+    };
+
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    await client.lookupSingle(client.parsePhone('Call +1 (800) FLOWERS x123'));
+    assert.strictEqual(new URL(requests[0].url).searchParams.get('phone'), '8003569377');
+
+    await client.bulkLookupSimple(client.extractPhones('222.333.4444 ext 9; 555-666-7777'));
+    assert.deepStrictEqual(JSON.parse(requests[1].body), { phones: ['2223334444', '5556667777'] });
+
+    await assert.rejects(
+      () => client.lookupSingle(client.parsePhone('n/a')),
+      (error) => error instanceof ValidationError && error.reason === 'not-found'
+    );
+    await assert.rejects(
+      () => client.bulkLookupSimple([client.parsePhone('0003334444')]),
+      (error) => error.reason === 'invalid-area-code'
+    );
+
+    global.fetch = originalFetch;
+  });
+});
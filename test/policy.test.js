@@ -0,0 +1,198 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { BlacklistAlliance, ValidationError, evaluatePolicy } = require('../src');
+
+const policy = {
+  rules: [
+    { name: 'litigators', when: { categories: ['litigator'] }, decision: 'deny' },
+    { name: 'wireless-marketing', when: { wireless: true, campaignTypes: ['marketing'] }, decision: 'review' },
+    { name: 'voip', when: { voip: true }, decision: 'review' },
+    { name: 'severe', when: { minSeverity: 'critical' }, decision: 'deny' },
+  ],
+};
+
+const result = (overrides) => ({
+  phone: '2223334444',
+  blacklisted: false,
+  reasons: [],
+  wireless: false,
+  carrier: undefined,
+  ocnInfo: undefined,
+  ...overrides,
+});
+
+describe('evaluatePolicy', () => {
+  it('should allow by default when no rule matches', () => {
+    const { decision, matchedRules } = evaluatePolicy(result(), policy);
+    assert.strictEqual(decision, 'allow');
+    assert.deepStrictEqual(matchedRules, []);
+    assert.strictEqual(evaluatePolicy(result(), { rules: [], default: 'review' }).decision, 'review');
+  });
+
+  it('should report every matching rule and pick the most restrictive decision', () => {
+    const decision = evaluatePolicy(
+      result({ blacklisted: true, reasons: ['tcpa'], wireless: true }),
+      policy,
+      { context: { campaignType: 'Marketing' } }
+    );
+    assert.strictEqual(decision.decision, 'deny');
+    assert.deepStrictEqual(decision.matchedRules, [
+      { name: 'litigators', decision: 'deny' },
+      { name: 'wireless-marketing', decision: 'review' },
+      { name: 'severe', decision: 'deny' },
+    ]);
+    assert.strictEqual(decision.result.reasonDetails[0].category, 'litigator');
+  });
+
+  it('should require every condition of a rule to match', () => {
+    const wireless = result({ wireless: true });
+    assert.strictEqual(evaluatePolicy(wireless, policy).decision, 'allow');
+    assert.strictEqual(evaluatePolicy(wireless, policy, { context: { campaignType: 'marketing' } }).decision, 'review');
+  });
+
+  it('should not match conditions on fields the result lacks', () => {
+    const v1 = result({ wireless: undefined });
+    const rules = [{ name: 'landline', when: { wireless: false }, decision: 'review' }];
+    assert.strictEqual(evaluatePolicy(v1, { rules }).decision, 'allow');
+  });
+
+  it('should match wireless when only the carrier is marked wireless', () => {
+    const rules = [{ name: 'wireless', when: { wireless: true }, decision: 'review' }];
+    assert.strictEqual(evaluatePolicy(result({ carrier: { wireless: true } }), { rules }).decision, 'review');
+    assert.strictEqual(evaluatePolicy(result({ wireless: undefined, carrier: { wireless: true } }), { rules }).decision, 'review');
+  });
+
+  it('should match codes, line types and VoIP from OCN info', () => {
+    const voip = result({
+      reasons: ['Federal-DNC'],
+      ocnInfo: { isVoip: true, carrier: 'Bandwidth', lineType: 'voip' },
+    });
+    const rules = [
+      { name: 'dnc', when: { codes: ['federal-dnc'] }, decision: 'review' },
+      { name: 'voip-line', when: { lineTypes: ['VOIP'] }, decision: 'review' },
+    ];
+    assert.deepStrictEqual(
+      evaluatePolicy(voip, { rules }).matchedRules.map((r) => r.name),
+      ['dnc', 'voip-line']
+    );
+    assert.strictEqual(evaluatePolicy(voip, policy).decision, 'review');
+  });
+
+  it('should call custom predicates with the result and context', () => {
+    const calls = [];
+    const rules = [
+      {
+        name: 'custom',
+        when: (subject, context) => {
+          calls.push([subject.phone, context.tenant]);
+          return true;
+        },
+        decision: 'deny',
+      },
+      { name: 'test', when: { blacklisted: false, test: (subject) => subject.reasonDetails.length > 0 }, decision: 'deny' },
+    ];
+    const decision = evaluatePolicy(result(), { rules }, { context: { tenant: 'acme' } });
+    assert.deepStrictEqual(decision.matchedRules, [{ name: 'custom', decision: 'deny' }]);
+    assert.deepStrictEqual(calls, [['2223334444', 'acme']]);
+  });
+
+  it('should reject malformed policies', () => {
+    const invalid = (p, message) =>
+      assert.throws(() => evaluatePolicy(result(), p), (error) => error instanceof ValidationError && message.test(error.message));
+
+    invalid({}, /Invalid policy: rules must be an array/);
+    invalid({ rules: [{ when: {}, decision: 'deny' }] }, /rule 0 needs a name/);
+    invalid({ rules: [{ name: 'x', when: {}, decision: 'block' }] }, /rule x: unknown decision block/);
+    invalid({ rules: [{ name: 'x', when: { carrier: 'AT&T' }, decision: 'deny' }] }, /rule x: unknown condition carrier/);
+    invalid({ rules: [{ name: 'x', when: { minSeverity: 'severe' }, decision: 'deny' }] }, /unknown minSeverity severe/);
+    invalid({ rules: [{ name: 'x', when: { codes: 'tcpa' }, decision: 'deny' }] }, /codes must be an array/);
+    invalid({ rules: [], default: 'maybe' }, /unknown default decision maybe/);
+  });
+});
+
+describe('evaluate and evaluateBulk', () => {
+  let originalFetch;
+  let requests;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    requests = [];
+    global.fetch = async (url, options) => {
+      requests.push(url);
+      const json = options?.body
+        ? {
+            status: 'success',
+            phones: ['2223334444'],
+            supression: ['5556667777'],
+            wireless: ['2223334444'],
+            reasons: { 5556667777: 'prelitigation1' },
+            carrier: {},
+          }
+        : { status: 'success', message: 'Blacklisted', code: 'tcpa', phone: '5556667777', results: 1, wireless: 1 };
+      return { ok: true, headers: { get: () => 'application/json' }, json: async () => json };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should evaluate a single lookup', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const { decision, matchedRules, result } = await client.evaluate('5556667777', policy);
+    assert.strictEqual(decision, 'deny');
+    assert.deepStrictEqual(matchedRules.map((r) => r.name), ['litigators', 'severe']);
+    assert.strictEqual(result.version, 'v5');
+  });
+
+  it('should use the client reason catalog', async () => {
+    const client = new BlacklistAlliance('test-key', {
+      retries: 0,
+      reasonCatalog: { tcpa: { category: 'complainer', severity: 'medium' } },
+    });
+    assert.strictEqual((await client.evaluate('5556667777', policy)).decision, 'allow');
+  });
+
+  it('should evaluate bulk lookups into a Map', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const decisions = await client.evaluateBulk(['2223334444', '5556667777'], policy, {
+      context: { campaignType: 'marketing' },
+    });
+    assert.deepStrictEqual(
+      [...decisions].map(([phone, d]) => [phone, d.decision]),
+      [
+        ['2223334444', 'review'],
+        ['5556667777', 'deny'],
+      ]
+    );
+  });
+
+  it('should treat a carrier marked wireless as wireless in bulk', async () => {
+    global.fetch = async () => ({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      json: async () => ({
+        status: 'success',
+        phones: ['2223334444'],
+        supression: [],
+        wireless: [],
+        reasons: {},
+        carrier: { 2223334444: { wireless: 'Y' } },
+      }),
+    });
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const decisions = await client.evaluateBulk(['2223334444'], policy, { context: { campaignType: 'marketing' } });
+    assert.strictEqual(decisions.get('2223334444').decision, 'review');
+    assert.strictEqual(decisions.get('2223334444').result.wireless, true);
+  });
+
+  it('should validate the policy and options before any request', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    await assert.rejects(() => client.evaluate('2223334444', { rules: null }), ValidationError);
+    await assert.rejects(
+      () => client.evaluateBulk(['2223334444'], policy, { partial: true }),
+      /evaluateBulk can't be combined with partial/
+    );
+    assert.strictEqual(requests.length, 0);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  BlacklistAlliance,
+  REASON_CATALOG,
+  REASON_CATEGORIES,
+  describeReasons,
+  enrichReasons,
+} = require('../src');
+
+describe('describeReasons', () => {
+  it('should describe codes from an array or a code string', () => {
+    const details = describeReasons('prelitigation1, federal-dnc');
+    assert.deepStrictEqual(details, [
+      {
+        code: 'prelitigation1',
+        description: 'Sent pre-litigation demand letters',
+        category: 'litigator',
+        severity: 'high',
+        known: true,
+      },
+      {
+        code: 'federal-dnc',
+        description: 'Registered on the National Do Not Call Registry',
+        category: 'federal-dnc',
+        severity: 'high',
+        known: true,
+      },
+    ]);
+    assert.deepStrictEqual(describeReasons(['prelitigation1', 'federal-dnc']), details);
+  });
+
+  it('should skip none and empty codes', () => {
+    assert.deepStrictEqual(describeReasons('none'), []);
+    assert.deepStrictEqual(describeReasons(undefined), []);
+    assert.deepStrictEqual(describeReasons(['', ' ']), []);
+  });
+
+  it('should mark unknown codes as high severity', () => {
+    assert.deepStrictEqual(describeReasons(['mystery']), [
+      { code: 'mystery', description: null, category: REASON_CATEGORIES.UNKNOWN, severity: 'high', known: false },
+    ]);
+  });
+
+  it('should match codes case-insensitively and keep them as returned', () => {
+    const [detail] = describeReasons('Federal-DNC');
+    assert.strictEqual(detail.code, 'Federal-DNC');
+    assert.strictEqual(detail.known, true);
+  });
+
+  it('should freeze the built-in catalog', () => {
+    assert.ok(Object.isFrozen(REASON_CATALOG));
+    assert.ok(Object.isFrozen(REASON_CATALOG.litigator));
+  });
+});
+
+describe('enrichReasons', () => {
+  it('should add reasonDetails to single lookup results', () => {
+    const result = { message: 'Blacklisted', code: 'tcpa' };
+    const enriched = enrichReasons(result);
+    assert.strictEqual(enriched.reasonDetails[0].severity, 'critical');
+    assert.ok(!('reasonDetails' in result));
+
+    assert.deepStrictEqual(enrichReasons({ message: 'Good' }).reasonDetails, []);
+  });
+
+  it('should add per-phone reasonDetails to array-wrapped bulk results', () => {
+    const [enriched] = enrichReasons([{ phones: [], supression: ['5556667777'], reasons: { 5556667777: 'federal-dnc' } }]);
+    assert.strictEqual(enriched.reasonDetails['5556667777'][0].category, 'federal-dnc');
+  });
+
+  it('should enrich byPhone Maps, normalized results and dedupe rows', () => {
+    const phoneResult = { phone: '5556667777', blacklisted: true, reasons: ['litigator'] };
+
+    const map = enrichReasons(new Map([['5556667777', phoneResult]]));
+    assert.strictEqual(map.get('5556667777').reasonDetails[0].category, 'litigator');
+
+    const normalized = enrichReasons({ version: 'v5', clean: [], suppressed: ['5556667777'], results: [phoneResult] });
+    assert.ok(!('reasonDetails' in normalized));
+    assert.strictEqual(normalized.results[0].reasonDetails[0].code, 'litigator');
+
+    const deduped = enrichReasons({ phones: [], supression: [], reasons: {}, rows: [null, { ...phoneResult, index: 1 }] });
+    assert.strictEqual(deduped.rows[0], null);
+    assert.strictEqual(deduped.rows[1].reasonDetails[0].severity, 'critical');
+  });
+
+  it('should return strings as-is', () => {
+    assert.strictEqual(enrichReasons('2223334444:none'), '2223334444:none');
+  });
+});
+
+describe('reasonCatalog option', () => {
+  it('should merge overrides into built-in entries and add new codes', () => {
+    const client = new BlacklistAlliance('test-key', {
+      reasonCatalog: {
+        'State-DNC': { severity: 'medium' },
+        troll: { description: 'Serial complainer', category: 'complainer', severity: 'critical' },
+      },
+    });
+
+    const [state, troll] = client.describeReasons('state-dnc,troll');
+    assert.strictEqual(state.severity, 'medium');
+    assert.strictEqual(state.description, 'Registered on a state Do Not Call list');
+    assert.deepStrictEqual(troll, {
+      code: 'troll',
+      description: 'Serial complainer',
+      category: 'complainer',
+      severity: 'critical',
+      known: true,
+    });
+    assert.strictEqual(client.enrichReasons({ code: 'troll' }).reasonDetails[0].known, true);
+
+    // The built-in catalog is unchanged
+    assert.strictEqual(describeReasons('state-dnc')[0].severity, 'high');
+    assert.strictEqual(new BlacklistAlliance('test-key').reasonCatalog, REASON_CATALOG);
+  });
+
+  it('should reject incomplete entries and unknown severities', () => {
+    assert.throws(
+      () => new BlacklistAlliance('test-key', { reasonCatalog: { troll: { description: 'x' } } }),
+      /Reason catalog entry troll needs a category and severity/
+    );
+    assert.throws(
+      () => new BlacklistAlliance('test-key', { reasonCatalog: { tcpa: { severity: 'severe' } } }),
+      /Unknown reason severity for tcpa: severe/
+    );
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryCacheStore, FileCacheStore } = require('../src');
+
+describe('MemoryCacheStore', () => {
+  it('should get, set and delete values', async () => {
+    const store = new MemoryCacheStore();
+    assert.strictEqual(await store.get('a'), undefined);
+
+    await store.set('a', { blacklisted: true });
+    assert.deepStrictEqual(await store.get('a'), { blacklisted: true });
+
+    await store.delete('a');
+    assert.strictEqual(await store.get('a'), undefined);
+  });
+
+  it('should expire values after ttl', async () => {
+    const store = new MemoryCacheStore({ ttlMs: 20 });
+    await store.set('a', 1);
+    await store.set('b', 2, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(await store.get('a'), undefined);
+    assert.strictEqual(await store.get('b'), 2);
+  });
+
+  it('should support getMany/setMany', async () => {
+    const store = new MemoryCacheStore();
+    await store.setMany([['a', 1], ['b', 2]]);
+    assert.deepStrictEqual(await store.getMany(['a', 'x', 'b']), [1, undefined, 2]);
+  });
+});
+
+describe('FileCacheStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bla-store-'));
+    filePath = path.join(dir, 'cache.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require a file path', () => {
+    assert.throws(() => new FileCacheStore(), /filePath is required/);
+  });
+
+  it('should persist values across instances', async () => {
+    const store = new FileCacheStore(filePath);
+    await store.set('bulk:v5:2223334444', { blacklisted: true });
+
+    const reopened = new FileCacheStore(filePath);
+    assert.deepStrictEqual(await reopened.get('bulk:v5:2223334444'), { blacklisted: true });
+  });
+
+  it('should see writes from another instance', async () => {
+    const a = new FileCacheStore(filePath);
+    const b = new FileCacheStore(filePath);
+    await a.get('x');
+    await b.set('x', 1);
+    assert.strictEqual(await a.get('x'), 1);
+  });
+
+  it('should serialize concurrent writes', async () => {
+    const store = new FileCacheStore(filePath);
+    await Promise.all([store.set('a', 1), store.set('b', 2), store.setMany([['c', 3]])]);
+    assert.deepStrictEqual(await new FileCacheStore(filePath).getMany(['a', 'b', 'c']), [1, 2, 3]);
+  });
+
+  it('should delete values and drop expired ones', async () => {
+    const store = new FileCacheStore(filePath, { ttlMs: 20 });
+    await store.setMany([['a', 1], ['b', 2]]);
+    await store.delete('a');
+    assert.strictEqual(await store.get('a'), undefined);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(await store.get('b'), undefined);
+  });
+});
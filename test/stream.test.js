@@ -0,0 +1,229 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { BlacklistAlliance, ServerError } = require('../src');
+
+describe('streaming bulk lookup', () => {
+  let originalFetch;
+  let requests;
+
+  // Blacklists phones ending in an even digit
+  const bulkFetch = (delays = []) => async (url, options) => {
+    const body = JSON.parse(options.body);
+    const index = requests.length;
+    requests.push(body.phones || body.emails);
+    if (delays[index]) await new Promise((r) => setTimeout(r, delays[index]));
+
+    if (body.emails) {
+      return {
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ good: body.emails.filter((e) => !e.startsWith('bad')) }),
+      };
+    }
+    const bad = body.phones.filter((p) => Number(p.slice(-1)) % 2 === 0);
+    return {
+      ok: true,
+      headers: { get: () => 'application/json' },
+      json: async () => ([{
+        status: 'success',
+        numbers: body.phones.length,
+        count: body.phones.length,
+        phones: body.phones.filter((p) => !bad.includes(p)),
+        supression: bad,
+        wireless: [],
+        reasons: Object.fromEntries(bad.map((p) => [p, 'federal-dnc'])),
+        carrier: {},
+      }]),
+    };
+  };
+
+  async function* generate(count) {
+    for (let i = 0; i < count; i++) yield String(2000000000 + i);
+  }
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    requests = [];
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should yield per-phone results from an async iterable in batches', async () => {
+    global.fetch = bulkFetch();
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+    const results = [];
+    for await (const result of client.bulkLookupStream(generate(7), { batchSize: 3 })) {
+      results.push(result);
+    }
+
+    assert.deepStrictEqual(requests.map((batch) => batch.length), [3, 3, 1]);
+    assert.strictEqual(results.length, 7);
+    assert.strictEqual(results[0].phone, '2000000000');
+    assert.strictEqual(results[0].blacklisted, true);
+    assert.deepStrictEqual(results[0].reasons, ['federal-dnc']);
+    assert.strictEqual(results[1].blacklisted, false);
+    assert.strictEqual(results[6].phone, '2000000006');
+  });
+
+  it('should yield a batch before reading the rest of the input', async () => {
+    global.fetch = bulkFetch();
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    let read = 0;
+    const source = (async function* () {
+      for (let i = 0; i < 100; i++) {
+        read++;
+        yield String(2000000000 + i);
+      }
+    })();
+
+    for await (const result of client.bulkLookupStream(source, { batchSize: 10 })) {
+      assert.strictEqual(result.phone, '2000000000');
+      break;
+    }
+
+    assert.strictEqual(read, 10);
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('should keep input order with concurrent batches', async () => {
+    // First batch is slowest
+    global.fetch = bulkFetch([30, 0, 0]);
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+    const phones = [];
+    for await (const { phone } of client.bulkLookupStream(generate(9), { batchSize: 3, concurrency: 3 })) {
+      phones.push(phone);
+    }
+
+    assert.deepStrictEqual(phones, Array.from({ length: 9 }, (_, i) => String(2000000000 + i)));
+  });
+
+  it('should skip blank items and accept sync iterables', async () => {
+    global.fetch = bulkFetch();
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+    const results = [];
+    for await (const result of client.bulkLookupStream(['2223334444', '', '5556667777', null])) {
+      results.push(result.phone);
+    }
+
+    assert.deepStrictEqual(results, ['2223334444', '5556667777']);
+    assert.deepStrictEqual(requests, [['2223334444', '5556667777']]);
+  });
+
+  it('should throw when a batch fails', async () => {
+    global.fetch = async () => ({
+      ok: false,
+      status: 500,
+      statusText: 'Internal Server Error',
+      headers: { get: () => 'application/json' },
+      json: async () => ({}),
+    });
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+    await assert.rejects(async () => {
+      const results = [];
+      for await (const result of client.bulkLookupStream(generate(3))) results.push(result);
+    }, ServerError);
+  });
+
+  it('should yield per-email results with original emails when hashing', async () => {
+    global.fetch = bulkFetch();
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const hash = client.hashEmail('bad@example.com');
+    // Fake API treats emails starting with "bad" as blacklisted; hashes never are
+    const emails = ['good@example.com', 'bad@example.com'];
+
+    const plain = [];
+    for await (const result of client.emailBulkStream(emails)) plain.push(result);
+    assert.deepStrictEqual(plain, [
+      { email: 'good@example.com', blacklisted: false },
+      { email: 'bad@example.com', blacklisted: true },
+    ]);
+
+    const hashed = [];
+    for await (const result of client.emailBulkStream(emails, { hashEmails: true })) hashed.push(result);
+    assert.strictEqual(hashed[1].email, 'bad@example.com');
+    assert.strictEqual(requests[1][1], hash);
+  });
+
+  it('should work as a Transform stream in a pipeline', async () => {
+    global.fetch = bulkFetch();
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const transform = client.createBulkLookupStream({ batchSize: 4 });
+    assert.ok(transform instanceof Transform);
+
+    const results = [];
+    await pipeline(
+      Readable.from(generate(10)),
+      transform,
+      new Writable({
+        objectMode: true,
+        write(result, encoding, callback) {
+          results.push(result);
+          callback();
+        },
+      })
+    );
+
+    assert.deepStrictEqual(requests.map((batch) => batch.length), [4, 4, 2]);
+    assert.strictEqual(results.length, 10);
+    assert.strictEqual(results[9].phone, '2000000009');
+    assert.strictEqual(results[9].blacklisted, false);
+  });
+
+  it('should apply backpressure when the consumer is slow', async () => {
+    global.fetch = bulkFetch();
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    let read = 0;
+    const source = Readable.from((async function* () {
+      for (let i = 0; i < 1000; i++) {
+        read++;
+        yield String(2000000000 + i);
+      }
+    })(), { highWaterMark: 1 });
+
+    const transform = client.createBulkLookupStream({ batchSize: 10 });
+    source.pipe(transform);
+
+    // Nobody reads: the transform fills up and stops pulling from the source
+    await new Promise((r) => setTimeout(r, 50));
+    assert.ok(read < 100, `expected reading to pause, read ${read}`);
+    assert.ok(requests.length < 10);
+
+    source.destroy();
+    transform.destroy();
+  });
+
+  it('should emit email results from the email Transform stream', async () => {
+    global.fetch = bulkFetch();
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+    const results = await Readable.from(['bad@example.com', 'ok@example.com'])
+      .pipe(client.createEmailBulkStream())
+      .toArray();
+
+    assert.deepStrictEqual(results, [
+      { email: 'bad@example.com', blacklisted: true },
+      { email: 'ok@example.com', blacklisted: false },
+    ]);
+  });
+
+  it('should propagate batch errors through the Transform stream', async () => {
+    global.fetch = async () => { throw new TypeError('fetch failed'); };
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+    await assert.rejects(
+      pipeline(Readable.from(['2223334444']), client.createBulkLookupStream(), new Writable({
+        objectMode: true,
+        write(chunk, encoding, callback) { callback(); },
+      })),
+      /fetch failed/
+    );
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlacklistAlliance, SuppressionList, ValidationError, INTERNAL_REASON } = require('../src');
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+describe('SuppressionList', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bla-suppression-'));
+    filePath = path.join(dir, 'lists', 'opt-outs.txt');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should match phones in any format and emails as address or hash', async () => {
+    const list = new SuppressionList({ entries: ['+1 (222) 333-4444', 'Opt.Out@Example.com', md5('hashed@example.com')] });
+
+    assert.strictEqual(list.size, 3);
+    assert.ok(list.hasPhone('12223334444'));
+    assert.ok(list.has('222.333.4444'));
+    assert.ok(!list.hasPhone('5556667777'));
+    assert.ok(!list.hasPhone('123'));
+
+    assert.ok(list.hasEmail('opt.out@example.com'));
+    assert.ok(list.hasEmail(md5('opt.out@example.com').toUpperCase()));
+    assert.ok(list.has('HASHED@example.com'));
+    assert.ok(!list.hasEmail('other@example.com'));
+  });
+
+  it('should reject entries that are not phones, emails or hashes', async () => {
+    assert.throws(() => new SuppressionList({ entries: ['12345'] }), ValidationError);
+    await assert.rejects(() => new SuppressionList().add('not a phone'), /Invalid suppression entry: not a phone/);
+  });
+
+  it('should persist adds and removes to the file', async () => {
+    const list = new SuppressionList({ filePath });
+    assert.strictEqual(await list.add(['2223334444', '12223334444', 'a@example.com']), 2);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '2223334444\na@example.com\n');
+
+    assert.strictEqual(await list.remove(['a@example.com', 'bogus']), 1);
+    assert.ok(!list.hasEmail('a@example.com'));
+
+    const reopened = await new SuppressionList({ filePath }).load();
+    assert.deepStrictEqual(reopened.values(), ['2223334444']);
+
+    await reopened.clear();
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '');
+  });
+
+  it('should load files with comments and treat a missing file as empty', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '# opt-outs\n222-333-4444  # called in to opt out\n\nA@Example.com\r\n');
+
+    const list = await new SuppressionList({ filePath, entries: ['5556667777'] }).load();
+    assert.deepStrictEqual(list.values().sort(), ['2223334444', '5556667777', 'a@example.com']);
+
+    const empty = await new SuppressionList({ filePath: path.join(dir, 'missing.txt') }).load();
+    assert.strictEqual(empty.size, 0);
+  });
+
+  it('should load again after a failed load', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '2223334444\nnot a phone\n');
+
+    const list = new SuppressionList({ filePath });
+    await assert.rejects(() => list.load(), /Invalid suppression entry: not a phone/);
+    assert.strictEqual(list.size, 0);
+
+    fs.writeFileSync(filePath, '2223334444\n');
+    await list.load();
+    assert.deepStrictEqual(list.values(), ['2223334444']);
+  });
+
+  it('should keep comments when writing the file back', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '# opt-outs\n222-333-4444  # called in to opt out\n\nA@Example.com\r\n');
+
+    const list = new SuppressionList({ filePath });
+    await list.add('5556667777');
+    assert.strictEqual(
+      fs.readFileSync(filePath, 'utf8'),
+      '# opt-outs\n222-333-4444  # called in to opt out\n\nA@Example.com\n5556667777\n'
+    );
+
+    await list.remove('2223334444');
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '# opt-outs\n\nA@Example.com\n5556667777\n');
+
+    await list.clear();
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '# opt-outs\n\n');
+  });
+});
+
+describe('localSuppression option', () => {
+  let originalFetch;
+  let requests;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    requests = [];
+    global.fetch = async (url, options) => {
+      const body = options?.body ? JSON.parse(options.body) : null;
+      requests.push({ url, body });
+      let json;
+      if (body?.emails) {
+        json = { good: body.emails };
+      } else if (body?.phones) {
+        json = [{ status: 'success', numbers: body.phones.length, count: body.phones.length, phones: body.phones, supression: [], wireless: [], reasons: {}, carrier: {} }];
+      } else {
+        json = { status: 'success', message: 'Good', code: 'none', results: 0 };
+      }
+      return { ok: true, headers: { get: () => 'application/json' }, json: async () => json };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should short-circuit single lookups with the internal reason', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0, localSuppression: ['2223334444'] });
+
+    assert.deepStrictEqual(await client.lookupSingle('2223334444'), {
+      sid: 'local',
+      status: 'success',
+      message: 'Blacklisted',
+      code: INTERNAL_REASON,
+      offset: 0,
+      wireless: 0,
+      phone: '2223334444',
+      results: 1,
+      time: 0,
+      scrubs: true,
+    });
+    assert.strictEqual((await client.lookup('2223334444', { responseFormat: 'xml' })).code, 'internal');
+    assert.strictEqual(await client.isBlacklisted('2223334444'), true);
+    assert.deepStrictEqual(await client.getBlacklistReasons('2223334444'), ['internal']);
+    assert.strictEqual(requests.length, 0);
+
+    assert.strictEqual((await client.lookupSingle('2223334444', { localSuppression: false })).message, 'Good');
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('should send only unsuppressed phones in bulk and merge the rest', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0, localSuppression: ['5556667777'] });
+
+    const result = await client.bulkLookupSimple(['2223334444', '5556667777']);
+    assert.deepStrictEqual(requests.map((r) => r.body.phones), [['2223334444']]);
+    assert.strictEqual(result.numbers, 2);
+    assert.deepStrictEqual(result.phones, ['2223334444']);
+    assert.deepStrictEqual(result.supression, ['5556667777']);
+    assert.deepStrictEqual(result.reasons, { 5556667777: 'internal' });
+
+    const standard = await client.bulkLookup(['5556667777'], { partial: true });
+    assert.strictEqual(requests.length, 1);
+    assert.deepStrictEqual(standard.failedBatches, []);
+    assert.deepStrictEqual(standard.supression, ['5556667777']);
+  });
+
+  it('should work with byPhone, normalized and deduped results', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0, localSuppression: ['5556667777'] });
+
+    const byPhone = await client.bulkLookupSimple(['5556667777', '2223334444'], { shape: 'byPhone' });
+    assert.deepStrictEqual(byPhone.get('5556667777').reasons, ['internal']);
+    assert.strictEqual(byPhone.get('2223334444').blacklisted, false);
+
+    const normalized = await client.bulkLookup(['15556667777', '123'], { normalize: true, invalid: 'collect', dedupe: true });
+    assert.strictEqual(normalized.rows[0].blacklisted, true);
+    assert.deepStrictEqual(normalized.rows[0].reasons, ['internal']);
+    assert.strictEqual(normalized.invalid.length, 1);
+  });
+
+  it('should append internal lines to phonecode text', async () => {
+    global.fetch = async () => ({ ok: true, headers: { get: () => 'text/plain' }, text: async () => '2223334444:none\n' });
+    const client = new BlacklistAlliance('test-key', { retries: 0, localSuppression: ['5556667777'] });
+
+    const text = await client.bulkLookupSimple(['5556667777', '2223334444'], { responseFormat: 'phonecode' });
+    assert.strictEqual(text, '2223334444:none\n5556667777:internal');
+  });
+
+  it('should add suppressed emails to bad with the internal reason', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0, localSuppression: ['opt.out@example.com'] });
+
+    const result = await client.emailBulk(['ok@example.com', 'Opt.Out@example.com']);
+    assert.deepStrictEqual(requests[0].body.emails, ['ok@example.com']);
+    assert.deepStrictEqual(result.good, ['ok@example.com']);
+    assert.deepStrictEqual(result.bad, ['Opt.Out@example.com']);
+    assert.deepStrictEqual(result.reasons, { 'Opt.Out@example.com': 'internal' });
+
+    const hashed = await client.emailBulk(['opt.out@example.com'], { hashEmails: true });
+    assert.deepStrictEqual(hashed.bad, [md5('opt.out@example.com')]);
+    assert.strictEqual(requests.length, 1);
+
+    assert.strictEqual(await client.isEmailBlacklisted('opt.out@example.com'), true);
+  });
+
+  it('should load a file-backed list before the first check', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bla-suppression-'));
+    try {
+      const filePath = path.join(dir, 'opt-outs.txt');
+      fs.writeFileSync(filePath, '2223334444\n');
+      const client = new BlacklistAlliance('test-key', { retries: 0, localSuppression: { filePath } });
+
+      assert.ok(client.localSuppression instanceof SuppressionList);
+      assert.strictEqual((await client.lookupSingle('2223334444')).code, 'internal');
+      assert.strictEqual(requests.length, 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  BlacklistAlliance,
+  ValidationError,
+  AREA_CODE_TIME_ZONES,
+  STATE_TIME_ZONES,
+  timeZonesForPhone,
+  checkCallingWindow,
+} = require('../src');
+
+// 12:30 UTC is 07:30 in New York in winter (EST) and 08:30 in summer (EDT)
+const winter = new Date('2026-01-15T12:30:00Z');
+const summer = new Date('2026-07-15T12:30:00Z');
+
+describe('timeZonesForPhone', () => {
+  it('should map area codes to their state and time zones', () => {
+    assert.deepStrictEqual(timeZonesForPhone('+1 (212) 555-0100'), {
+      npa: '212',
+      state: 'NY',
+      timeZones: ['America/New_York'],
+      source: 'area-code',
+    });
+    assert.deepStrictEqual(timeZonesForPhone('8505550100').timeZones, ['America/New_York', 'America/Chicago']);
+    assert.deepStrictEqual(AREA_CODE_TIME_ZONES['915'].timeZones, ['America/Denver']);
+    assert.deepStrictEqual(STATE_TIME_ZONES.TX, ['America/Chicago', 'America/Denver']);
+  });
+
+  it('should use the carrier state when it differs from the area code', () => {
+    assert.deepStrictEqual(timeZonesForPhone('2125550100', { state: 'ca' }), {
+      npa: '212',
+      state: 'CA',
+      timeZones: ['America/Los_Angeles'],
+      source: 'carrier-state',
+    });
+    // Same state: the area code's zones are more specific
+    assert.strictEqual(timeZonesForPhone('9155550100', { state: 'TX' }).source, 'area-code');
+    assert.strictEqual(timeZonesForPhone('2125550100', { state: 'New York' }).state, 'NY');
+  });
+
+  it('should return no time zones for unknown area codes', () => {
+    assert.deepStrictEqual(timeZonesForPhone('8005550100'), { npa: '800', state: null, timeZones: [], source: null });
+    assert.deepStrictEqual(timeZonesForPhone('123').timeZones, []);
+  });
+});
+
+describe('checkCallingWindow', () => {
+  it('should follow DST', () => {
+    assert.strictEqual(checkCallingWindow('2125550100', { now: winter }).inWindow, false);
+    const check = checkCallingWindow('2125550100', { now: summer });
+    assert.strictEqual(check.inWindow, true);
+    assert.deepStrictEqual(check.localTimes, [{ timeZone: 'America/New_York', day: 'wed', time: '08:30', inWindow: true }]);
+
+    // Arizona stays on MST
+    const phoenix = new Date('2026-07-16T04:30:00Z');
+    assert.strictEqual(checkCallingWindow('6025550100', { now: phoenix }).localTimes[0].time, '21:30');
+    assert.strictEqual(checkCallingWindow('6025550100', { now: phoenix }).inWindow, false);
+  });
+
+  it('should require every time zone of the area code to be in the window', () => {
+    const check = checkCallingWindow('8505550100', { now: summer });
+    assert.deepStrictEqual(check.localTimes.map((local) => [local.time, local.inWindow]), [
+      ['08:30', true],
+      ['07:30', false],
+    ]);
+    assert.strictEqual(check.inWindow, false);
+    assert.strictEqual(checkCallingWindow('8005550100', { now: summer }).inWindow, false);
+  });
+
+  it('should honour window days and bounds', () => {
+    const windows = [
+      { days: ['Mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '20:00' },
+      { days: ['sat'], start: '10:00', end: '17:00' },
+    ];
+    const at = (iso) => checkCallingWindow('2125550100', { windows, now: new Date(iso) }).inWindow;
+    assert.strictEqual(at('2026-07-15T13:00:00Z'), true);
+    assert.strictEqual(at('2026-07-16T00:00:00Z'), false);
+    assert.strictEqual(at('2026-07-18T13:00:00Z'), false);
+    assert.strictEqual(at('2026-07-18T14:00:00Z'), true);
+    assert.strictEqual(at('2026-07-19T15:00:00Z'), false);
+  });
+
+  it('should reject malformed windows', () => {
+    const invalid = (windows, message) =>
+      assert.throws(
+        () => checkCallingWindow('2125550100', { windows }),
+        (error) => error instanceof ValidationError && message.test(error.message)
+      );
+
+    invalid([], /Invalid calling window: windows must be a non-empty array/);
+    invalid([{ start: '8am', end: '21:00' }], /window 0 has an invalid time 8am/);
+    invalid([{ start: '21:00', end: '08:00' }], /window 0 must end after it starts/);
+    invalid([{ start: '08:00', end: '21:00', days: ['someday'] }], /unknown day someday/);
+  });
+});
+
+describe('canCallNow and canCallNowBulk', () => {
+  let originalFetch;
+  let requests;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    requests = [];
+    global.fetch = async (url, options) => {
+      requests.push(url);
+      const json = options?.body
+        ? {
+            status: 'success',
+            phones: ['2125550100', '8505550100'],
+            supression: ['3125550100'],
+            wireless: [],
+            reasons: { 3125550100: 'federal-dnc' },
+            carrier: { 8505550100: { state: 'AL' } },
+          }
+        : {
+            status: 'success',
+            message: 'Good',
+            code: 'none',
+            phone: '2125550100',
+            results: 0,
+            carrier: { state: 'NY' },
+          };
+      return { ok: true, headers: { get: () => 'application/json' }, json: async () => json };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should combine the lookup with the calling window', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+
+    const allowed = await client.canCallNow('2125550100', { now: summer });
+    assert.strictEqual(allowed.allowed, true);
+    assert.deepStrictEqual(allowed.blockedBy, []);
+    assert.strictEqual(allowed.state, 'NY');
+    assert.strictEqual(allowed.result.blacklisted, false);
+
+    const early = await client.canCallNow('2125550100', { now: winter });
+    assert.deepStrictEqual(early.blockedBy, ['outside-window']);
+  });
+
+  it('should check bulk results at one time, using carrier states', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    const decisions = await client.canCallNowBulk(['2125550100', '8505550100', '3125550100'], { now: summer });
+
+    assert.deepStrictEqual(
+      [...decisions].map(([phone, d]) => [phone, d.allowed, d.blockedBy]),
+      [
+        ['2125550100', true, []],
+        // Carrier state AL narrows 850 to Central time: 07:30
+        ['8505550100', false, ['outside-window']],
+        ['3125550100', false, ['blacklisted', 'outside-window']],
+      ]
+    );
+    assert.strictEqual(decisions.get('8505550100').source, 'carrier-state');
+  });
+
+  it('should validate windows and options before any request', async () => {
+    const client = new BlacklistAlliance('test-key', { retries: 0 });
+    await assert.rejects(() => client.canCallNow('2125550100', { windows: [{ start: '9', end: '17' }] }), ValidationError);
+    await assert.rejects(
+      () => client.canCallNowBulk(['2125550100'], { dedupe: true }),
+      /canCallNowBulk can't be combined with partial/
+    );
+    assert.strictEqual(requests.length, 0);
+  });
+});